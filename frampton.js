@@ -3,10 +3,13 @@
  * @author Kevin B. Greene <kgreene@linkedin.com>
  * @version 0.1.0
  */
-(function(global, document, $, define, undefined) {
+(function(global, define, module, undefined) {
 
   'use strict';
 
+  // jQuery is optional, without it we fall back to fetch for http and skip the plugin.
+  var $ = global.jQuery;
+
   /**
    * Because we want to be responsible devs and not polute the global namespace more
    * than we absolutely have to, let's create an object to attach our public API.
@@ -63,6 +66,18 @@
     };
   };
 
+  /**
+   * Loads a Node module, or returns null outside of Node. Goes through module.require so
+   * bundlers don't try to pack Node's modules into browser builds.
+   *
+   * @name nodeRequire
+   * @private
+   * @param {String} name - Name of the module.
+   */
+  function nodeRequire(name) {
+    return (module && typeof module.require === 'function') ? module.require(name) : null;
+  }
+
   // takes a function and warps it to be called at a later time.
   function lazy(fn, thisArg) {
     var args = toArray(arguments, 1);
@@ -114,7 +129,8 @@
 
   /**
    * Convinience method for adding an event listener that will either add with addEventListenr
-   * or an 'on' method. It will return a function to unsubscribe from the event.
+   * or an 'on' or 'addListener' method (Node EventEmitters). It will return a function to
+   * unsubscribe from the event.
    *
    * @name addEvent
    * @memberOf Frampton
@@ -128,9 +144,10 @@
 
     var listen = isFunction(target.addEventListener) ? target.addEventListener :
                  isFunction(target.attachEvent) ? target.attachEvent :
-                 isFunction(target.on) ? target.on : null;
+                 isFunction(target.on) ? target.on :
+                 isFunction(target.addListener) ? target.addListener : null;
 
-    var eventPrefix = isFunction(target.attachEvent) ? 'on' : '';
+    var eventPrefix = (listen === target.attachEvent) ? 'on' : '';
 
     assert(isFunction(listen), 'addEvent received an unknown type as target');
 
@@ -145,8 +162,8 @@
 
   /**
    * Removes an event listener from an object, usually a DOM node, alternatively can remove
-   * listener from any object that implements an 'off' method that takes an event name and a
-   * callback as parameters in that order.
+   * listener from any object that implements an 'off' or 'removeListener' method that takes an
+   * event name and a callback as parameters in that order.
    *
    * @name removeEvent
    * @memberOf Frampton
@@ -158,14 +175,15 @@
   function removeEvent(eventName, callback, target) {
 
     var remove = isFunction(target.removeEventListener) ? target.removeEventListener :
-                 isFunction(target.removeEvent) ? target.removeEvent :
-                 isFunction(target.off) ? target.off : null;
+                 isFunction(target.detachEvent) ? target.detachEvent :
+                 isFunction(target.off) ? target.off :
+                 isFunction(target.removeListener) ? target.removeListener : null;
 
-    var eventPrefix = isFunction(target.removeEvent) ? 'on' : '';
+    var eventPrefix = (remove === target.detachEvent) ? 'on' : '';
 
     assert(isFunction(remove), 'removeEvent received an unknown type as target');
 
-    remove.call(target, eventName, callback);
+    remove.call(target, eventPrefix + eventName, callback);
   }
 
   /**
@@ -176,10 +194,14 @@
    * @name normalizeEvent
    * @memberOf Frampton
    * @private
-   * @param {Object} evt - Event object.
+   * @param {Object} evt - Event object. Anything that isn't an object (say, from an emitter
+   * outside the DOM) is returned as is.
    */
   function normalizeEvent(evt) {
     evt = evt || global.event;
+    if (!isObject(evt)) {
+      return evt;
+    }
     evt.target = evt.target || evt.srcElement;
     evt.preventDefault = evt.preventDefault || function() {
       evt.returnValue = false;
@@ -250,7 +272,7 @@
    * @private
    */
   function currentTime() {
-    return (new Date()).getTime();
+    return (installedScheduler) ? installedScheduler.now() : (new Date()).getTime();
   }
 
   /**
@@ -369,6 +391,15 @@
     }
   };
 
+  /**
+   * The TestScheduler currently driving time, if any. While one is installed every timer in
+   * the library, and currentTime, run off of its virtual clock instead of the real one.
+   *
+   * @name installedScheduler
+   * @private
+   */
+  var installedScheduler = null;
+
   /**
    * Takes a function and calls it asycronously as quicly as possible, using setImmediate, if
    * available (non-standard IE 10+), otherwise, uses setTimeout of 0.
@@ -376,11 +407,74 @@
    * @name immediate
    * @param {Function} fn - a function to call.
    */
-  var immediate = (isFunction(global.setImmediate)) ? setImmediate : function(fn) {
-    setTimeout(fn, 0);
+  var immediate = function(fn) {
+
+    if (installedScheduler) {
+      installedScheduler.schedule(fn, 0);
+    } else if (isFunction(global.setImmediate)) {
+      global.setImmediate(fn);
+    } else {
+      setTimeout(fn, 0);
+    }
   };
 
   /**
+   * Reduced values are how a reducing function says it is done, the fold stops and returns
+   * the value inside. Uses the same protocol as other transducer libraries so their
+   * transducers and ours can be mixed.
+   */
+  function reduced(val) {
+    var wrapper = {};
+    wrapper['@@transducer/reduced'] = true;
+    wrapper['@@transducer/value'] = val;
+    return wrapper;
+  }
+
+  function isReduced(val) {
+    return (isSomething(val) && val['@@transducer/reduced'] === true);
+  }
+
+  function unreduced(val) {
+    return isReduced(val) ? val['@@transducer/value'] : val;
+  }
+
+  /**
+   * Transformers are objects with step and result methods, under the protocol's names, as
+   * made by the functions in Frampton.transducers. A plain reducing function can be used
+   * wherever a transformer is expected.
+   */
+  function isTransformer(obj) {
+    return (isSomething(obj) && isFunction(obj['@@transducer/step']));
+  }
+
+  function transformer(fn) {
+
+    var xf;
+
+    if (isTransformer(fn)) return fn;
+
+    xf = {};
+
+    xf['@@transducer/step'] = fn;
+
+    xf['@@transducer/result'] = function(acc) {
+      return acc;
+    };
+
+    return xf;
+  }
+
+  /**
+   * Folds the list from the left. Stops early if fn returns a reduced value. fn can also be
+   * a transformer, as returned by applying a transducer to a reducing function, in which
+   * case its result step is run at the end.
+   *
+   * EXAMPLE:
+   * var xf = compose(transducers.map(double), transducers.take(2));
+   * foldl(xf(function(acc, val) {
+   *   return acc.concat([val]);
+   * }), [], [1, 2, 3]); // [2, 4]
+   *
    * @name foldl
    * @memberOf Frampton
    * @static
@@ -388,16 +482,25 @@
   var foldl = curry(function curried_foldl(fn, acc, list) {
 
     var i   = -1,
-        len = list.length;
+        len = list.length,
+        xf  = transformer(fn);
 
     while (++i < len) {
-      acc = fn(acc, list[i]);
+
+      acc = xf['@@transducer/step'](acc, list[i]);
+
+      if (isReduced(acc)) {
+        acc = unreduced(acc);
+        break;
+      }
     }
 
-    return acc;
+    return unreduced(xf['@@transducer/result'](acc));
   });
 
   /**
+   * Folds the list from the right. Stops early if fn returns a reduced value.
+   *
    * @name foldr
    * @memberOf Frampton
    * @static
@@ -407,7 +510,12 @@
     var i = list.length;
 
     while (i--) {
+
       acc = fn(acc, list[i]);
+
+      if (isReduced(acc)) {
+        return unreduced(acc);
+      }
     }
 
     return acc;
@@ -428,6 +536,23 @@
     }
   });
 
+  /**
+   * @name any
+   * @memberOf Frampton
+   * @static
+   */
+  var any = curry(function curried_any(fn, arr) {
+
+    var i   = -1,
+        len = arr.length;
+
+    while (++i < len) {
+      if (fn(arr[i], i)) return true;
+    }
+
+    return false;
+  });
+
   /**
    * @name remove
    * @memberOf Frampton
@@ -494,1344 +619,7519 @@
       };
 
   /**
-   * Simple cache that removes items based on least recently used (LRU).
+   * Transducers are transformations (map, filter...) that don't care where their values come
+   * from or go to. A transducer takes a transformer (or reducing function) and returns a new
+   * transformer, so they compose with compose. Composed transducers run left to right, the
+   * first one sees each value first. The same transducer works over arrays with foldl and
+   * over streams with stream.transduce.
    *
-   * @name Cache
-   * @class
-   * @param {Object} options - A hash of options to configure the cache. Currently only supports
-   * LIMIT (the max number of items in cache) and TIMEOUT (how long an entry should be valid).
+   * EXAMPLE:
+   * var xf = compose(
+   *   transducers.filter(isSomething),
+   *   transducers.map(get('id')),
+   *   transducers.dedupe()
+   * );
+   *
+   * foldl(xf(append), [], list);
+   * stream.transduce(xf);
+   *
+   * @name transducers
+   * @memberOf Frampton
+   * @static
    */
-  var Cache = (function() {
+  var transducers = (function() {
 
-    var defaults = {
-      LIMIT   : 1000,
-      TIMEOUT : (5 * 60 * 1000) // 5 minutes
-    };
-
-    function isExpired(entry, timeout) {
-      return (currentTime() - entry.timestamp > timeout);
-    }
+    // Makes a transformer that passes its result step on to the next one.
+    function wrap(next, step, result) {
 
-    // Takes two entries and bidirectionally links them.
-    function linkEntries(prevEntry, nextEntry) {
+      var xf = {};
 
-      if (nextEntry === prevEntry) return;
+      xf['@@transducer/step'] = step;
 
-      if (nextEntry) {
-        nextEntry.prev = prevEntry || null;
-      }
+      xf['@@transducer/result'] = result || function(acc) {
+        return next['@@transducer/result'](acc);
+      };
 
-      if (prevEntry) {
-        prevEntry.next = nextEntry || null;
-      }
+      return xf;
     }
 
-    // update the counter to keep track of most popular cached items.
-    // TODO: implement least frequently used (LFU) caching as an option.
-    function updateCounter(entry) {
-      entry.counter = entry.counter + 1;
+    /**
+     * @name map
+     * @memberOf transducers
+     * @static
+     * @param {Function} fn - Function to map values with.
+     * @returns {Function} A transducer.
+     */
+    function map(fn) {
+      return function(next) {
+        next = transformer(next);
+        return wrap(next, function(acc, val) {
+          return next['@@transducer/step'](acc, fn(val));
+        });
+      };
     }
 
-    // takes an entry and makes it the head of the linked list
-    function makeHead(entry, head, tail) {
-
-      if (entry === head) return;
+    /**
+     * @name filter
+     * @memberOf transducers
+     * @static
+     * @param {Function} predicate - Function deciding which values to keep.
+     * @returns {Function} A transducer.
+     */
+    function filter(predicate) {
+      return function(next) {
+        next = transformer(next);
+        return wrap(next, function(acc, val) {
+          return predicate(val) ? next['@@transducer/step'](acc, val) : acc;
+        });
+      };
+    }
 
-      if (!tail) {
-        tail = entry;
-      } else if (tail === entry) {
-        tail = entry.prev;
-      }
+    /**
+     * Keeps the first n values and then stops the reduction.
+     *
+     * @name take
+     * @memberOf transducers
+     * @static
+     * @param {Number} n - Number of values to keep.
+     * @returns {Function} A transducer.
+     */
+    function take(n) {
+      return function(next) {
 
-      linkEntries(entry.prev, entry.next);
-      linkEntries(entry, head);
+        var count = 0;
 
-      head = entry;
-      head.prev = null;
-    }
+        next = transformer(next);
 
-    function _Cache(options) {
+        return wrap(next, function(acc, val) {
 
-      this.store  = {};
-      this.config = {};
-      this.size   = 0;
-      this.head   = null;
-      this.tail   = null;
+          if (count < n) {
+            count += 1;
+            acc = next['@@transducer/step'](acc, val);
+          }
 
-      extend(this.config, defaults, options);
+          return (count >= n && !isReduced(acc)) ? reduced(acc) : acc;
+        });
+      };
     }
 
     /**
+     * Drops values that are the same (===) as the value before them.
      *
+     * @name dedupe
+     * @memberOf transducers
+     * @static
+     * @returns {Function} A transducer.
      */
-    _Cache.prototype.get = function(key) {
+    function dedupe() {
+      return function(next) {
 
-      if (this.store[key]) {
+        var hasPrev = false,
+            prev;
 
-        // if we have a key but it's expired, blow the mother up.
-        if (isExpired(this.store[key], this.config.TIMEOUT)) {
-          this.remove(key);
-          return null;
-        }
+        next = transformer(next);
 
-        // otherwise, yeah b@$%#!, let's return the value and get moving.
-        makeHead(this.store[key], this.head, this.tail);
-        updateCounter(this.store[key]);
-        return this.store[key].value;
-      }
+        return wrap(next, function(acc, val) {
 
-      return null;
-    };
+          if (hasPrev && val === prev) return acc;
+
+          hasPrev = true;
+          prev = val;
+
+          return next['@@transducer/step'](acc, val);
+        });
+      };
+    }
 
     /**
+     * Groups values into arrays of size n. Whatever is left over when the reduction ends is
+     * passed on as a last, shorter, array.
      *
+     * @name partition
+     * @memberOf transducers
+     * @static
+     * @param {Number} n - Size of each array.
+     * @returns {Function} A transducer.
      */
-    _Cache.prototype.put = function(key, value) {
+    function partition(n) {
 
-      if (isNothing(key) || isNothing(value)) return;
-
-      if (!this.store[key]) {
-
-        this.size = this.size + 1;
-        this.store[key] = {
-          key       : key,
-          value     : value,
-          next      : null,
-          prev      : null,
-          timestamp : currentTime(),
-          counter   : 1
-        };
+      assert(n > 0, 'transducers.partition needs a size greater than zero');
 
-      } else {
-        this.store[key].value = value;
-        this.store[key].timestamp = currentTime();
-        updateCounter(this.store[key]);
-      }
+      return function(next) {
 
-      makeHead(this.store[key], this.head, this.tail);
+        var group = [];
 
-      if (this.size > this.config.LIMIT) {
-        this.remove(this.tail.key);
-      }
+        next = transformer(next);
 
-      return value;
-    };
+        return wrap(next, function(acc, val) {
 
-    /**
-     *
-     */
-    _Cache.prototype.remove = function(key) {
+          var full;
 
-      var entryToRemove;
+          group.push(val);
 
-      if (isNothing(this.store[key])) return;
+          if (group.length < n) return acc;
 
-      entryToRemove = this.store[key];
+          full = group;
+          group = [];
 
-      if (entryToRemove === this.head) {
-        this.head = entryToRemove.next;
-      }
+          return next['@@transducer/step'](acc, full);
 
-      if (entryToRemove === this.tail) {
-        this.tail = entryToRemove.tail;
-      }
+        }, function(acc) {
 
-      linkEntries(entryToRemove.prev, entryToRemove.next);
+          var rest = group;
 
-      delete this.store[key];
+          group = [];
 
-      size--;
-    };
+          if (rest.length > 0) {
+            acc = unreduced(next['@@transducer/step'](acc, rest));
+          }
 
-    function Cache(options) {
-      return new _Cache(options);
+          return next['@@transducer/result'](acc);
+        });
+      };
     }
 
-    /**
-     * @name isCache
-     * @memberOf Cache
-     * @static
-     */
-    Cache.isCache = function(obj) {
-      return (obj instanceof _Cache);
+    return {
+      map       : map,
+      filter    : filter,
+      take      : take,
+      dedupe    : dedupe,
+      partition : partition,
+      reduced   : reduced,
+      isReduced : isReduced
     };
-
-    return Cache;
-
   }());
 
   /**
+   * A Scheduler decides where and when a piece of work runs. Anything that implements
+   * schedule(fn, delay), returning a function to cancel the work, and now() can be used
+   * as a scheduler, the built in ones being:
    *
-   * @name Outlet
+   * Scheduler.sync           - runs work right away, queueing work scheduled from inside other work.
+   * Scheduler.microtask      - runs work at the end of the current task, like a resolved promise.
+   * Scheduler.timeout        - runs work in a later task using setTimeout (or setImmediate).
+   * Scheduler.animationFrame - runs work before the next repaint using requestAnimationFrame.
+   *
+   * Schedulers that can't wait for a delay on their own (microtask, animationFrame) wait out
+   * the delay with a timeout first. The sync scheduler ignores delays.
+   *
+   * @name Scheduler
    * @class
+   * @param {Function} schedule - A function that takes a function and a delay, schedules the
+   * function to run and returns a function to cancel it.
    */
-  var Outlet = (function() {
+  var Scheduler = (function() {
 
-    function _Outlet(onNext, onError, onDone) {
-      this._onError = onError || noop;
-      this._onNext  = onNext || noop;
-      this._onDone  = onDone || noop;
-      this.isClosed = false;
+    function _Scheduler(schedule) {
+      this._schedule = schedule;
     }
 
     /**
-     * @name sendNext
-     * @memberOf Outlet
+     * @name schedule
+     * @memberOf Scheduler
      * @method
      * @instance
+     * @param {Function} fn    - Function to run.
+     * @param {Number}   delay - Milliseconds to wait before running the function.
+     * @returns {Function} A function to cancel the scheduled work.
      */
-    _Outlet.prototype.sendNext = function(val) {
-      if (!this.isClosed) {
-        this._onNext(val);
-      }
+    _Scheduler.prototype.schedule = function(fn, delay) {
+      return this._schedule(fn, delay || 0) || noop;
     };
 
     /**
-     * @name sendError
-     * @memberOf Outlet
+     * @name now
+     * @memberOf Scheduler
      * @method
      * @instance
+     * @returns {Number} The current time in milliseconds.
      */
-    _Outlet.prototype.sendError = function(err) {
-      if (!this.isClosed) {
-        this._onError(err);
-      }
+    _Scheduler.prototype.now = function() {
+      return (new Date()).getTime();
     };
 
-    /**
-     * @name sendDone
-     * @memberOf Outlet
-     * @method
-     * @instance
-     */
-    _Outlet.prototype.sendDone = function() {
-      if (!this.isClosed) {
-        this.isClosed = true;
-        this._onDone();
-      }
-    };
+    function Scheduler(schedule) {
+      return new _Scheduler(schedule);
+    }
 
-    function Outlet(onNext, onError, onDone) {
-      return new _Outlet(onNext, onError, onDone);
+    // Wraps a scheduling function so that delayed work waits out its delay with a timeout first.
+    function afterDelay(schedule) {
+      return function(fn, delay) {
+
+        var cancel = noop,
+            timer;
+
+        if (delay > 0) {
+
+          timer = setTimeout(function() {
+            cancel = schedule(fn);
+          }, delay);
+
+          return function() {
+            clearTimeout(timer);
+            cancel();
+          };
+        }
+
+        return schedule(fn);
+      };
     }
 
     /**
-     * Does a boolean test on whether or not an object is an Outlet
+     * Does a boolean test on whether or not an object can be used as a scheduler.
      *
-     * @name isOutlet
-     * @memberOf Outlet
+     * @name isScheduler
+     * @memberOf Scheduler
      * @static
      * @param {Object} obj Object to test
      */
-    Outlet.isOutlet = function(obj) {
-      return (obj instanceof _Outlet);
+    Scheduler.isScheduler = function(obj) {
+      return (isObject(obj) && isFunction(obj.schedule) && isFunction(obj.now));
     };
 
-    return Outlet;
-
-  }());
-
-  /**
-   * Dispatcher is a helper object that helps the a stream manage its Outlets. A
-   * new instance of the Dispatcher is created for each new stream. The owning stream
-   * inherits references to its dispatcher's subscribe, broadcast and clear methods.
-   *
-   * @name Dispatcher
-   * @class
-   * @param  {Stream} stream The stream that owns this instance of the dispatcher.
-   * @returns {Dispatcher}   A new dispatcher.
-   */
-  var Dispatcher = (function() {
-
-    function _Dispatcher(stream) {
-
-      var outlets  = [],
-          breakers = [];
-
-      /**
-       * Add Outlets to the owning stream.
-       *
-       * @name subscribe
-       * @memberOf Dispatcher
-       * @method
-       * @instance
-       * @param   {Outlet} outlet - An outlet to subscribe to.
-       * @returns {Function} A function to cancel the subscription.
-       */
-      this.subscribe = function(outlet) {
+    /**
+     * @name sync
+     * @memberOf Scheduler
+     * @static
+     */
+    Scheduler.sync = (function() {
 
-        var breaker;
+      var queue   = [],
+          running = false;
 
-        outlets.push(outlet);
+      return Scheduler(function(fn) {
 
-        if (outlets.length === 1) {
-          breaker = stream.seed(stream) || noop;
-          breakers.push(breaker);
-        }
+        var task   = { fn : fn },
+            failed = false,
+            error;
 
-        return function unsub() {
+        queue.push(task);
 
-          var i = outlets.length;
+        // Work scheduled from inside other work is trampolined to avoid deep recursion.
+        if (!running) {
 
-          while (i--) {
+          running = true;
 
-            if (outlets[i] === outlet) {
-              outlets.splice(i, 1);
-              break;
+          // Work that throws doesn't stop the work queued up behind it, the first error is
+          // thrown once the queue has drained.
+          while (queue.length > 0) {
+            try {
+              queue.shift().fn();
+            } catch (err) {
+              if (!failed) {
+                failed = true;
+                error  = err;
+              }
             }
           }
 
-          if (outlets.length === 0) {
-            breaker();
+          running = false;
+
+          if (failed) {
+            throw error;
           }
         }
-      };
 
-      /**
-       * Handles notifying outlets of new data on the stream.
-       *
-       * @name broadcast
-       * @memberOf Dispatcher
-       * @method
-       * @instance
-       * @param {String} method - Method to use to notify outlets: 'sendNext', 'sendError', 'sendDone'
-       * @param {Any}    data   - The data to broadcast.
-       */
-      this.broadcast = function(method, data) {
-        each(function(outlet) {
-          outlet[method](data);
-        }, outlets);
+        return function() {
+          remove(queue, task);
+        };
+      });
+    }());
+
+    /**
+     * @name microtask
+     * @memberOf Scheduler
+     * @static
+     */
+    Scheduler.microtask = Scheduler(afterDelay(function(fn) {
+
+      var cancelled = false,
+          task      = function() {
+            if (!cancelled) fn();
+          };
+
+      if (isFunction(global.Promise)) {
+        global.Promise.resolve().then(task);
+      } else {
+        immediate(task);
+      }
+
+      return function() {
+        cancelled = true;
       };
+    }));
 
-      /**
-       * Used to burn it all down when this stream is destroyed.
-       *
-       * @name destroy
-       * @memberOf Dispatcher
-       * @method
-       * @instance
-       */
-      this.destroy = function() {
+    /**
+     * @name timeout
+     * @memberOf Scheduler
+     * @static
+     */
+    Scheduler.timeout = Scheduler(function(fn, delay) {
 
-        each(function(breaker) {
-          breaker();
-        }, breakers);
+      var timer;
 
-        outlets = [];
-        breakers = [];
+      if (delay === 0 && isFunction(global.setImmediate)) {
+
+        timer = global.setImmediate(fn);
+
+        return function() {
+          global.clearImmediate(timer);
+        };
+      }
+
+      timer = setTimeout(fn, delay);
+
+      return function() {
+        clearTimeout(timer);
       };
-    }
+    });
 
-    function Dispatcher(stream) {
-      return new _Dispatcher(stream);
-    };
+    /**
+     * @name animationFrame
+     * @memberOf Scheduler
+     * @static
+     */
+    Scheduler.animationFrame = Scheduler(afterDelay(function(fn) {
 
-    Dispatcher.isDispatcher = function(obj) {
-      return (obj instanceof _Dispatcher);
-    }
+      var frame;
 
-    return Dispatcher;
+      if (isFunction(global.requestAnimationFrame)) {
+
+        frame = global.requestAnimationFrame(function() {
+          fn();
+        });
+
+        return function() {
+          global.cancelAnimationFrame(frame);
+        };
+      }
+
+      // No animation frames (old browsers, node), settle for roughly 60 times a second.
+      frame = setTimeout(fn, 16);
+
+      return function() {
+        clearTimeout(frame);
+      };
+    }));
+
+    return Scheduler;
 
   }());
 
   /**
-   * Main constructor for a new Stream
+   * Picks the scheduler timed work should run on. A scheduler passed in explicitly always wins,
+   * after that an installed TestScheduler, and finally the timeout scheduler.
    *
-   * @name Stream
-   * @class
-   * @param {Function} seed      - A function to seed values for the stream
-   * @param {Function} transform - A function to transform the values of the stream.
+   * @name schedulerFor
+   * @private
+   * @param {Scheduler} scheduler - An optional scheduler.
+   * @returns {Scheduler}
    */
-  var Stream = (function() {
-
-    // Mostly for debugging, we're going to give each stream a unique id number.
-    var id = 0;
-
-    // Stream helpers
-    function isStream(obj) {
-      return (obj instanceof _Stream);
-    }
-
-    // For when we just need a stream to pass along its value without a transform.
-    function streamIdentity(stream, val) {
-      stream.broadcast('sendNext', val);
-    }
+  function schedulerFor(scheduler) {
+    return scheduler || installedScheduler || Scheduler.timeout;
+  }
 
-    // Creates a new stream with a given transform.
-    function withTransform(source, transform) {
-      return Stream(function(downStream) {
-        // pipe returns a function to unsubscribe from values of the passed in stream.
-        source.pipe(downStream);
-      }, transform);
-    }
+  /**
+   * A scheduler with a virtual clock for testing time based code. Once installed, every time
+   * based operator in the library (debounce, bufferWithTime, cached http responses...) will
+   * schedule its work here and nothing will run until the clock is advanced by hand.
+   *
+   * EXAMPLE:
+   * var scheduler = TestScheduler().install();
+   * stream.debounce(100).subscribe(fn);
+   * scheduler.advanceBy(100);
+   * scheduler.uninstall();
+   *
+   * @name TestScheduler
+   * @class
+   * @param {Number} startTime - The time (milliseconds) the virtual clock starts at. Defaults to 0.
+   */
+  var TestScheduler = (function() {
 
-    function _Stream(seed, transform) {
-      this.transform  = transform || streamIdentity;
-      this.dispatcher = Dispatcher(this);
-      this.broadcast  = this.dispatcher.broadcast;
-      this.seed       = seed;
-      this._id        = id++;
-      this.isClosed   = false;
+    function _TestScheduler(startTime) {
+      this.clock = startTime || 0;
+      this.queue = [];
+      this.count = 0;
     }
 
-    var streamProto = _Stream.prototype;
-
     /**
-     * Subscribes to values on this stream
-     *
-     * @name subscribe
+     * @name now
+     * @memberOf TestScheduler
      * @method
-     * @memberOf Stream
      * @instance
-     * @param {Function} onNext  - Function to call when next value is written to Stream
-     * @param {Function} onError - Function to call when the Stream errors
-     * @param {Function} onDone  - Function to call when the Stream closes
-     * @returns {Function} - A function to unsubscribe to this stream
+     * @returns {Number} The current time on the virtual clock.
      */
-    streamProto.subscribe = function(onNext, onError, onDone) {
-      return this.dispatcher.subscribe(Outlet(onNext, onError, onDone));
+    _TestScheduler.prototype.now = function() {
+      return this.clock;
     };
 
     /**
-     * Pipes the data from this stream to another stream.
+     * Schedules a function to be run once the virtual clock has advanced by the given delay.
      *
-     * @name pipe
+     * @name schedule
+     * @memberOf TestScheduler
      * @method
-     * @memberOf Stream
      * @instance
-     * @param {Stream} stream - Stream to add to the dependant stack
-     * @returns {Function} A function to unsubscribe to the updates on the piped function.
+     * @param {Function} fn    - Function to run.
+     * @param {Number}   delay - Virtual milliseconds to wait before running the function.
+     * @returns {Function} A function to cancel the scheduled work.
      */
-    streamProto.pipe = function(stream) {
+    _TestScheduler.prototype.schedule = function(fn, delay) {
 
-      assert(isStream(stream), 'Stream.pipe received a non Stream');
+      var queue = this.queue,
+          task  = {
+            time  : this.clock + (delay || 0),
+            order : this.count++,
+            fn    : fn
+          },
+          i = queue.length;
 
-      return this.subscribe(
-        // onNext
-        function(val) {
-          stream.write(val);
-        },
-        // onError
-        function(err) {
-          stream.error(err);
-        },
-        // onDone
-        function() {
-          stream.close();
-        }
-      );
+      // Keep the queue sorted by time, tasks for the same time run in the order they came in.
+      while (i > 0 && queue[i - 1].time > task.time) {
+        i--;
+      }
+
+      queue.splice(i, 0, task);
+
+      return function cancel() {
+        remove(queue, task);
+      };
     };
 
     /**
-     * Called when there is new data on the stream that needs to be processed.
+     * Moves the virtual clock to the given time, running everything scheduled up to and
+     * including that time.
      *
-     * @name write
+     * @name advanceTo
+     * @memberOf TestScheduler
      * @method
-     * @memberOf Stream
      * @instance
-     * @param {Any} data - Data to write to the stream. Data can be any type.
+     * @param {Number} time - The time to move the clock to.
+     * @returns {TestScheduler} This scheduler
      */
-    streamProto.write = function(data) {
+    _TestScheduler.prototype.advanceTo = function(time) {
 
-      try {
-        this.transform(this, data);
-      } catch(err) {
-        this.broadcast('sendError', err);
+      var task;
+
+      assert(time >= this.clock, 'TestScheduler cannot move back in time');
+
+      while (this.queue.length > 0 && this.queue[0].time <= time) {
+        task = this.queue.shift();
+        this.clock = task.time;
+        task.fn();
       }
 
+      this.clock = time;
+
       return this;
     };
 
     /**
-     * Throws and error onto the stream. Errors will pass to the end of the line without
-     * blowing anyting up, almost like a non value.
-     *
-     * @name error
+     * @name advanceBy
+     * @memberOf TestScheduler
      * @method
-     * @memberOf Stream
      * @instance
-     * @param {Any} error - The error message and associated data to pass along.
+     * @param {Number} ms - Virtual milliseconds to move the clock forward.
+     * @returns {TestScheduler} This scheduler
      */
-    streamProto.error = function(error) {
-      this.broadcast('sendError', error);
+    _TestScheduler.prototype.advanceBy = function(ms) {
+      return this.advanceTo(this.clock + ms);
     };
 
     /**
-     * Closes this stream.
+     * Runs everything that is scheduled, including anything scheduled while flushing, moving
+     * the clock along as it goes.
      *
-     * @name close
+     * @name flush
+     * @memberOf TestScheduler
      * @method
-     * @memberOf Stream
      * @instance
+     * @returns {TestScheduler} This scheduler
      */
-    streamProto.close = function() {
+    _TestScheduler.prototype.flush = function() {
 
-      if (!this.isClosed) {
-        // Alert outlets we're closing down.
-        this.broadcast('sendDone');
-        // Tell the dispatcher to remove outlets.
-        this.dispatcher.destroy();
-        this.isClosed = true;
+      while (this.queue.length > 0) {
+        this.advanceTo(this.queue[0].time);
       }
+
+      return this;
     };
 
     /**
-     * Bind the values of a stream to the value of an object's given property.
-     * Useful for binding the values of a stream to a DOM node.
-     *
-     * EXAMPLE:
-     * stream.assign('innerHTML', div);
+     * Makes this scheduler drive all timed work in the library.
      *
-     * @name bindObject
+     * @name install
+     * @memberOf TestScheduler
      * @method
-     * @memberOf Stream
      * @instance
-     * @param {String} prop The property to which to bind the value of this stream.
-     * @param {Object} obj  The object on which the property resides.
-     * @returns {Stream} The original Stream
+     * @returns {TestScheduler} This scheduler
      */
-    streamProto.bindObject = streamProto.assign = function(prop, obj) {
-
-      var source = this,
-          breaker;
-
-      return Stream(function(downStream) {
-        obj[prop] = val;
-      });
-
-      this.subscribe(function(val) {
-        obj[prop] = val;
-      });
-
+    _TestScheduler.prototype.install = function() {
+      installedScheduler = this;
       return this;
     };
 
     /**
-     * Takes a function that returns a new stream and returns a new stream itself that flattens
-     * the two streams into one.
+     * Hands timing back to the real clock.
      *
-     * @name flatMapLatest
+     * @name uninstall
+     * @memberOf TestScheduler
      * @method
-     * @memberOf Stream
      * @instance
-     * @param {Function} mapping A function that takes a value and returns a new stream.
-     * @returns {Stream} A new Stream.
+     * @returns {TestScheduler} This scheduler
      */
-    streamProto.flatMapLatest = function(mapping, thisArg) {
-
-      var source      = this,
-          innerStream = null,
-          breaker;
-
-      mapping = bindCallback(mapping, thisArg);
+    _TestScheduler.prototype.uninstall = function() {
 
-      return Stream(function(downStream) {
-
-        breaker = source.subscribe(
-          // onNext
-          function(val) {
-            /**
-             * If there is already an inner stream, close it. It is no longer relevant now that
-             * a new stream is being created.
-             */
-            if (innerStream) {
-              innerStream.close();
-              innerStream = null;
-            }
-
-            /**
-             * Our new stream is a product of calling the mapping function with the next value
-             * on the previous stream.
-             */
-            innerStream = mapping(val);
-
-            innerStream.subscribe(
-              function(val) {
-                downStream.write(val);
-              },
-              function(err) {
-                downStream.error(err);
-              }
-            );
-          },
-          // onError
-          function(err) {
-            downStream.error(err);
-          },
-          // onDone
-          function() {
-            downStream.close();
-          }
-        );
+      if (installedScheduler === this) {
+        installedScheduler = null;
+      }
 
-        return lazy(breaker);
-      });
+      return this;
     };
 
+    function TestScheduler(startTime) {
+      return new _TestScheduler(startTime);
+    }
+
     /**
-     * Returns a stream that will only produce values until the stopper stream produces a
-     * value.
-     *
-     * @name takeUntil
-     * @method
-     * @memberOf Stream
-     * @instance
-     * @param {Stream} stopper - A stream on which this stream will stop emitting values
-     * when it emits its first value after the creating of the new stream
-     * @returns {Stream} A new Stream that closes once the stopper returns false
+     * @name isTestScheduler
+     * @memberOf TestScheduler
+     * @static
      */
-    streamProto.takeUntil = function(stopper) {
-
-      var source   = this,
-          breakers = [];
+    TestScheduler.isTestScheduler = function(obj) {
+      return (obj instanceof _TestScheduler);
+    };
 
-      return Stream(function(downStream) {
+    return TestScheduler;
 
-        breakers.push(source.pipe(downStream));
+  }());
+
+  /**
+   * Simple cache that removes items based on an eviction policy, least recently used (LRU) by
+   * default.
+   *
+   * POLICY can be one of the built in policies:
+   *
+   * 'LRU'  - evicts the entry that was used (get or put) longest ago.
+   * 'LFU'  - evicts the entry used the fewest times, the least recently used one of those on a tie.
+   * 'FIFO' - evicts the entry that was put in first, using an entry doesn't save it.
+   * 'TTL'  - never evicts to make room, entries only go once they are older than TIMEOUT. The
+   *          cache can grow past LIMIT as long as its entries are fresh.
+   *
+   * Or it can be a function that makes a custom policy. It's called with the cache's config
+   * and returns an object that the cache tells about what happens to its entries:
+   *
+   * add(entry)    - a new entry was put in the cache.
+   * touch(entry)  - an entry was read with get.
+   * update(entry) - an entry's value was replaced with put.
+   * remove(entry) - an entry left the cache, for whatever reason.
+   * evict()       - the cache is full, return the entry to evict or null to evict nothing.
+   * entries()     - optional, all the entries in the order they'd be evicted, next to go
+   *                 first. Used by snapshot to keep the order, otherwise it's by timestamp.
+   *
+   * Entries have key, value, timestamp (of the last put), counter (number of uses), ttl, tags
+   * and bytes properties that must be left alone. A policy is free to keep its own
+   * bookkeeping on them, the built in policies use prev and next to link them into lists. The
+   * built in policies are available as Cache.policies, to build on.
+   *
+   * With STORAGE, one of the adapters in Cache.storage, entries are written through to
+   * persistent storage and loaded back when the cache is made, so the next page load (or
+   * process) starts warm. Entries keep their timestamps, so TIMEOUT holds across reloads.
+   * SERIALIZE and DESERIALIZE turn a record ({ key, value, timestamp, counter }) into a
+   * string and back, JSON by default. When storage is full the cache evicts entries, by its
+   * policy, until the write fits.
+   *
+   * A storage adapter is an object with:
+   *
+   * getAll(callback)              - calls callback(err, items), items being a hash of key to string.
+   * setItem(key, data, callback)  - stores the string and calls callback(err). A full storage
+   *                                 should give an error named 'QuotaExceededError'.
+   * removeItem(key)               - forgets the key.
+   *
+   * Callbacks can be called right away or later, the cache doesn't care.
+   *
+   * Instead of (or as well as) a LIMIT on the number of entries, MAX_BYTES limits how much
+   * room they take up, as measured by SIZE_OF (the length of their JSON by default). A value
+   * bigger than MAX_BYTES on its own isn't cached at all.
+   *
+   * EXAMPLE:
+   * var cache = Cache({ LIMIT : 5000, POLICY : 'LFU' });
+   *
+   * var cache = Cache({ LIMIT : Infinity, MAX_BYTES : 5 * 1024 * 1024 });
+   * cache.put('/api/users/1', user, { ttl : 60000, tags : ['users'] });
+   * cache.invalidateTag('users');
+   *
+   * var cache = Cache({ STORAGE : Cache.storage.local({ prefix : 'api:' }), TIMEOUT : 3600000 });
+   * searches.toHttpStream({ cache : cache });
+   *
+   * @name Cache
+   * @class
+   * @param {Object} options - A hash of options to configure the cache. Supports LIMIT (the max
+   * number of items in cache), MAX_BYTES and SIZE_OF, TIMEOUT (how long an entry should be
+   * valid), POLICY (how entries are evicted), STORAGE (where entries are persisted),
+   * SERIALIZE and DESERIALIZE.
+   */
+  var Cache = (function() {
+
+    var defaults = {
+      LIMIT       : 1000,
+      MAX_BYTES   : Infinity,
+      TIMEOUT     : (5 * 60 * 1000), // 5 minutes
+      POLICY      : 'LRU',
+      STORAGE     : null,
+      SERIALIZE   : function(record) {
+        return JSON.stringify(record);
+      },
+      DESERIALIZE : function(data) {
+        return JSON.parse(data);
+      },
+      // Roughly the bytes a value takes up, two per character of its JSON.
+      SIZE_OF     : function(value) {
+        try {
+          return (JSON.stringify(value) || '').length * 2;
+        } catch (e) {
+          return 0;
+        }
+      }
+    };
+
+    // Entries put with a ttl expire on their own schedule, the rest after TIMEOUT.
+    function isExpired(entry, timeout) {
+      return (currentTime() - entry.timestamp > (isNumber(entry.ttl) ? entry.ttl : timeout));
+    }
+
+    // update the counter to keep track of most popular cached items.
+    function updateCounter(entry) {
+      entry.counter = entry.counter + 1;
+    }
+
+    /**
+     * A doubly linked list of entries, newest at the head. Everything is constant time, which
+     * is what keeps the policies cheap no matter how big the cache gets. An entry can only be
+     * in one list at a time.
+     */
+    function List() {
+      this.head = null;
+      this.tail = null;
+    }
+
+    List.prototype.unshift = function(entry) {
+
+      entry.prev = null;
+      entry.next = this.head;
+
+      if (this.head) {
+        this.head.prev = entry;
+      } else {
+        this.tail = entry;
+      }
+
+      this.head = entry;
+    };
+
+    List.prototype.remove = function(entry) {
+
+      if (entry.prev) {
+        entry.prev.next = entry.next;
+      } else if (this.head === entry) {
+        this.head = entry.next;
+      }
+
+      if (entry.next) {
+        entry.next.prev = entry.prev;
+      } else if (this.tail === entry) {
+        this.tail = entry.prev;
+      }
+
+      entry.prev = null;
+      entry.next = null;
+    };
+
+    // The entries from the tail (oldest) to the head.
+    List.prototype.toArray = function() {
+
+      var entries = [],
+          entry   = this.tail;
+
+      while (entry) {
+        entries.push(entry);
+        entry = entry.prev;
+      }
+
+      return entries;
+    };
+
+    List.prototype.moveToHead = function(entry) {
+      if (this.head !== entry) {
+        this.remove(entry);
+        this.unshift(entry);
+      }
+    };
+
+    /**
+     * LRU, FIFO and TTL are the same list kept in different orders. The touch and update
+     * flags say whether reading or replacing an entry makes it the newest. TTL only evicts
+     * the oldest entry, and only if it has expired.
+     */
+    function listPolicy(onTouch, onUpdate, onlyExpired) {
+      return function(config) {
+
+        var list = new List();
+
+        return {
+          add : function(entry) {
+            list.unshift(entry);
+          },
+          touch : function(entry) {
+            if (onTouch) list.moveToHead(entry);
+          },
+          update : function(entry) {
+            if (onUpdate) list.moveToHead(entry);
+          },
+          remove : function(entry) {
+            list.remove(entry);
+          },
+          evict : function() {
+            if (onlyExpired && list.tail && !isExpired(list.tail, config.TIMEOUT)) {
+              return null;
+            }
+            return list.tail;
+          },
+          entries : function() {
+            return list.toArray();
+          }
+        };
+      };
+    }
+
+    /**
+     * LFU keeps a list per use count, so an entry moves up a list every time it's used and the
+     * entry to evict is the tail of the lowest list.
+     */
+    function lfuPolicy() {
+
+      var buckets = {},
+          min     = 1;
+
+      function bucketFor(count) {
+        if (!buckets[count]) {
+          buckets[count] = new List();
+        }
+        return buckets[count];
+      }
+
+      function leave(entry) {
+
+        var count = entry.bucket;
+
+        buckets[count].remove(entry);
+
+        if (!buckets[count].head) {
+          delete buckets[count];
+        }
+      }
+
+      function join(entry) {
+
+        entry.bucket = entry.counter;
+        bucketFor(entry.counter).unshift(entry);
+
+        if (entry.counter < min) {
+          min = entry.counter;
+        }
+      }
+
+      function moveUp(entry) {
+
+        var from = entry.bucket;
+
+        leave(entry);
+        join(entry);
+
+        if (from === min && !buckets[from]) {
+          min = entry.counter;
+        }
+      }
+
+      return {
+        add    : join,
+        touch  : moveUp,
+        update : moveUp,
+        remove : leave,
+        evict  : function() {
+
+          var count;
+
+          // Entries that were removed may have emptied the lowest list.
+          if (!buckets[min]) {
+            min = Infinity;
+            for (count in buckets) {
+              min = Math.min(min, Number(count));
+            }
+          }
+
+          return buckets[min] ? buckets[min].tail : null;
+        },
+        entries : function() {
+
+          var counts  = [],
+              entries = [],
+              count;
+
+          for (count in buckets) {
+            counts.push(Number(count));
+          }
+
+          counts.sort(function(a, b) {
+            return a - b;
+          });
+
+          each(function(count) {
+            entries = entries.concat(buckets[count].toArray());
+          }, counts);
+
+          return entries;
+        }
+      };
+    }
+
+    var policies = {
+      LRU  : listPolicy(true, true, false),
+      FIFO : listPolicy(false, false, false),
+      TTL  : listPolicy(false, true, true),
+      LFU  : lfuPolicy
+    };
+
+    function _Cache(options) {
+
+      var makePolicy;
+
+      this.store    = {};
+      this.tagged   = {};
+      this.config   = {};
+      this.size     = 0;
+      this.bytes    = 0;
+      this.counts   = {
+        hits        : 0,
+        misses      : 0,
+        expirations : 0,
+        evictions   : 0
+      };
+      this.eventStream = null;
+
+      extend(this.config, defaults, options);
+
+      makePolicy = isFunction(this.config.POLICY) ? this.config.POLICY : policies[this.config.POLICY];
+
+      assert(isFunction(makePolicy), 'Cache received an unknown POLICY: ' + this.config.POLICY);
+
+      this.policy = makePolicy(this.config);
+
+      if (this.config.STORAGE) {
+        load(this);
+      }
+    }
+
+    // The store is a plain object, so don't mistake what it inherits for entries.
+    function lookup(cache, key) {
+      return _hasProp.call(cache.store, key) ? cache.store[key] : null;
+    }
+
+    // Keeps the tag index (tag -> hash of keys) in step with an entry's tags.
+    function indexTags(cache, entry, add) {
+      each(function(tag) {
+
+        var keys = cache.tagged[tag],
+            key;
+
+        if (add) {
+          keys = cache.tagged[tag] = keys || {};
+          keys[entry.key] = true;
+        } else if (keys) {
+
+          delete keys[entry.key];
+
+          // Forget tags nothing is using anymore.
+          for (key in keys) return;
+          delete cache.tagged[tag];
+        }
+
+      }, entry.tags);
+    }
+
+    // Tells anyone listening to cache.events() what just happened.
+    function notify(cache, type, key, reason) {
+      if (cache.eventStream) {
+        cache.eventStream.broadcast('sendNext', {
+          type   : type,
+          key    : key,
+          reason : reason
+        });
+      }
+    }
+
+    /**
+     * Takes an entry out of the store, the policy and storage. Type and reason are what gets
+     * reported to cache.events() ('remove', 'evict' or 'expire').
+     */
+    function removeEntry(cache, key, type, reason) {
+
+      var entry = cache.store[key];
+
+      delete cache.store[key];
+
+      cache.size = cache.size - 1;
+      cache.bytes = cache.bytes - entry.bytes;
+
+      cache.policy.remove(entry);
+      indexTags(cache, entry, false);
+
+      if (cache.config.STORAGE) {
+        cache.config.STORAGE.removeItem(key);
+      }
+
+      notify(cache, type, key, reason);
+    }
+
+    // Only measure values when there's a byte limit, measuring isn't free.
+    function sizeOf(cache, value) {
+      return (cache.config.MAX_BYTES < Infinity) ? cache.config.SIZE_OF(value) : 0;
+    }
+
+    // Evicts entries until bytes more will fit, returns false if they never will.
+    function makeRoom(cache, bytes) {
+
+      if (bytes > cache.config.MAX_BYTES) return false;
+
+      while (cache.bytes + bytes > cache.config.MAX_BYTES && evict(cache, 'limit')) {}
+
+      return true;
+    }
+
+    /**
+     * Puts a new entry in the store from a record (key, value, timestamp, counter, ttl and
+     * tags), making room for it first so it isn't the one evicted. Returns null if the value
+     * is too big to ever fit.
+     */
+    function addEntry(cache, record) {
+
+      var bytes = sizeOf(cache, record.value),
+          entry;
+
+      if (!makeRoom(cache, bytes)) return null;
+
+      while (cache.size >= cache.config.LIMIT && evict(cache, 'limit')) {}
+
+      cache.size = cache.size + 1;
+      cache.bytes = cache.bytes + bytes;
+      entry = cache.store[record.key] = {
+        key       : record.key,
+        value     : record.value,
+        next      : null,
+        prev      : null,
+        timestamp : record.timestamp,
+        counter   : record.counter || 1,
+        ttl       : isNumber(record.ttl) ? record.ttl : null,
+        tags      : record.tags || [],
+        bytes     : bytes,
+        persist   : true
+      };
+
+      cache.policy.add(entry);
+      indexTags(cache, entry, true);
+
+      return entry;
+    }
+
+    function isQuotaError(err) {
+      return (
+        err.name === 'QuotaExceededError' ||
+        err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        err.code === 22 ||
+        err.code === 1014 ||
+        err.code === 'ENOSPC' ||
+        err.code === 'EDQUOT'
+      );
+    }
+
+    // Writes an entry through to storage, evicting other entries while storage is full.
+    function persist(cache, entry) {
+
+      var data;
+
+      if (!cache.config.STORAGE || !entry.persist) return;
+
+      data = cache.config.SERIALIZE({
+        key       : entry.key,
+        value     : entry.value,
+        timestamp : entry.timestamp,
+        counter   : entry.counter,
+        ttl       : entry.ttl,
+        tags      : entry.tags
+      });
+
+      cache.config.STORAGE.setItem(entry.key, data, function(err) {
+        if (err && isQuotaError(err) && cache.store[entry.key] === entry && evict(cache, 'quota')) {
+          // The entry itself may have been the one to go.
+          if (cache.store[entry.key] === entry) {
+            persist(cache, entry);
+          }
+        }
+      });
+    }
+
+    /**
+     * Fills the cache from storage, oldest entries first so the policy ends up in about the
+     * same order. Expired and unreadable records are cleaned out. Keys that were put in the
+     * cache before storage got back to us are newer, so they're kept.
+     */
+    function load(cache) {
+
+      var storage = cache.config.STORAGE;
+
+      storage.getAll(function(err, items) {
+
+        var records = [],
+            key,
+            record;
+
+        if (err || !items) return;
+
+        for (key in items) {
+
+          try {
+            record = cache.config.DESERIALIZE(items[key]);
+          } catch (e) {
+            record = null;
+          }
+
+          if (!record || isExpired(record, cache.config.TIMEOUT)) {
+            storage.removeItem(key);
+          } else if (!lookup(cache, key)) {
+            records.push(record);
+          }
+        }
+
+        records.sort(function(a, b) {
+          return a.timestamp - b.timestamp;
+        });
+
+        each(function(record) {
+          if (!lookup(cache, record.key) && addEntry(cache, record)) {
+            notify(cache, 'put', record.key, 'restore');
+          }
+        }, records);
+      });
+    }
+
+    /**
+     * Asks the policy for an entry to evict and removes it. Returns whether anything went.
+     * The reason is why we needed room, 'limit' or 'quota' (storage is full).
+     */
+    function evict(cache, reason) {
+
+      var entry = cache.policy.evict();
+
+      // Don't trust a policy that hands back something we don't have.
+      if (!entry || lookup(cache, entry.key) !== entry) return false;
+
+      cache.counts.evictions = cache.counts.evictions + 1;
+
+      removeEntry(cache, entry.key, 'evict', reason);
+
+      return true;
+    }
+
+    /**
+     *
+     */
+    _Cache.prototype.get = function(key) {
+
+      var entry = lookup(this, key);
+
+      if (entry) {
+
+        // if we have a key but it's expired, blow the mother up.
+        if (isExpired(entry, this.config.TIMEOUT)) {
+          this.counts.expirations = this.counts.expirations + 1;
+          this.counts.misses = this.counts.misses + 1;
+          removeEntry(this, key, 'expire', 'timeout');
+          notify(this, 'get', key, 'miss');
+          return null;
+        }
+
+        // otherwise, yeah b@$%#!, let's return the value and get moving.
+        updateCounter(entry);
+        this.policy.touch(entry);
+        this.counts.hits = this.counts.hits + 1;
+        notify(this, 'get', key, 'hit');
+        return entry.value;
+      }
+
+      this.counts.misses = this.counts.misses + 1;
+      notify(this, 'get', key, 'miss');
+
+      return null;
+    };
+
+    /**
+     * Puts a value in the cache. The options are:
+     *
+     * ttl     - how long (milliseconds) this entry is valid, instead of TIMEOUT.
+     * tags    - an array of tags, to invalidate related entries together with invalidateTag.
+     * persist - false keeps the value in memory and out of STORAGE, for values that can't be
+     *           stored yet (like a request that hasn't come back).
+     *
+     * Putting a key again replaces its value. Its ttl and tags are kept unless new ones are
+     * passed.
+     *
+     * @name put
+     * @memberOf Cache
+     * @method
+     * @instance
+     * @param {String} key     - Key to store the value under.
+     * @param {Any}    value   - Value to store.
+     * @param {Object} options - ttl, tags and persist (true).
+     * @returns {Any} The value.
+     */
+    _Cache.prototype.put = function(key, value, options) {
+
+      var config = {
+            ttl     : null,
+            tags    : [],
+            persist : true
+          },
+          entry,
+          bytes;
+
+      if (isNothing(key) || isNothing(value)) return;
+
+      options = options || {};
+
+      extend(config, options);
+
+      entry = lookup(this, key);
+
+      if (!entry) {
+
+        entry = addEntry(this, {
+          key       : key,
+          value     : value,
+          timestamp : currentTime(),
+          counter   : 1,
+          ttl       : config.ttl,
+          tags      : config.tags
+        });
+
+        if (!entry) return value;
+
+        notify(this, 'put', key, 'new');
+
+      } else {
+
+        bytes = sizeOf(this, value);
+
+        // Doesn't fit even on its own, the old value would be stale so it goes too.
+        if (bytes > this.config.MAX_BYTES) {
+          removeEntry(this, key, 'evict', 'limit');
+          this.counts.evictions = this.counts.evictions + 1;
+          return value;
+        }
+
+        indexTags(this, entry, false);
+        this.bytes = this.bytes - entry.bytes + bytes;
+        entry.value = value;
+        entry.bytes = bytes;
+        entry.timestamp = currentTime();
+
+        if (_hasProp.call(options, 'ttl')) {
+          entry.ttl = isNumber(config.ttl) ? config.ttl : null;
+        }
+
+        if (_hasProp.call(options, 'tags')) {
+          entry.tags = config.tags || [];
+        }
+
+        updateCounter(entry);
+        this.policy.update(entry);
+        indexTags(this, entry, true);
+        notify(this, 'put', key, 'update');
+
+        makeRoom(this, 0);
+
+        // Making room may have meant evicting this very entry.
+        if (lookup(this, key) !== entry) return value;
+      }
+
+      entry.persist = (config.persist !== false);
+
+      persist(this, entry);
+
+      return value;
+    };
+
+    /**
+     * Whether there's a live (not expired) entry for the key. Unlike get, it doesn't count as
+     * a use of the entry.
+     *
+     * @name has
+     * @memberOf Cache
+     * @method
+     * @instance
+     * @param {String} key - Key to look for.
+     * @returns {Boolean}
+     */
+    _Cache.prototype.has = function(key) {
+
+      var entry = lookup(this, key);
+
+      if (entry && isExpired(entry, this.config.TIMEOUT)) {
+        this.counts.expirations = this.counts.expirations + 1;
+        removeEntry(this, key, 'expire', 'timeout');
+        return false;
+      }
+
+      return !!entry;
+    };
+
+    /**
+     * @name keys
+     * @memberOf Cache
+     * @method
+     * @instance
+     * @returns {Array} The keys of all the live entries.
+     */
+    _Cache.prototype.keys = function() {
+
+      var keys = [],
+          key;
+
+      for (key in this.store) {
+        if (this.has(key)) {
+          keys.push(key);
+        }
+      }
+
+      return keys;
+    };
+
+    /**
+     * Calls fn with the value and key of every live entry. Like has, it doesn't count as a
+     * use of the entries.
+     *
+     * @name forEach
+     * @memberOf Cache
+     * @method
+     * @instance
+     * @param {Function} fn      - Function to call with each value and key.
+     * @param {Object}   thisArg - Optional this for fn.
+     */
+    _Cache.prototype.forEach = function(fn, thisArg) {
+
+      var cache = this;
+
+      each(function(key) {
+        fn.call(thisArg, cache.store[key].value, key);
+      }, this.keys());
+    };
+
+    /**
+     * Removes every entry, from STORAGE as well.
+     *
+     * @name clear
+     * @memberOf Cache
+     * @method
+     * @instance
+     */
+    _Cache.prototype.clear = function() {
+
+      var key;
+
+      for (key in this.store) {
+        if (lookup(this, key)) {
+          removeEntry(this, key, 'remove', 'clear');
+        }
+      }
+
+      this.tagged = {};
+    };
+
+    /**
+     * Removes every entry that was put with the tag.
+     *
+     * @name invalidateTag
+     * @memberOf Cache
+     * @method
+     * @instance
+     * @param {String} tag - Tag to invalidate.
+     * @returns {Number} The number of entries removed.
+     */
+    _Cache.prototype.invalidateTag = function(tag) {
+
+      var keys = [],
+          key;
+
+      for (key in (this.tagged[tag] || {})) {
+        keys.push(key);
+      }
+
+      delete this.tagged[tag];
+
+      return invalidate(this, keys);
+    };
+
+    /**
+     * Removes every entry whose key matches. The pattern can be a RegExp, tested against the
+     * key, or a function that is called with the key and value and returns true to remove it.
+     *
+     * EXAMPLE:
+     * cache.invalidateMatching(/^\/api\/users/);
+     *
+     * @name invalidateMatching
+     * @method
+     * @memberOf Cache
+     * @instance
+     * @param {RegExp|Function} pattern - What to remove.
+     * @returns {Number} The number of entries removed.
+     */
+    _Cache.prototype.invalidateMatching = function(pattern) {
+
+      var keys = [],
+          key;
+
+      assert(pattern instanceof RegExp || isFunction(pattern), 'Cache.invalidateMatching needs a RegExp or function');
+
+      for (key in this.store) {
+        if (lookup(this, key)) {
+
+          if (isFunction(pattern)) {
+            if (pattern(key, this.store[key].value)) keys.push(key);
+          } else {
+            // A global RegExp remembers where it last matched, start over every time.
+            pattern.lastIndex = 0;
+            if (pattern.test(key)) keys.push(key);
+          }
+        }
+      }
+
+      return invalidate(this, keys);
+    };
+
+    /**
+     * A dump of the live entries that's safe to JSON.stringify, to send along with a server
+     * rendered page and hydrate on the client with Cache.hydrate. Entries are listed in the
+     * order the policy would evict them, so hydrating keeps the order. Entries kept out of
+     * STORAGE (persist false) are left out, as are values that can't be turned into JSON.
+     *
+     * EXAMPLE:
+     * // on the server
+     * html += '<script>window.CACHE = ' + JSON.stringify(cache.snapshot()) + '</script>';
+     *
+     * // on the client
+     * var cache = Cache.hydrate(window.CACHE, { TIMEOUT : 60000 });
+     *
+     * @name snapshot
+     * @memberOf Cache
+     * @method
+     * @instance
+     * @returns {Object} A snapshot of the cache.
+     */
+    _Cache.prototype.snapshot = function() {
+
+      var cache   = this,
+          records = [],
+          entries = [],
+          key;
+
+      if (isFunction(this.policy.entries)) {
+        entries = this.policy.entries();
+      } else {
+
+        for (key in this.store) {
+          if (lookup(this, key)) {
+            entries.push(this.store[key]);
+          }
+        }
+
+        entries.sort(function(a, b) {
+          return a.timestamp - b.timestamp;
+        });
+      }
+
+      each(function(entry) {
+
+        var value;
+
+        if (!entry.persist || isExpired(entry, cache.config.TIMEOUT)) return;
+
+        // Copying through JSON makes sure it's safe and detaches it from the live value.
+        try {
+          value = JSON.parse(JSON.stringify(entry.value));
+        } catch (e) {
+          return;
+        }
+
+        records.push({
+          key       : entry.key,
+          value     : value,
+          timestamp : entry.timestamp,
+          counter   : entry.counter,
+          ttl       : entry.ttl,
+          tags      : entry.tags.slice()
+        });
+
+      }, entries);
+
+      return {
+        version : 1,
+        entries : records
+      };
+    };
+
+    function invalidate(cache, keys) {
+
+      var removed = 0;
+
+      each(function(key) {
+        if (lookup(cache, key)) {
+          removeEntry(cache, key, 'remove', 'invalidate');
+          removed = removed + 1;
+        }
+      }, keys);
+
+      return removed;
+    }
+
+    /**
+     *
+     */
+    _Cache.prototype.remove = function(key) {
+
+      if (!lookup(this, key)) return;
+
+      removeEntry(this, key, 'remove', 'manual');
+    };
+
+    /**
+     * Numbers on how the cache is doing. An expired entry counts as a miss too.
+     *
+     * @name stats
+     * @memberOf Cache
+     * @method
+     * @instance
+     * @returns {Object} hits, misses, expirations, evictions, size, bytes (with MAX_BYTES) and
+     * hitRatio (0 to 1).
+     */
+    _Cache.prototype.stats = function() {
+
+      var counts  = this.counts,
+          lookups = counts.hits + counts.misses;
+
+      return {
+        hits        : counts.hits,
+        misses      : counts.misses,
+        expirations : counts.expirations,
+        evictions   : counts.evictions,
+        size        : this.size,
+        bytes       : this.bytes,
+        hitRatio    : (lookups > 0) ? (counts.hits / lookups) : 0
+      };
+    };
+
+    /**
+     * A stream of everything that happens to the cache, as { type, key, reason } records:
+     *
+     * put    - reason is 'new', 'update', 'restore' (loaded from STORAGE) or 'hydrate'.
+     * get    - reason is 'hit' or 'miss'.
+     * evict  - reason is 'limit' or 'quota' (STORAGE was full).
+     * expire - reason is 'timeout'.
+     * remove - reason is 'manual', 'clear', 'invalidate' or 'hydrate'.
+     *
+     * Every call returns the same stream. Events are only sent while somebody is subscribed.
+     *
+     * EXAMPLE:
+     * cache.events().filter(function(evt) {
+     *   return evt.type === 'evict';
+     * }).bufferWithTime(60000).map(get('length')).subscribe(chart);
+     *
+     * @name events
+     * @memberOf Cache
+     * @method
+     * @instance
+     * @returns {Stream} A stream of cache events.
+     */
+    _Cache.prototype.events = function() {
+
+      if (!this.eventStream) {
+        this.eventStream = Stream(noop).named('cache events');
+      }
+
+      return this.eventStream;
+    };
+
+    function Cache(options) {
+      return new _Cache(options);
+    }
+
+    /**
+     * @name isCache
+     * @memberOf Cache
+     * @static
+     */
+    Cache.isCache = function(obj) {
+      return (obj instanceof _Cache);
+    };
+
+    /**
+     * Makes a new cache from a snapshot (or its JSON), putting the entries back in the same
+     * order. Entries keep their timestamps, so anything that expired in the meantime is left
+     * out. The options are the same as for Cache.
+     *
+     * @name hydrate
+     * @memberOf Cache
+     * @static
+     * @param {Object} snapshot - What cache.snapshot() returned, or that as a JSON string.
+     * @param {Object} options  - Options for the new cache.
+     * @returns {Cache} A new cache.
+     */
+    Cache.hydrate = function(snapshot, options) {
+
+      var cache = Cache(options);
+
+      if (isString(snapshot)) {
+        snapshot = JSON.parse(snapshot);
+      }
+
+      assert(isObject(snapshot) && isArray(snapshot.entries), 'Cache.hydrate did not receive a snapshot');
+
+      each(function(record) {
+
+        var entry;
+
+        if (isExpired(record, cache.config.TIMEOUT)) return;
+
+        // Entries already loaded from STORAGE make way for the snapshot's.
+        if (lookup(cache, record.key)) {
+          removeEntry(cache, record.key, 'remove', 'hydrate');
+        }
+
+        entry = addEntry(cache, record);
+
+        if (entry) {
+          notify(cache, 'put', record.key, 'hydrate');
+          persist(cache, entry);
+        }
+
+      }, snapshot.entries);
+
+      return cache;
+    };
+
+    /**
+     * The built in eviction policies (LRU, LFU, FIFO and TTL), as functions that take a cache
+     * config and return a policy.
+     *
+     * @name policies
+     * @memberOf Cache
+     * @static
+     */
+    Cache.policies = policies;
+
+    /**
+     * Makes an adapter for localStorage or sessionStorage. Keys are prefixed so the cache only
+     * sees its own items. Where the storage isn't there (Node, or blocked by the browser) the
+     * adapter quietly stores nothing.
+     */
+    function webStorage(name) {
+      return function(options) {
+
+        var config  = { prefix : 'frampton:' },
+            storage = null;
+
+        extend(config, options);
+
+        // Just looking at storage can throw when cookies are blocked.
+        try {
+          storage = global[name] || null;
+        } catch (e) {
+          storage = null;
+        }
+
+        return {
+          getAll : function(callback) {
+
+            var items = {},
+                key,
+                i;
+
+            if (storage) {
+              for (i = 0; i < storage.length; i++) {
+                key = storage.key(i);
+                if (key.indexOf(config.prefix) === 0) {
+                  items[key.slice(config.prefix.length)] = storage.getItem(key);
+                }
+              }
+            }
+
+            callback(null, items);
+          },
+          setItem : function(key, data, callback) {
+
+            callback = callback || noop;
+
+            if (!storage) return callback(null);
+
+            try {
+              storage.setItem(config.prefix + key, data);
+            } catch (err) {
+              return callback(err);
+            }
+
+            callback(null);
+          },
+          removeItem : function(key) {
+            if (storage) {
+              storage.removeItem(config.prefix + key);
+            }
+          }
+        };
+      };
+    }
+
+    /**
+     * Makes an adapter for IndexedDB. The database is opened the first time it's needed and
+     * items are kept in one object store, options being name ('frampton') and storeName
+     * ('cache'). IndexedDB is async, so a cache using it starts empty and fills in once the
+     * items are read.
+     */
+    function indexedDBStorage(options) {
+
+      var config  = {
+            name      : 'frampton',
+            storeName : 'cache'
+          },
+          db      = null,
+          failure = null,
+          waiting = [];
+
+      extend(config, options);
+
+      // Calls fn with the database, or with an error if it can't be opened.
+      function withDB(fn) {
+
+        var request;
+
+        if (db || failure) return fn(failure, db);
+
+        waiting.push(fn);
+
+        if (waiting.length > 1) return;
+
+        function done(err, result) {
+          failure = err;
+          db = result;
+          each(function(fn) {
+            fn(failure, db);
+          }, waiting.splice(0, waiting.length));
+        }
+
+        if (!global.indexedDB) {
+          return done(new Error('Cache.storage.indexedDB needs IndexedDB'), null);
+        }
+
+        request = global.indexedDB.open(config.name, 1);
+
+        request.onupgradeneeded = function() {
+          request.result.createObjectStore(config.storeName);
+        };
+
+        request.onsuccess = function() {
+          done(null, request.result);
+        };
+
+        request.onerror = function() {
+          done(request.error, null);
+        };
+      }
+
+      // Runs fn against the object store in a transaction, callback gets the outcome.
+      function transact(mode, fn, callback) {
+        withDB(function(err, db) {
+
+          var tx;
+
+          if (err) return callback(err);
+
+          try {
+            tx = db.transaction(config.storeName, mode);
+          } catch (e) {
+            return callback(e);
+          }
+
+          tx.oncomplete = function() {
+            callback(null);
+          };
+
+          tx.onabort = tx.onerror = function() {
+            callback(tx.error || new Error('Cache.storage.indexedDB transaction failed'));
+            callback = noop;
+          };
+
+          fn(tx.objectStore(config.storeName));
+        });
+      }
+
+      return {
+        getAll : function(callback) {
+
+          var items = {};
+
+          transact('readonly', function(store) {
+            store.openCursor().onsuccess = function(evt) {
+              var cursor = evt.target.result;
+              if (cursor) {
+                items[cursor.key] = cursor.value;
+                cursor['continue']();
+              }
+            };
+          }, function(err) {
+            callback(err, err ? null : items);
+          });
+        },
+        setItem : function(key, data, callback) {
+          transact('readwrite', function(store) {
+            store.put(data, key);
+          }, callback || noop);
+        },
+        removeItem : function(key) {
+          transact('readwrite', function(store) {
+            store['delete'](key);
+          }, noop);
+        }
+      };
+    }
+
+    /**
+     * Makes an adapter that keeps items in a JSON file, for Node. The file is read when the
+     * cache is made and writes are batched, replacing the file in one go so it's never left
+     * half written. Pass fs in the options to use something other than Node's.
+     */
+    function fileStorage(path, options) {
+
+      var config  = { fs : null },
+          items   = null,
+          waiting = [],
+          queued  = false,
+          writing = false,
+          fs;
+
+      extend(config, options);
+
+      fs = config.fs || nodeRequire('fs');
+
+      assert(isString(path), 'Cache.storage.file needs a path');
+      assert(fs, 'Cache.storage.file needs the fs module');
+
+      function read() {
+
+        if (items) return items;
+
+        try {
+          items = JSON.parse(fs.readFileSync(path, 'utf8'));
+        } catch (e) {
+          items = {};
+        }
+
+        return items;
+      }
+
+      function write() {
+
+        var callbacks = waiting,
+            tmpPath   = path + '.tmp';
+
+        waiting = [];
+        queued = false;
+        writing = true;
+
+        fs.writeFile(tmpPath, JSON.stringify(items), function(err) {
+
+          function finish(err) {
+
+            writing = false;
+
+            each(function(callback) {
+              callback(err || null);
+            }, callbacks);
+
+            if (waiting.length > 0) schedule();
+          }
+
+          if (err) return finish(err);
+
+          fs.rename(tmpPath, path, finish);
+        });
+      }
+
+      function schedule(callback) {
+
+        if (callback) waiting.push(callback);
+
+        if (!queued && !writing) {
+          queued = true;
+          immediate(write);
+        }
+      }
+
+      return {
+        getAll : function(callback) {
+          callback(null, read());
+        },
+        setItem : function(key, data, callback) {
+          read()[key] = data;
+          schedule(callback || noop);
+        },
+        removeItem : function(key) {
+          if (_hasProp.call(read(), key)) {
+            delete items[key];
+            schedule(noop);
+          }
+        }
+      };
+    }
+
+    /**
+     * Storage adapters for the STORAGE option.
+     *
+     * Cache.storage.local(options)      - localStorage, options being prefix ('frampton:').
+     * Cache.storage.session(options)    - sessionStorage, same options as local.
+     * Cache.storage.indexedDB(options)  - IndexedDB, options being name and storeName.
+     * Cache.storage.file(path, options) - a JSON file, in Node.
+     *
+     * @name storage
+     * @memberOf Cache
+     * @static
+     */
+    Cache.storage = {
+      local     : webStorage('localStorage'),
+      session   : webStorage('sessionStorage'),
+      indexedDB : indexedDBStorage,
+      file      : fileStorage
+    };
+
+    return Cache;
+
+  }());
+
+  /**
+   * How http streams talk to the network. A transport is a function that takes a request,
+   * { url, method, headers, body, dataType }, and returns a promise of the response,
+   * { status, headers, data }. Header names in the response should be lower case and the
+   * data should be parsed as JSON when the dataType is 'json', text otherwise. Transports
+   * don't need to treat error statuses as failures, createHttpStream does that, they should
+   * only reject when there's no response at all.
+   *
+   * The built in transports are in http.transports: jquery ($.ajax), fetch, xhr
+   * (XMLHttpRequest) and node (Node's http and https modules). Until one is set with
+   * setTransport, requests use the first of those that's available. http.mock makes a
+   * transport that answers from a script, for tests.
+   *
+   * EXAMPLE:
+   * Frampton.http.setTransport(Frampton.http.transports.fetch);
+   *
+   * searches.toHttpStream({ transport : Frampton.http.mock({ '/search' : { data : [] } }) });
+   *
+   * @name http
+   * @memberOf Frampton
+   * @static
+   */
+  var http = (function() {
+
+    var installed = null;
+
+    // Turns a raw header block (from XHR) into a hash with lower case names.
+    function parseHeaders(raw) {
+
+      var headers = {};
+
+      each(function(line) {
+
+        var index = line.indexOf(':');
+
+        if (index > 0) {
+          headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+        }
+
+      }, (raw || '').split(/\r?\n/));
+
+      return headers;
+    }
+
+    // Error responses may not be JSON even when we asked for it, so they're left as text.
+    function parseBody(text, dataType, status) {
+
+      if (dataType !== 'json' || status === 204 || status === 304 || status >= 400 || text === '') {
+        return (text === '') ? null : text;
+      }
+
+      return JSON.parse(text);
+    }
+
+    function needsPromise(name) {
+      assert(isFunction(global.Promise), 'The ' + name + ' transport needs Promise support');
+    }
+
+    /**
+     * @name jquery
+     * @memberOf http.transports
+     * @static
+     */
+    function jqueryTransport(request) {
+
+      needsPromise('jquery');
+
+      return new global.Promise(function(resolve, reject) {
+        $.ajax({
+          url : request.url,
+          method : request.method,
+          headers : request.headers,
+          data : request.body,
+          processData : false,
+          dataType : 'text'
+        }).always(function() {
+
+          // always gets (data, status, xhr) on success and (xhr, status, error) on failure.
+          var xhr = isFunction(arguments[0] && arguments[0].getAllResponseHeaders) ? arguments[0] : arguments[2];
+
+          if (!xhr || !xhr.status) {
+            return reject(new Error('Request for ' + request.url + ' failed'));
+          }
+
+          try {
+            resolve({
+              status : xhr.status,
+              headers : parseHeaders(xhr.getAllResponseHeaders()),
+              data : parseBody(xhr.responseText, request.dataType, xhr.status)
+            });
+          } catch (err) {
+            reject(err);
+          }
+        });
+      });
+    }
+
+    /**
+     * @name fetch
+     * @memberOf http.transports
+     * @static
+     */
+    function fetchTransport(request) {
+      return global.fetch(request.url, {
+        method : request.method,
+        headers : request.headers,
+        body : request.body
+      }).then(function(response) {
+
+        var headers = {};
+
+        response.headers.forEach(function(value, name) {
+          headers[name.toLowerCase()] = value;
+        });
+
+        return response.text().then(function(text) {
+          return {
+            status : response.status,
+            headers : headers,
+            data : parseBody(text, request.dataType, response.status)
+          };
+        });
+      });
+    }
+
+    /**
+     * @name xhr
+     * @memberOf http.transports
+     * @static
+     */
+    function xhrTransport(request) {
+
+      needsPromise('xhr');
+
+      return new global.Promise(function(resolve, reject) {
+
+        var xhr = new global.XMLHttpRequest(),
+            name;
+
+        xhr.open(request.method, request.url, true);
+
+        for (name in request.headers) {
+          xhr.setRequestHeader(name, request.headers[name]);
+        }
+
+        xhr.onload = function() {
+          try {
+            resolve({
+              status : xhr.status,
+              headers : parseHeaders(xhr.getAllResponseHeaders()),
+              data : parseBody(xhr.responseText, request.dataType, xhr.status)
+            });
+          } catch (err) {
+            reject(err);
+          }
+        };
+
+        xhr.onerror = xhr.ontimeout = function() {
+          reject(new Error('Request for ' + request.url + ' failed'));
+        };
+
+        xhr.send(isNothing(request.body) ? null : request.body);
+      });
+    }
+
+    /**
+     * @name node
+     * @memberOf http.transports
+     * @static
+     */
+    function nodeTransport(request) {
+
+      var lib = nodeRequire(/^https:/.test(request.url) ? 'https' : 'http');
+
+      assert(lib, 'The node transport only works in Node');
+
+      return new global.Promise(function(resolve, reject) {
+
+        var req = lib.request(request.url, {
+          method : request.method,
+          headers : request.headers
+        }, function(res) {
+
+          var chunks = [];
+
+          res.on('data', function(chunk) {
+            chunks.push(chunk);
+          });
+
+          res.on('end', function() {
+            try {
+              resolve({
+                status : res.statusCode,
+                headers : res.headers,
+                data : parseBody(global.Buffer.concat(chunks).toString('utf8'), request.dataType, res.statusCode)
+              });
+            } catch (err) {
+              reject(err);
+            }
+          });
+
+          res.on('error', reject);
+        });
+
+        req.on('error', reject);
+
+        if (!isNothing(request.body)) {
+          req.write(request.body);
+        }
+
+        req.end();
+      });
+    }
+
+    var transports = {
+      jquery : jqueryTransport,
+      fetch  : fetchTransport,
+      xhr    : xhrTransport,
+      node   : nodeTransport
+    };
+
+    /**
+     * Sets the transport used by every http stream that isn't given one. Setting null goes
+     * back to picking the first available built in transport.
+     *
+     * @name setTransport
+     * @memberOf http
+     * @static
+     * @param {Function} transport - A transport.
+     */
+    function setTransport(transport) {
+      assert(isNothing(transport) || isFunction(transport), 'http.setTransport did not receive a function');
+      installed = transport || null;
+    }
+
+    /**
+     * @name getTransport
+     * @memberOf http
+     * @static
+     * @returns {Function} The transport http streams use when they aren't given one.
+     */
+    function getTransport() {
+
+      if (installed) return installed;
+
+      if (isFunction($) && isFunction($.ajax)) return jqueryTransport;
+      if (isFunction(global.fetch)) return fetchTransport;
+      if (isFunction(global.XMLHttpRequest)) return xhrTransport;
+      if (nodeRequire('http')) return nodeTransport;
+
+      return function(request) {
+        return global.Promise.reject(new Error('No http transport available for ' + request.url));
+      };
+    }
+
+    /**
+     * Makes a transport that answers requests from a script instead of the network. The
+     * script is a hash of routes, 'METHOD url' or just 'url' (any method), to responses:
+     *
+     * - a response, { status (200), headers ({}), data, delay (0), error }. With an error the
+     *   request fails as if there was no network.
+     * - an array of responses, used one after the other for repeated requests, the last
+     *   one sticking.
+     * - a function that takes the request and returns a response. If it throws the request
+     *   fails with that error, if it returns nothing the request gets a 404.
+     *
+     * Requests with no route get a 404. Every request is recorded in the transport's requests
+     * array. Delays use the scheduler option, or the installed TestScheduler, so they can be
+     * stepped through in tests.
+     *
+     * EXAMPLE:
+     * var transport = http.mock({
+     *   'GET /users' : [{ data : [] }, { data : [user], delay : 100 }],
+     *   'POST /users' : function(request) {
+     *     return { status : 201, data : JSON.parse(request.body) };
+     *   }
+     * });
+     *
+     * @name mock
+     * @memberOf http
+     * @static
+     * @param {Object} routes  - Responses by route.
+     * @param {Object} options - delay (for every response) and scheduler.
+     * @returns {Function} A transport, with a requests array.
+     */
+    function mock(routes, options) {
+
+      var config = {
+            delay     : 0,
+            scheduler : null
+          },
+          calls = {};
+
+      extend(config, options);
+
+      function transport(request) {
+
+        var route = _hasProp.call(routes, request.method + ' ' + request.url) ? request.method + ' ' + request.url :
+                    _hasProp.call(routes, request.url) ? request.url : null,
+            script = route ? routes[route] : { status : 404, data : null },
+            response;
+
+        needsPromise('mock');
+
+        transport.requests.push(request);
+
+        if (isArray(script)) {
+          calls[route] = (calls[route] || 0) + 1;
+          script = script[Math.min(calls[route], script.length) - 1];
+        }
+
+        try {
+          response = isFunction(script) ? script(request) : script;
+        } catch (err) {
+          response = { error : err };
+        }
+
+        if (!isObject(response)) {
+          response = { status : 404, data : null };
+        }
+
+        return new global.Promise(function(resolve, reject) {
+          schedulerFor(config.scheduler).schedule(function() {
+
+            if (response.error) {
+              return reject(response.error);
+            }
+
+            resolve({
+              status : isNumber(response.status) ? response.status : 200,
+              headers : response.headers || {},
+              data : isUndefined(response.data) ? null : response.data
+            });
+
+          }, isNumber(response.delay) ? response.delay : config.delay);
+        });
+      }
+
+      transport.requests = [];
+
+      return transport;
+    }
+
+    return {
+      transports   : transports,
+      setTransport : setTransport,
+      getTransport : getTransport,
+      mock         : mock
+    };
+
+  }());
+
+  /**
+   *
+   * @name Outlet
+   * @class
+   */
+  var Outlet = (function() {
+
+    function _Outlet(onNext, onError, onDone) {
+      this._onError = onError || noop;
+      this._onNext  = onNext || noop;
+      this._onDone  = onDone || noop;
+      this.isClosed = false;
+    }
+
+    /**
+     * @name sendNext
+     * @memberOf Outlet
+     * @method
+     * @instance
+     */
+    _Outlet.prototype.sendNext = function(val) {
+      if (!this.isClosed) {
+        this._onNext(val);
+      }
+    };
+
+    /**
+     * @name sendError
+     * @memberOf Outlet
+     * @method
+     * @instance
+     */
+    _Outlet.prototype.sendError = function(err) {
+      if (!this.isClosed) {
+        this._onError(err);
+      }
+    };
+
+    /**
+     * @name sendDone
+     * @memberOf Outlet
+     * @method
+     * @instance
+     */
+    _Outlet.prototype.sendDone = function() {
+      if (!this.isClosed) {
+        this.isClosed = true;
+        this._onDone();
+      }
+    };
+
+    /**
+     * Stops the outlet from receiving anything more, without letting it know the stream is
+     * done. Used when the outlet has unsubscribed before there is a breaker to call.
+     *
+     * @name close
+     * @memberOf Outlet
+     * @method
+     * @instance
+     */
+    _Outlet.prototype.close = function() {
+      this.isClosed = true;
+    };
+
+    function Outlet(onNext, onError, onDone) {
+      return new _Outlet(onNext, onError, onDone);
+    }
+
+    /**
+     * Does a boolean test on whether or not an object is an Outlet
+     *
+     * @name isOutlet
+     * @memberOf Outlet
+     * @static
+     * @param {Object} obj Object to test
+     */
+    Outlet.isOutlet = function(obj) {
+      return (obj instanceof _Outlet);
+    };
+
+    return Outlet;
+
+  }());
+
+  /**
+   * Dispatcher is a helper object that helps the a stream manage its Outlets. A
+   * new instance of the Dispatcher is created for each new stream. The owning stream
+   * inherits references to its dispatcher's subscribe, broadcast and clear methods.
+   *
+   * @name Dispatcher
+   * @class
+   * @param  {Stream} stream The stream that owns this instance of the dispatcher.
+   * @returns {Dispatcher}   A new dispatcher.
+   */
+  var Dispatcher = (function() {
+
+    function _Dispatcher(stream) {
+
+      var outlets  = [],
+          breakers = [];
+
+      /**
+       * Add Outlets to the owning stream.
+       *
+       * @name subscribe
+       * @memberOf Dispatcher
+       * @method
+       * @instance
+       * @param   {Outlet} outlet - An outlet to subscribe to.
+       * @returns {Function} A function to cancel the subscription.
+       */
+      this.subscribe = function(outlet) {
+
+        var subscribed = true,
+            breaker;
+
+        outlets.push(outlet);
+
+        // Seeding the stream again after it has closed starts it over, so it is open again.
+        if (outlets.length === 1) {
+
+          stream.isClosed = false;
+          breaker = stream.seed(stream) || noop;
+
+          // Everyone may have unsubscribed while the stream was being seeded.
+          if (outlets.length === 0) {
+            breaker();
+          } else {
+            breakers.push(breaker);
+          }
+        }
+
+        return function unsub() {
+
+          var i = outlets.length;
+
+          if (!subscribed) return;
+
+          subscribed = false;
+
+          while (i--) {
+
+            if (outlets[i] === outlet) {
+              outlets.splice(i, 1);
+              break;
+            }
+          }
+
+          /**
+           * The last outlet is gone, disconnect from whatever is seeding the stream. The
+           * next outlet to subscribe will seed it again.
+           */
+          if (outlets.length === 0) {
+            each(function(breaker) {
+              breaker();
+            }, breakers.splice(0, breakers.length));
+          }
+        }
+      };
+
+      /**
+       * Handles notifying outlets of new data on the stream.
+       *
+       * @name broadcast
+       * @memberOf Dispatcher
+       * @method
+       * @instance
+       * @param {String} method - Method to use to notify outlets: 'sendNext', 'sendError', 'sendDone'
+       * @param {Any}    data   - The data to broadcast.
+       */
+      this.broadcast = function(method, data) {
+        // Outlets may unsubscribe while we're broadcasting, so work from a copy.
+        each(function(outlet) {
+          outlet[method](data);
+        }, outlets.slice());
+      };
+
+      /**
+       * @name count
+       * @memberOf Dispatcher
+       * @method
+       * @instance
+       * @returns {Number} The number of open outlets currently subscribed.
+       */
+      this.count = function() {
+
+        var open = 0;
+
+        each(function(outlet) {
+          if (!outlet.isClosed) open++;
+        }, outlets);
+
+        return open;
+      };
+
+      /**
+       * Used to burn it all down when this stream is destroyed.
+       *
+       * @name destroy
+       * @memberOf Dispatcher
+       * @method
+       * @instance
+       */
+      this.destroy = function() {
+
+        var toBreak = breakers;
+
+        outlets = [];
+        breakers = [];
+
+        each(function(breaker) {
+          breaker();
+        }, toBreak);
+      };
+    }
+
+    function Dispatcher(stream) {
+      return new _Dispatcher(stream);
+    };
+
+    Dispatcher.isDispatcher = function(obj) {
+      return (obj instanceof _Dispatcher);
+    }
+
+    return Dispatcher;
+
+  }());
+
+  /**
+   * Main constructor for a new Stream
+   *
+   * @name Stream
+   * @class
+   * @param {Function} seed      - A function to seed values for the stream
+   * @param {Function} transform - A function to transform the values of the stream.
+   */
+  var Stream = (function() {
+
+    // Mostly for debugging, we're going to give each stream a unique id number.
+    var id = 0;
+
+    // Stream helpers
+    function isStream(obj) {
+      return (obj instanceof _Stream);
+    }
+
+    // Symbols used for interop, with the string stand-ins used where they don't exist.
+    var hasSymbols        = (typeof Symbol === 'function'),
+        $$observable      = (hasSymbols && Symbol.observable) || '@@observable',
+        $$iterator        = (hasSymbols && Symbol.iterator) || '@@iterator',
+        $$asyncIterator   = (hasSymbols && Symbol.asyncIterator) || '@@asyncIterator';
+
+    function isIterable(obj) {
+      return (isSomething(obj) && isFunction(obj[$$iterator]));
+    }
+
+    function isAsyncIterable(obj) {
+      return (isSomething(obj) && isFunction(obj[$$asyncIterator]));
+    }
+
+    /**
+     * Makes a seed that pulls values from an iterator, one at a time, only asking for the next
+     * value once the last one has been written to the stream. The iterator can be async
+     * (next returns a promise) or not. Unsubscribing stops the pulling and calls the
+     * iterator's return method so that generators can clean up.
+     */
+    function pullSeed(getIterator) {
+      return function(downStream) {
+
+        var iterator = getIterator(),
+            stopped  = false;
+
+        function pull() {
+
+          if (stopped) return;
+
+          // Pulling inside the promise chain turns a synchronous throw from next() into an error.
+          global.Promise.resolve().then(function() {
+            return iterator.next();
+          }).then(function(result) {
+
+            if (stopped) return;
+
+            if (result.done) {
+              downStream.close();
+            } else {
+              downStream.write(result.value);
+              pull();
+            }
+
+          }, function(err) {
+            if (!stopped) {
+              downStream.error(err);
+              downStream.close();
+            }
+          });
+        }
+
+        pull();
+
+        return function() {
+          stopped = true;
+          if (isFunction(iterator['return'])) iterator['return']();
+        };
+      };
+    }
+
+    // For when we just need a stream to pass along its value without a transform.
+    function streamIdentity(stream, val) {
+      stream.broadcast('sendNext', val);
+    }
+
+    // Creates a new stream with a given transform.
+    function withTransform(source, transform) {
+      return Stream(function(downStream) {
+        // pipe returns a function to unsubscribe from values of the passed in stream.
+        return source.pipe(downStream);
+      }, transform);
+    }
+
+    /**
+     * The engine behind all of the flattening operators. Each value of the source is mapped
+     * to an inner stream and the values of the inner streams are passed along. The strategy
+     * decides what happens to a new value when concurrency inner streams are already active:
+     *
+     * 'switch'  - unsubscribe from the active inner stream and subscribe to the new one.
+     * 'merge'   - wait in a queue until an inner stream closes.
+     * 'exhaust' - drop the value.
+     *
+     * The new stream closes once the source and every inner stream have closed. Unsubscribing
+     * from it unsubscribes from the source and every active inner stream.
+     */
+    function flatten(source, mapping, strategy, concurrency) {
+
+      return Stream(function(downStream) {
+
+        var active    = [],
+            queue     = [],
+            outerDone = false,
+            breaker;
+
+        function checkDone() {
+          if (outerDone && active.length === 0 && queue.length === 0) {
+            downStream.close();
+          }
+        }
+
+        function unsubscribeAll() {
+          each(function(inner) {
+            inner.breaker();
+          }, active);
+          active = [];
+        }
+
+        function subscribeInner(val) {
+
+          var inner = { breaker : noop, done : false },
+              innerStream,
+              innerBreaker;
+
+          try {
+            innerStream = mapping(val);
+            assert(isStream(innerStream), 'Stream flattening mapping did not return a Stream');
+          } catch(err) {
+            downStream.broadcast('sendError', err);
+            return false;
+          }
+
+          active.push(inner);
+
+          innerBreaker = innerStream.subscribe(
+            // onNext
+            function(val) {
+              downStream.broadcast('sendNext', val);
+            },
+            // onError
+            function(err) {
+              downStream.broadcast('sendError', err);
+            },
+            // onDone
+            function() {
+
+              inner.done = true;
+              inner.breaker();
+              remove(active, inner);
+
+              // Values that fail to map never subscribe, keep going until one does.
+              while (queue.length > 0 && !subscribeInner(queue.shift())) {}
+
+              checkDone();
+            }
+          );
+
+          // The inner stream may have closed while we were subscribing to it.
+          if (inner.done) {
+            innerBreaker();
+          } else {
+            inner.breaker = innerBreaker;
+          }
+
+          return true;
+        }
+
+        breaker = source.subscribe(
+          // onNext
+          function(val) {
+
+            if (active.length < concurrency) {
+              subscribeInner(val);
+            } else if (strategy === 'switch') {
+              unsubscribeAll();
+              subscribeInner(val);
+            } else if (strategy === 'merge') {
+              queue.push(val);
+            }
+          },
+          // onError
+          function(err) {
+            downStream.broadcast('sendError', err);
+          },
+          // onDone
+          function() {
+            outerDone = true;
+            checkDone();
+          }
+        );
+
+        return function() {
+          breaker();
+          unsubscribeAll();
+          queue = [];
+        };
+      });
+    }
+
+    /**
+     * Holds the one current subscription of an operator that moves from stream to stream
+     * (catchError, retry...). Switching breaks the old subscription. If a stream errors or
+     * closes while it is still being subscribed to, and the operator switches away from it
+     * right then, the switch waits until we have its subscription to break. That way the
+     * old stream has let go before the new one is subscribed to, even when they're the same
+     * stream.
+     */
+    function serialSubscription() {
+
+      var breaker     = noop,
+          token       = 0,
+          subscribing = false,
+          pending     = null;
+
+      return {
+        switchTo : function(subscribe) {
+
+          var mine, newBreaker;
+
+          if (subscribing) {
+            token++;
+            pending = subscribe;
+            return;
+          }
+
+          subscribing = true;
+
+          while (subscribe) {
+
+            mine = ++token;
+            pending = null;
+
+            breaker();
+            breaker = noop;
+
+            newBreaker = subscribe();
+
+            if (mine === token) {
+              breaker = newBreaker;
+            } else {
+              newBreaker();
+            }
+
+            subscribe = pending;
+          }
+
+          subscribing = false;
+        },
+        dispose : function() {
+          token++;
+          pending = null;
+          breaker();
+          breaker = noop;
+        }
+      };
+    }
+
+    /**
+     * Creates a connectable stream. Outlets can subscribe to it at any time but it won't
+     * subscribe to its source until connect is called. Once connected every value of the
+     * source is multicast to all of the outlets and the last bufferSize values are kept
+     * around to replay to outlets that subscribe late.
+     */
+    function multicast(source, bufferSize) {
+
+      var buffer     = [],
+          connection = null,
+          done       = false,
+          hub;
+
+      hub = new _HubStream(function(outlet) {
+
+        each(function(val) {
+          outlet.sendNext(val);
+        }, buffer.slice());
+
+        if (done) {
+          outlet.sendDone();
+          return noop;
+        }
+
+        return hub.dispatcher.subscribe(outlet);
+      });
+
+      /**
+       * Subscribes the connectable stream to its source. Calling connect while already
+       * connected does nothing.
+       *
+       * @name connect
+       * @method
+       * @memberOf Stream
+       * @instance
+       * @returns {Function} A function to disconnect from the source.
+       */
+      hub.connect = function() {
+
+        if (!connection && !done) {
+
+          connection = source.subscribe(
+            // onNext
+            function(val) {
+
+              if (bufferSize > 0) {
+                buffer.push(val);
+                if (buffer.length > bufferSize) buffer.shift();
+              }
+
+              hub.broadcast('sendNext', val);
+            },
+            // onError
+            function(err) {
+              hub.broadcast('sendError', err);
+            },
+            // onDone
+            function() {
+              done = true;
+              connection = null;
+              hub.close();
+            }
+          );
+        }
+
+        return function disconnect() {
+          if (connection) {
+            connection();
+            connection = null;
+          }
+        };
+      };
+
+      return hub;
+    }
+
+    /**
+     * Creates a stream that connects a connectable stream when it gets its first outlet and
+     * disconnects it when it loses its last one. Outlets subscribe to the connectable stream
+     * so each one gets its replayed values, and to this stream's dispatcher so they are
+     * counted like any other. With resets a new connectable stream is made once the current
+     * one has completed.
+     */
+    function refCounted(connectableFor, resets) {
+
+      var connection = null,
+          counted;
+
+      counted = new _HubStream(function(outlet) {
+
+        var subscribed = true,
+            current, breaker, uncount;
+
+        if (!connection || (resets && connection.connectable.isClosed)) {
+          connection = { connectable : connectableFor(), count : 0, disconnect : noop };
+        }
+
+        current = connection;
+        breaker = current.connectable.subscribeOutlet(outlet);
+
+        // The connectable stream has already completed.
+        if (outlet.isClosed) {
+          return noop;
+        }
+
+        uncount = counted.dispatcher.subscribe(outlet);
+        current.count = current.count + 1;
+
+        if (current.count === 1) {
+          current.disconnect = current.connectable.connect();
+        }
+
+        return function unsub() {
+
+          if (!subscribed) return;
+
+          subscribed = false;
+          current.count = current.count - 1;
+          breaker();
+          uncount();
+
+          if (current.count === 0) {
+            current.disconnect();
+            current.disconnect = noop;
+          }
+        };
+      });
+
+      return counted;
+    }
+
+    function _Stream(seed, transform) {
+      this.transform  = transform || streamIdentity;
+      this.dispatcher = Dispatcher(this);
+      this.broadcast  = this.dispatcher.broadcast;
+      this.seed       = seed;
+      this._id        = id++;
+      this.isClosed   = false;
+      this.name       = null;
+      this.operator   = null;
+      this.sources    = [];
+    }
+
+    var streamProto = _Stream.prototype;
+
+    /**
+     * A stream that hands the outlets subscribing to it to a function instead of straight to
+     * its dispatcher, so the multicasting operators can replay values to each new outlet and
+     * count them.
+     */
+    function _HubStream(subscribeOutlet) {
+      _Stream.call(this, noop);
+      this._subscribeOutlet = subscribeOutlet;
+    }
+
+    _HubStream.prototype = Object.create(streamProto);
+
+    _HubStream.prototype.subscribeOutlet = function(outlet) {
+      return this._subscribeOutlet(outlet);
+    };
+
+    /**
+     * Gives this stream a name to make it easier to find when debugging.
+     *
+     * @name named
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {String} name - Name of the stream.
+     * @returns {Stream} This Stream
+     */
+    streamProto.named = function(name) {
+      this.name = name;
+      return this;
+    };
+
+    /**
+     * Subscribes to values on this stream
+     *
+     * @name subscribe
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Function} onNext  - Function to call when next value is written to Stream
+     * @param {Function} onError - Function to call when the Stream errors
+     * @param {Function} onDone  - Function to call when the Stream closes
+     * @returns {Function} - A function to unsubscribe to this stream
+     */
+    streamProto.subscribe = function(onNext, onError, onDone) {
+      return this.subscribeOutlet(Outlet(onNext, onError, onDone));
+    };
+
+    /**
+     * Same as subscribe, but takes an Outlet that was made beforehand.
+     *
+     * @name subscribeOutlet
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Outlet} outlet - The outlet to send values to.
+     * @returns {Function} - A function to unsubscribe to this stream
+     */
+    streamProto.subscribeOutlet = function(outlet) {
+      return this.dispatcher.subscribe(outlet);
+    };
+
+    /**
+     * Pipes the data from this stream to another stream.
+     *
+     * @name pipe
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Stream} stream - Stream to add to the dependant stack
+     * @returns {Function} A function to unsubscribe to the updates on the piped function.
+     */
+    streamProto.pipe = function(stream) {
+
+      var outlet;
+
+      assert(isStream(stream), 'Stream.pipe received a non Stream');
+
+      outlet = Outlet(
+        // onNext
+        function(val) {
+
+          stream.write(val);
+
+          /**
+           * If writing closed the stream (take) we may still be in the middle of subscribing,
+           * before there's a breaker to call. Close the outlet so that synchronous sources
+           * can see nobody is listening.
+           */
+          if (stream.isClosed) {
+            outlet.close();
+          }
+        },
+        // onError
+        function(err) {
+          stream.error(err);
+        },
+        // onDone
+        function() {
+          stream.close();
+        }
+      );
+
+      return this.subscribeOutlet(outlet);
+    };
+
+    /**
+     * Called when there is new data on the stream that needs to be processed.
+     *
+     * @name write
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Any} data - Data to write to the stream. Data can be any type.
+     */
+    streamProto.write = function(data) {
+
+      try {
+        this.transform(this, data);
+      } catch(err) {
+        this.broadcast('sendError', err);
+      }
+
+      return this;
+    };
+
+    /**
+     * Throws and error onto the stream. Errors will pass to the end of the line without
+     * blowing anyting up, almost like a non value.
+     *
+     * @name error
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Any} error - The error message and associated data to pass along.
+     */
+    streamProto.error = function(error) {
+      this.broadcast('sendError', error);
+    };
+
+    /**
+     * Closes this stream.
+     *
+     * @name close
+     * @method
+     * @memberOf Stream
+     * @instance
+     */
+    streamProto.close = function() {
+
+      if (!this.isClosed) {
+        // Alert outlets we're closing down.
+        this.broadcast('sendDone');
+        // Tell the dispatcher to remove outlets.
+        this.dispatcher.destroy();
+        this.isClosed = true;
+      }
+    };
+
+    /**
+     * Bind the values of a stream to the value of an object's given property.
+     * Useful for binding the values of a stream to a DOM node.
+     *
+     * EXAMPLE:
+     * stream.assign('innerHTML', div);
+     *
+     * @name bindObject
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {String} prop The property to which to bind the value of this stream.
+     * @param {Object} obj  The object on which the property resides.
+     * @returns {Stream} The original Stream
+     */
+    streamProto.bindObject = streamProto.assign = function(prop, obj) {
+
+      var source = this,
+          breaker;
+
+      return Stream(function(downStream) {
+        obj[prop] = val;
+      });
+
+      this.subscribe(function(val) {
+        obj[prop] = val;
+      });
+
+      return this;
+    };
+
+    /**
+     * Takes a function that returns a new stream and returns a new stream itself that flattens
+     * the two streams into one. Only the inner stream for the latest value is listened to,
+     * when a new value comes along we unsubscribe from the previous inner stream. Closes once
+     * this stream and the current inner stream have both closed.
+     *
+     * @name flatMapLatest
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Function} mapping A function that takes a value and returns a new stream.
+     * @returns {Stream} A new Stream.
+     */
+    streamProto.flatMapLatest = streamProto.switchMap = function(mapping, thisArg) {
+      return flatten(this, bindCallback(mapping, thisArg), 'switch', 1);
+    };
+
+    /**
+     * Takes a function that returns a new stream and merges the values of all of the inner
+     * streams into one stream. With a concurrency limit, values that come in while that many
+     * inner streams are active wait in a queue until one of them closes. Closes once this
+     * stream and all of the inner streams have closed.
+     *
+     * @name flatMap
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Function} mapping     - A function that takes a value and returns a new stream.
+     * @param {Number}   concurrency - Optional limit on the number of active inner streams.
+     * @returns {Stream} A new Stream.
+     */
+    streamProto.flatMap = streamProto.mergeMap = function(mapping, concurrency) {
+      return flatten(this, mapping, 'merge', isNumber(concurrency) ? concurrency : Infinity);
+    };
+
+    /**
+     * Same as flatMap with a concurrency of one. Inner streams are listened to one after the
+     * other, in the order of the values that made them.
+     *
+     * @name concatMap
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Function} mapping - A function that takes a value and returns a new stream.
+     * @returns {Stream} A new Stream.
+     */
+    streamProto.concatMap = function(mapping) {
+      return flatten(this, mapping, 'merge', 1);
+    };
+
+    /**
+     * Takes a function that returns a new stream and flattens the inner streams into one,
+     * ignoring the values of this stream while an inner stream is still active.
+     *
+     * @name exhaustMap
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Function} mapping - A function that takes a value and returns a new stream.
+     * @returns {Stream} A new Stream.
+     */
+    streamProto.exhaustMap = function(mapping) {
+      return flatten(this, mapping, 'exhaust', 1);
+    };
+
+    /**
+     * For a stream of streams, switches to each new stream as it comes along.
+     *
+     * @name switchAll
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @returns {Stream} A new Stream.
+     */
+    streamProto.switchAll = function() {
+      return flatten(this, identity, 'switch', 1);
+    };
+
+    /**
+     * For a stream of streams, merges the values of all of the streams.
+     *
+     * @name mergeAll
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Number} concurrency - Optional limit on the number of active streams.
+     * @returns {Stream} A new Stream.
+     */
+    streamProto.mergeAll = function(concurrency) {
+      return flatten(this, identity, 'merge', isNumber(concurrency) ? concurrency : Infinity);
+    };
+
+    /**
+     * For a stream of streams, listens to the streams one after the other.
+     *
+     * @name concatAll
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @returns {Stream} A new Stream.
+     */
+    streamProto.concatAll = function() {
+      return flatten(this, identity, 'merge', 1);
+    };
+
+    /**
+     * Returns a stream that will only produce values until the stopper stream produces a
+     * value.
+     *
+     * @name takeUntil
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Stream} stopper - A stream on which this stream will stop emitting values
+     * when it emits its first value after the creating of the new stream
+     * @returns {Stream} A new Stream that closes once the stopper returns false
+     */
+    streamProto.takeUntil = function(stopper) {
+
+      var source   = this,
+          breakers = [];
+
+      return Stream(function(downStream) {
+
+        breakers.push(source.pipe(downStream));
 
         breakers.push(stopper.subscribe(function(val) {
           downStream.close();
-          breaker();
-        }));
+          breaker();
+        }));
+
+        return function() {
+          each(function(breaker) {
+            breaker();
+          }, breakers);
+          breaker = null;
+          source = null;
+        }
+      });
+    };
+
+    /**
+     * Maps a function over the values of this stream
+     *
+     * @name map
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Any} mapping - If a function is passed, the values on the stream will be passed
+     * to the function and the result of that function will be added to the stream. If any
+     * other value is passed to the stream, the values on the stream will be replaced with
+     * that value.
+     * @param {Object} thisArg - an object to bind to the value of this in the mapping function
+     * @returns {Stream} A new Stream with the mapping applied to the previous stream.
+     */
+    streamProto.map = function(mapping, thisArg) {
+      var mappingFn = (typeof mapping === 'function') ? mapping : function () { return mapping; };
+      mappingFn = bindCallback(mappingFn, thisArg);
+      return withTransform(this, function(stream, val) {
+        stream.broadcast('sendNext', mappingFn(val));
+      });
+    };
+
+    /**
+     * Takes an input stream and returns a new stream of the values from this stream filtered by
+     * the values of the input stream. Values will only continue on if the input stream most
+     * recently emitted a truthy value.
+     *
+     * @name and
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Stream} filterStream - A stream to filter this stream with. Values will only continue
+     * down the stream if the input stream produces a truthy value. Doesn't have to be a Boolean.
+     * @returns {Stream} A new Stream of the filtered values.
+     */
+    streamProto.and = function(filterStream) {
+
+      var source    = this,
+          testValue = null,
+          breakers  = [];
+
+      return Stream(function(downStream) {
+
+        breakers.push(filterStream.subscribe(function(val) {
+          testValue = val;
+        }));
+
+        breakers.push(source.subscribe(
+          // onNext
+          function(val) {
+            if (testValue) {
+              downStream.broadcast('sendNext', val);
+            }
+          },
+          // onError
+          function(err) {
+            downStream.broadcast('sendError', err);
+          },
+          // onDone
+          function() {
+            downStream.broadcast('sendDone');
+          }
+        ));
+
+        return function() {
+          each(function(breaker) {
+            breaker();
+          }, breakers);
+          breakers = null;
+          source = null;
+          testValue = null;
+        }
+      });
+    };
+
+    /**
+     * Only return values on the stream if they are different from the previous value on the
+     * stream. In other words, only return values on the stream when there is a change in the
+     * value.
+     *
+     * @name dropRepeats
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @returns {Stream} A new Stream that filters out consecutive repeated values.
+     */
+    streamProto.dropRepeats = function() {
+
+      var prevVal = null;
+
+      return this.filter(function(val) {
+
+        if (val !== prevVal) {
+          prevVal = val;
+          return true;
+        }
+
+        return false;
+      });
+    };
+
+    // Options for the rate control operators. A scheduler can be passed in place of the options.
+    function rateOptions(defaults, options) {
+
+      var config = { scheduler : null };
+
+      extend(config, defaults);
+
+      if (Scheduler.isScheduler(options)) {
+        config.scheduler = options;
+      } else {
+        extend(config, options);
+      }
+
+      return config;
+    }
+
+    /**
+     * Takes a delay and returns a stream that waits for a pause of at least delay milliseconds
+     * in the values of this stream before passing along the latest value (the trailing edge).
+     * With leading set the first value of a burst is passed along right away instead, or as
+     * well. With maxWait a burst is cut short once it has gone on that long. If this stream
+     * closes during a burst the trailing value is sent before closing.
+     *
+     * EXAMPLE:
+     * keyups.debounce(300, { leading : true, trailing : true, maxWait : 1000 });
+     *
+     * @name debounce
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Number} delay   - Time (milliseconds) to delay each update on the stream.
+     * @param {Object} options - leading (false), trailing (true), maxWait and scheduler. A
+     * scheduler can also be passed on its own.
+     * @returns {Stream} A new Stream with the delay applied.
+     */
+    streamProto.debounce = function(delay, options) {
+
+      var source = this,
+          config = rateOptions({ leading : false, trailing : true, maxWait : null }, options);
+
+      return Stream(function(downStream) {
+
+        var timers      = schedulerFor(config.scheduler),
+            cancelDelay = noop,
+            cancelMax   = noop,
+            bursting    = false,
+            pending     = false,
+            saved       = null,
+            breaker;
+
+        function endBurst() {
+
+          var val = saved;
+
+          cancelDelay();
+          cancelMax();
+          cancelDelay = cancelMax = noop;
+          bursting = false;
+          saved = null;
+
+          if (pending) {
+            pending = false;
+            if (config.trailing) downStream.broadcast('sendNext', val);
+          }
+        }
+
+        breaker = source.subscribe(
+          // onNext
+          function(val) {
+
+            if (!bursting) {
+
+              bursting = true;
+
+              if (config.leading) {
+                downStream.broadcast('sendNext', val);
+              } else {
+                pending = true;
+                saved = val;
+              }
+
+              if (isNumber(config.maxWait)) {
+                cancelMax = timers.schedule(endBurst, config.maxWait);
+              }
+
+            } else {
+              pending = true;
+              saved = val;
+            }
+
+            cancelDelay();
+            cancelDelay = timers.schedule(endBurst, delay);
+          },
+          // onError
+          function(err) {
+            downStream.broadcast('sendError', err);
+          },
+          // onDone
+          function() {
+            endBurst();
+            downStream.close();
+          }
+        );
+
+        return function() {
+          cancelDelay();
+          cancelMax();
+          breaker();
+        };
+      });
+    };
+
+    /**
+     * Lets at most one value through per delay milliseconds. The first value in a quiet
+     * period is passed along right away (leading) and the latest value that came in while
+     * throttled is passed along once the delay is up (trailing), which starts a new delay.
+     * If this stream closes while throttled the trailing value is sent before closing.
+     *
+     * @name throttle
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Number} delay   - Time (milliseconds) between values.
+     * @param {Object} options - leading (true), trailing (true) and scheduler. A scheduler can
+     * also be passed on its own.
+     * @returns {Stream} A new Stream
+     */
+    streamProto.throttle = function(delay, options) {
+
+      var source = this,
+          config = rateOptions({ leading : true, trailing : true }, options);
+
+      return Stream(function(downStream) {
+
+        var timers     = schedulerFor(config.scheduler),
+            cancel     = noop,
+            throttling = false,
+            pending    = false,
+            saved      = null,
+            breaker;
+
+        function flush() {
+
+          var val = saved;
+
+          pending = false;
+          saved = null;
+
+          if (config.trailing) {
+            downStream.broadcast('sendNext', val);
+            return true;
+          }
+
+          return false;
+        }
+
+        function endThrottle() {
+
+          throttling = false;
+          cancel = noop;
+
+          // Sending the trailing value starts a new delay.
+          if (pending && flush()) {
+            throttling = true;
+            cancel = timers.schedule(endThrottle, delay);
+          }
+        }
+
+        breaker = source.subscribe(
+          // onNext
+          function(val) {
+
+            if (throttling) {
+              pending = true;
+              saved = val;
+              return;
+            }
+
+            throttling = true;
+
+            if (config.leading) {
+              downStream.broadcast('sendNext', val);
+            } else {
+              pending = true;
+              saved = val;
+            }
+
+            cancel = timers.schedule(endThrottle, delay);
+          },
+          // onError
+          function(err) {
+            downStream.broadcast('sendError', err);
+          },
+          // onDone
+          function() {
+
+            cancel();
+
+            if (pending) {
+              flush();
+            }
+
+            downStream.close();
+          }
+        );
+
+        return function() {
+          cancel();
+          breaker();
+        };
+      });
+    };
+
+    /**
+     * When a value comes along wait delay milliseconds and then pass along the latest value,
+     * ignoring everything else in the meantime. If this stream closes while waiting the latest
+     * value is sent before closing.
+     *
+     * @name auditTime
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Number}    delay     - Time (milliseconds) to wait.
+     * @param {Scheduler} scheduler - Optional scheduler to wait on.
+     * @returns {Stream} A new Stream
+     */
+    streamProto.auditTime = function(delay, scheduler) {
+
+      var source = this;
+
+      return Stream(function(downStream) {
+
+        var timers  = schedulerFor(scheduler),
+            cancel  = noop,
+            waiting = false,
+            saved   = null,
+            breaker;
+
+        function flush() {
+
+          var val = saved;
+
+          cancel = noop;
+          waiting = false;
+          saved = null;
+          downStream.broadcast('sendNext', val);
+        }
+
+        breaker = source.subscribe(
+          // onNext
+          function(val) {
+
+            saved = val;
+
+            // A flag rather than the cancel function, a sync scheduler runs the flush before
+            // schedule has returned.
+            if (!waiting) {
+              waiting = true;
+              cancel = timers.schedule(flush, delay);
+            }
+          },
+          // onError
+          function(err) {
+            downStream.broadcast('sendError', err);
+          },
+          // onDone
+          function() {
+
+            if (waiting) {
+              cancel();
+              flush();
+            }
+
+            downStream.close();
+          }
+        );
+
+        return function() {
+          cancel();
+          breaker();
+        };
+      });
+    };
+
+    /**
+     * Samples this stream every delay milliseconds, counting from the time of subscription,
+     * passing along the latest value if there has been a new one since the last sample. A
+     * value still waiting for its sample when this stream closes is dropped.
+     *
+     * @name sampleTime
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Number}    delay     - Time (milliseconds) between samples.
+     * @param {Scheduler} scheduler - Optional scheduler to wait on.
+     * @returns {Stream} A new Stream
+     */
+    streamProto.sampleTime = function(delay, scheduler) {
+
+      var source = this;
+
+      return Stream(function(downStream) {
+
+        var timers  = schedulerFor(scheduler),
+            start   = timers.now(),
+            cancel  = noop,
+            waiting = false,
+            saved   = null,
+            breaker;
+
+        function sample() {
+
+          var val = saved;
+
+          cancel = noop;
+          waiting = false;
+          saved = null;
+          downStream.broadcast('sendNext', val);
+        }
+
+        breaker = source.subscribe(
+          // onNext
+          function(val) {
+
+            saved = val;
+
+            // Only keep a timer going while there is something to sample, on the next tick.
+            // Like auditTime a flag, as a sync scheduler samples before schedule has returned.
+            if (!waiting) {
+              waiting = true;
+              cancel = timers.schedule(sample, delay - ((timers.now() - start) % delay));
+            }
+          },
+          // onError
+          function(err) {
+            downStream.broadcast('sendError', err);
+          },
+          // onDone
+          function() {
+            cancel();
+            downStream.close();
+          }
+        );
+
+        return function() {
+          cancel();
+          breaker();
+        };
+      });
+    };
+
+    /**
+     * Creates a new stream with the values of the current stream filtered by the function
+     * passed in.
+     *
+     * @name filter
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Function} predicate - function used to filter the stream. Removes values from the stream
+     * if this function returns a falsy value
+     * @param {Object} thisArg - an object to bind to the value of this in the filter function
+     * @returns {Stream} A new Stream
+     */
+    streamProto.filter = streamProto.keepWhen = function(predicate, thisArg) {
+      var predicateFn = isFunction(predicate) ? predicate : function(val) { return (predicate === val); };
+      predicateFn = bindCallback(predicateFn, thisArg);
+      return withTransform(this, function(stream, val) {
+        if (predicateFn(val)) {
+          stream.broadcast('sendNext', val);
+        }
+      });
+    };
+
+    /**
+     * A filter function that returns a new stream that drops values when the given
+     * function evaluates to true.
+     *
+     * @name dropWhen
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Function} predicate - Function to test against.
+     * @param {Object} thisArg - an object to bind to the value of this in the filter function
+     * @returns {Stream} A new Stream
+     */
+    streamProto.dropWhen = function(predicate, thisArg) {
+      var predicateFn = isFunction(predicate) ? predicate : function(val) { return (predicate === val); };
+      predicateFn = bindCallback(predicateFn, thisArg);
+      return withTransform(this, function(stream, val) {
+        if (!predicateFn(val)) {
+          stream.broadcast('sendNext', val);
+        }
+      });
+    };
+
+    /**
+     * Takes only the specified number from the stream, then never again.
+     *
+     * @name take
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Number} number - Number of values to take off the stream.
+     * @returns {Stream} A new Stream
+     */
+    streamProto.take = function(number) {
+
+      return withTransform(this, function(stream, val) {
+
+        if (number > 0) {
+          number = number - 1
+          stream.broadcast('sendNext', val);
+        }
+
+        // Closing unsubscribes us from the source, we're not interested in anything else.
+        if (number <= 0) {
+          stream.close();
+        }
+
+      });
+    };
+
+    /**
+     * For use in combination with buffering/throttling to only take the most recent value
+     * in an array of values.
+     *
+     * EXAMPLE:
+     * stream.bufferWithTime(100).takeLatest();
+     *
+     * @name takeLatest
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @returns {Stream} Returns a new Stream that flattens buffered values into the most recent
+     * value.
+     */
+    streamProto.takeLatest = streamProto.takeLastest = function() {
+
+      return this.map(function(val) {
+
+        if (isArray(val) && val.length > 0) {
+          return val[val.length - 1];
+        }
+
+        return val;
+      });
+    };
+
+    /**
+     * Reduces the values returned by the stream into a single value
+     *
+     * @name reduce
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Function} fn - function used to reduce the values in the stream. The function takes
+     * the accumulated value so far and the next value in the stream as parameters.
+     * @param {Any} acc - initial value of the accumulator used by the function. This will default
+     * to the first value of the stream.
+     * @param {Object} thisArg - an object to bind to the value of this in the reduce function
+     * @returns {Stream} returns a new stream
+     */
+    streamProto.reduce = function(fn, acc, thisArg) {
+      fn = bindCallback(fn, thisArg);
+      return withTransform(this, function(stream, val) {
+        acc = (isUndefined(acc)) ? val : fn(acc, val);
+        stream.broadcast('sendNext', acc);
+      });
+    };
+
+    /**
+     * Runs the values of this stream through a transducer, see Frampton.transducers. When the
+     * transducer stops early (take) the new stream closes and this stream is unsubscribed
+     * from. When this stream closes, anything the transducer held on to (partition) is
+     * flushed before the new stream closes.
+     *
+     * EXAMPLE:
+     * var xf = compose(transducers.map(get('key')), transducers.dedupe());
+     * keyups.transduce(xf);
+     *
+     * @name transduce
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Function} xf - A transducer.
+     * @returns {Stream} A new Stream.
+     */
+    streamProto.transduce = function(xf) {
+
+      var source = this;
+
+      assert(isFunction(xf), 'Stream.transduce did not receive a transducer');
+
+      return Stream(function(downStream) {
+
+        var done    = false,
+            breaker = null,
+            xform   = xf(function(acc, val) {
+              downStream.broadcast('sendNext', val);
+              return acc;
+            }),
+            outlet;
+
+        function finish() {
+          if (!done) {
+            done = true;
+            xform['@@transducer/result'](null);
+            downStream.close();
+          }
+        }
+
+        outlet = Outlet(
+          // onNext
+          function(val) {
+            if (!done && isReduced(xform['@@transducer/step'](null, val))) {
+              finish();
+              // Like pipe, close the outlet in case we're still subscribing.
+              outlet.close();
+              if (breaker) breaker();
+            }
+          },
+          // onError
+          function(err) {
+            downStream.broadcast('sendError', err);
+          },
+          // onDone
+          finish
+        );
+
+        breaker = source.subscribeOutlet(outlet);
+
+        // The transducer may have stopped while subscribing.
+        if (done) breaker();
+
+        return breaker;
+      });
+    };
+
+    /**
+     * Returns a new stream that produces arrays of values. The array is the last
+     * n number of values on the parent stream.
+     *
+     * @name cacheValues
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Number} num The number of values to hold in the cache
+     * @return {Stream} returns a new stream
+     */
+    streamProto.cacheValues = function(num) {
+      var cache = [];
+      return withTransform(this, function(stream, val) {
+        if (cache.length >= num) {
+          cache.shift();
+        }
+        cache.push(val);
+        stream.broadcast('sendNext', cache.slice());
+      });
+    };
+
+    /**
+     * Throttles the stream so that it only updates outlets at most once per the delay
+     * duration. Unlike debounce, values on this stream are not dropped, they are put
+     * into a buffer queue and the buffer queue (an array) is pushed out as the value of
+     * this stream. Outlets of this stream will always get an array as value.
+     *
+     * @name bufferWithTime
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Number}    delay     - delay applied to stream in milliseconds
+     * @param {Scheduler} scheduler - Optional scheduler to wait on.
+     * @returns {Stream}
+     */
+    streamProto.bufferWithTime = function(delay, scheduler) {
+
+      var pending = false,
+          queue   = [];
+
+      return withTransform(this, function(stream, val) {
+
+        queue.push(val);
+
+        // A flag rather than the cancel function, a sync scheduler runs the work before
+        // schedule has returned.
+        if (!pending) {
+
+          pending = true;
+
+          schedulerFor(scheduler).schedule(function() {
+
+            var buffer = queue;
+
+            // Start a new array, outlets get to keep the one we send them.
+            queue   = [];
+            pending = false;
+            stream.broadcast('sendNext', buffer);
+
+          }, delay);
+        }
+      });
+    };
+
+    /**
+     * Buffers the values of this stream into arrays of count values. A new buffer is started
+     * every skip values, so with a skip smaller than count the buffers overlap (a sliding
+     * window) and with a skip larger than count some values are left out. When this stream
+     * closes whatever is left in the buffers is sent along.
+     *
+     * @name bufferWithCount
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Number} count - The number of values in each buffer.
+     * @param {Number} skip  - Number of values between the start of each buffer. Defaults to count.
+     * @returns {Stream} A new Stream of arrays.
+     */
+    streamProto.bufferWithCount = function(count, skip) {
+
+      var source = this;
+
+      skip = skip || count;
+
+      assert(count > 0 && skip > 0, 'Stream.bufferWithCount needs a positive count and skip');
+
+      return Stream(function(downStream) {
+
+        var buffers = [],
+            seen    = 0;
+
+        return source.subscribe(
+          // onNext
+          function(val) {
+
+            if (seen % skip === 0) {
+              buffers.push([]);
+            }
+
+            seen = seen + 1;
+
+            each(function(buffer) {
+              buffer.push(val);
+            }, buffers);
+
+            if (buffers[0] && buffers[0].length === count) {
+              downStream.broadcast('sendNext', buffers.shift());
+            }
+          },
+          // onError
+          function(err) {
+            downStream.broadcast('sendError', err);
+          },
+          // onDone
+          function() {
+
+            var remaining = buffers;
+
+            buffers = [];
+
+            each(function(buffer) {
+              downStream.broadcast('sendNext', buffer);
+            }, remaining);
+
+            downStream.close();
+          }
+        );
+      });
+    };
+
+    /**
+     * Like bufferWithTime, except the buffer is also sent along as soon as it has count
+     * values in it, whichever comes first. The timer starts with the first value in the
+     * buffer. When this stream closes whatever is left in the buffer is sent along.
+     *
+     * @name bufferWithTimeOrCount
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Number}    delay     - Longest time (milliseconds) to buffer values for.
+     * @param {Number}    count     - Most values to put in one buffer.
+     * @param {Scheduler} scheduler - Optional scheduler to wait on.
+     * @returns {Stream} A new Stream of arrays.
+     */
+    streamProto.bufferWithTimeOrCount = function(delay, count, scheduler) {
+
+      var source = this;
+
+      return Stream(function(downStream) {
+
+        var buffer = [],
+            cancel = noop,
+            timers = schedulerFor(scheduler),
+            breaker;
+
+        function flush() {
+
+          var toSend = buffer;
+
+          cancel();
+          cancel = noop;
+          buffer = [];
+
+          if (toSend.length > 0) {
+            downStream.broadcast('sendNext', toSend);
+          }
+        }
+
+        breaker = source.subscribe(
+          // onNext
+          function(val) {
+
+            buffer.push(val);
+
+            if (buffer.length >= count) {
+              flush();
+            } else if (buffer.length === 1) {
+              cancel = timers.schedule(flush, delay);
+            }
+          },
+          // onError
+          function(err) {
+            downStream.broadcast('sendError', err);
+          },
+          // onDone
+          function() {
+            flush();
+            downStream.close();
+          }
+        );
+
+        return function() {
+          cancel();
+          breaker();
+        };
+      });
+    };
+
+    /**
+     * Same as bufferWithCount, except instead of arrays it produces a new stream (a window)
+     * for each buffer. Each window closes once it has produced count values.
+     *
+     * @name windowWithCount
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Number} count - The number of values in each window.
+     * @param {Number} skip  - Number of values between the start of each window. Defaults to count.
+     * @returns {Stream} A new Stream of Streams.
+     */
+    streamProto.windowWithCount = function(count, skip) {
+
+      var source = this;
+
+      skip = skip || count;
+
+      assert(count > 0 && skip > 0, 'Stream.windowWithCount needs a positive count and skip');
+
+      return Stream(function(downStream) {
+
+        var windows = [],
+            seen    = 0;
+
+        return source.subscribe(
+          // onNext
+          function(val) {
+
+            var window;
+
+            if (seen % skip === 0) {
+              window = { stream : Stream(noop), count : 0 };
+              windows.push(window);
+              downStream.broadcast('sendNext', window.stream);
+            }
+
+            seen = seen + 1;
+
+            each(function(window) {
+              window.count = window.count + 1;
+              window.stream.broadcast('sendNext', val);
+            }, windows.slice());
+
+            if (windows[0] && windows[0].count === count) {
+              windows.shift().stream.close();
+            }
+          },
+          // onError
+          function(err) {
+            each(function(window) {
+              window.stream.broadcast('sendError', err);
+            }, windows);
+            downStream.broadcast('sendError', err);
+          },
+          // onDone
+          function() {
+
+            var remaining = windows;
+
+            windows = [];
+
+            each(function(window) {
+              window.stream.close();
+            }, remaining);
+
+            downStream.close();
+          }
+        );
+      });
+    };
+
+    /**
+     * Produces a new stream (a window) for the values of this stream. A window opens with the
+     * first value after the last window closed and closes delay milliseconds later, or once
+     * it has produced count values, whichever comes first. A scheduler that runs work right
+     * away, like Scheduler.sync, closes each window right after its first value.
+     *
+     * @name windowWithTimeOrCount
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Number}    delay     - Longest time (milliseconds) a window stays open.
+     * @param {Number}    count     - Most values in one window.
+     * @param {Scheduler} scheduler - Optional scheduler to wait on.
+     * @returns {Stream} A new Stream of Streams.
+     */
+    streamProto.windowWithTimeOrCount = function(delay, count, scheduler) {
+
+      var source = this;
+
+      return Stream(function(downStream) {
+
+        var window = null,
+            seen   = 0,
+            cancel = noop,
+            timers = schedulerFor(scheduler),
+            breaker;
+
+        function closeWindow() {
+
+          var toClose = window;
+
+          cancel();
+          cancel = noop;
+          window = null;
+
+          if (toClose) {
+            toClose.close();
+          }
+        }
+
+        breaker = source.subscribe(
+          // onNext
+          function(val) {
+
+            var opened = !window;
+
+            if (opened) {
+              seen = 0;
+              window = Stream(noop);
+              downStream.broadcast('sendNext', window);
+            }
+
+            seen = seen + 1;
+            window.broadcast('sendNext', val);
+
+            // The timer starts once the value is in the window, a sync scheduler closes the
+            // window before schedule has returned.
+            if (seen >= count) {
+              closeWindow();
+            } else if (opened) {
+              cancel = timers.schedule(closeWindow, delay);
+            }
+          },
+          // onError
+          function(err) {
+            if (window) window.broadcast('sendError', err);
+            downStream.broadcast('sendError', err);
+          },
+          // onDone
+          function() {
+            closeWindow();
+            downStream.close();
+          }
+        );
+
+        return function() {
+          cancel();
+          breaker();
+        };
+      });
+    };
+
+    /**
+     * Same as bufferWithTime, except instead of arrays it produces a new stream (a window)
+     * of the values. A window opens with the first value after the last window closed and
+     * closes delay milliseconds later.
+     *
+     * @name windowWithTime
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Number}    delay     - Time (milliseconds) a window stays open.
+     * @param {Scheduler} scheduler - Optional scheduler to wait on.
+     * @returns {Stream} A new Stream of Streams.
+     */
+    streamProto.windowWithTime = function(delay, scheduler) {
+      return this.windowWithTimeOrCount(delay, Infinity, scheduler);
+    };
+
+    /**
+     * Returns a stream of pairs of the previous and current values of this stream. The
+     * first value of this stream only shows up as the previous value of the first pair.
+     *
+     * @name pairwise
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @returns {Stream} A new Stream of arrays.
+     */
+    streamProto.pairwise = function() {
+
+      var source = this;
+
+      return Stream(function(downStream) {
+
+        var hasPrev = false,
+            prev    = null;
+
+        return source.subscribe(
+          // onNext
+          function(val) {
+
+            var last = prev;
+
+            prev = val;
+
+            if (hasPrev) {
+              downStream.broadcast('sendNext', [last, val]);
+            } else {
+              hasPrev = true;
+            }
+          },
+          // onError
+          function(err) {
+            downStream.broadcast('sendError', err);
+          },
+          // onDone
+          function() {
+            downStream.close();
+          }
+        );
+      });
+    };
+
+    /**
+     * Splits this stream into a stream per group of values. The key function decides which
+     * group a value belongs to. Every time a value with a new key comes along a new stream
+     * for that group is produced, with a key property holding the group's key. Keys are used
+     * as property names, so they are compared as strings.
+     *
+     * With an expiry a group closes once it has gone that many milliseconds without a value.
+     * The next value for that key starts a new group. A scheduler that runs work right away,
+     * like Scheduler.sync, expires a group as soon as its value has been sent.
+     *
+     * EXAMPLE:
+     * messages.groupBy(function(msg) {
+     *   return msg.channel;
+     * }, { expiry : 60000 });
+     *
+     * @name groupBy
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Function} keyFn   - Function that takes a value and returns its group key.
+     * @param {Object}   options - Optional expiry (milliseconds) and scheduler.
+     * @returns {Stream} A new Stream of Streams.
+     */
+    streamProto.groupBy = function(keyFn, options) {
+
+      var source = this,
+          config = {
+            expiry    : Infinity,
+            scheduler : null
+          };
+
+      extend(config, options);
+
+      assert(isFunction(keyFn), 'Stream.groupBy did not receive a function');
+
+      return Stream(function(downStream) {
+
+        var groups    = {},
+            scheduler = schedulerFor(config.scheduler),
+            breaker;
+
+        function eachGroup(fn) {
+
+          var key;
+
+          for (key in groups) {
+            if (_hasProp.call(groups, key)) fn(groups[key]);
+          }
+        }
+
+        function expire(key, group) {
+          return function() {
+            if (groups[key] === group) {
+              delete groups[key];
+              group.stream.close();
+            }
+          };
+        }
+
+        breaker = source.subscribe(
+          // onNext
+          function(val) {
+
+            var key, group;
+
+            try {
+              key = keyFn(val);
+            } catch(err) {
+              downStream.broadcast('sendError', err);
+              return;
+            }
+
+            if (_hasProp.call(groups, key)) {
+              group = groups[key];
+            } else {
+              group = groups[key] = { stream : Stream(noop), cancel : noop };
+              group.stream.key = key;
+              downStream.broadcast('sendNext', group.stream);
+            }
+
+            group.stream.broadcast('sendNext', val);
+
+            if (config.expiry < Infinity) {
+              group.cancel();
+              group.cancel = scheduler.schedule(expire(key, group), config.expiry);
+            }
+          },
+          // onError
+          function(err) {
+            eachGroup(function(group) {
+              group.stream.broadcast('sendError', err);
+            });
+            downStream.broadcast('sendError', err);
+          },
+          // onDone
+          function() {
+
+            eachGroup(function(group) {
+              group.cancel();
+              group.stream.close();
+            });
+
+            groups = {};
+            downStream.close();
+          }
+        );
+
+        return function() {
+          eachGroup(function(group) {
+            group.cancel();
+          });
+          breaker();
+        };
+      });
+    };
+
+    /**
+     * Logs the value on the stream and continues the flow.
+     *
+     * @name log
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @returns {Stream} A new stream that logs values without transforming them.
+     */
+    streamProto.log = function() {
+
+      return withTransform(this, function(stream, val) {
+        log(val);
+        stream.broadcast('sendNext', val);
+      });
+    };
+
+    /**
+     * Returns a new stream that delivers the values, errors and completion of this stream
+     * to its outlets on the given scheduler.
+     *
+     * @name observeOn
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Scheduler} scheduler - Scheduler to deliver values on.
+     * @returns {Stream} A new Stream
+     */
+    streamProto.observeOn = function(scheduler) {
+
+      var source = this;
+
+      assert(Scheduler.isScheduler(scheduler), 'Stream.observeOn did not receive a Scheduler');
+
+      return Stream(function(downStream) {
+
+        var cancels = [],
+            breaker;
+
+        function later(fn) {
+
+          var cancel = scheduler.schedule(function() {
+            remove(cancels, cancel);
+            fn();
+          });
+
+          cancels.push(cancel);
+        }
+
+        breaker = source.subscribe(
+          // onNext
+          function(val) {
+            later(function() {
+              downStream.broadcast('sendNext', val);
+            });
+          },
+          // onError
+          function(err) {
+            later(function() {
+              downStream.broadcast('sendError', err);
+            });
+          },
+          // onDone
+          function() {
+            later(function() {
+              downStream.close();
+            });
+          }
+        );
+
+        return function() {
+          each(function(cancel) {
+            cancel();
+          }, cancels);
+          cancels = [];
+          breaker();
+        };
+      });
+    };
+
+    /**
+     * Returns a new stream that subscribes to this stream on the given scheduler, instead of
+     * right when it gets its first outlet.
+     *
+     * @name subscribeOn
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Scheduler} scheduler - Scheduler to subscribe on.
+     * @returns {Stream} A new Stream
+     */
+    streamProto.subscribeOn = function(scheduler) {
+
+      var source = this;
+
+      assert(Scheduler.isScheduler(scheduler), 'Stream.subscribeOn did not receive a Scheduler');
+
+      return Stream(function(downStream) {
+
+        var breaker = null,
+            cancel;
+
+        cancel = scheduler.schedule(function() {
+          breaker = source.pipe(downStream);
+        });
+
+        return function() {
+          cancel();
+          if (breaker) breaker();
+        };
+      });
+    };
+
+    /**
+     * Merges a stream with the current stream and returns a new stream
+     *
+     * @name merge
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Object} stream - stream to merge with current stream
+     * @returns {Stream} A new Stream
+     */
+    streamProto.merge = function(stream) {
+      assert(isStream(stream), 'Stream.merge did not receive a Stream');
+      return Stream.fromMerge(this, stream);
+    };
+
+    /**
+     * Returns a new stream recieving values from a main stream and a stream to sample.
+     * The new stream is called everytime their is a new value on the main stream.
+     * The new stream recieves pairs of values.
+     *
+     * If a Behavior is passed in the pairs hold the current value of the Behavior at the
+     * time of each value on the main stream.
+     *
+     * @name sample
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Stream|Behavior} stream - Stream or Behavior to sample
+     * @returns {Stream} A new Stream
+     */
+    streamProto.sample = function(stream) {
+
+      if (Behavior.isBehavior(stream)) {
+        return this.map(function(val) {
+          return [val, stream.get()];
+        });
+      }
+
+      assert(isStream(stream), 'Stream.sample did not receive a Stream');
+
+      var sampleVal   = null,
+          mainStream  = this,
+          breakers    = [];
+
+      return Stream(function(downStream) {
+
+        breakers.push(stream.subscribe(function(val) {
+          sampleVal = val;
+        }));
+
+        breakers.push(mainStream.subscribe(function(val) {
+          downStream.write([val, sampleVal])
+        }));
+
+        return function() {
+          each(function(breaker) {
+            breaker();
+          }, breakers);
+          sampleVal = null;
+          mainStream = null;
+          stream = null;
+          breakers = null;
+        }
+      });
+    }
+
+    /**
+     * Returns a new Stream that produces pairs of values from the parent Streams. The nth
+     * value of this stream is paired with the nth value of the other stream. See Stream.zip.
+     *
+     * @name zipWith
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Stream}   stream2  - The Stream to zip with the current Stream.
+     * @param {Function} selector - Optional function to combine each pair into one value.
+     * @returns {Stream} A new Stream.
+     */
+    streamProto.zipWith = streamProto.zip = function(stream2, selector) {
+
+      assert(isStream(stream2), 'Stream.zipWith did not receive a Stream');
+
+      return (selector) ? Stream.zip(this, stream2, selector) : Stream.zip(this, stream2);
+    };
+
+    /**
+     * Only for event Streams. Otherwise shit's gonna blow up.
+     *
+     * @name preventDefault
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @returns {Stream} A new Stream
+     */
+    streamProto.preventDefault = function() {
+      return withTransform(this, function(stream, evt) {
+        evt.preventDefault();
+        evt.stopPropagation();
+        stream.broadcast('sendNext', evt);
+      });
+    };
+
+    /**
+     * Recovers from errors on this stream. When an error comes along the handler is called
+     * with the error and this stream, and the returned stream takes over from this one.
+     * Returning the source stream resubscribes to it.
+     *
+     * @name catchError
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Function} handler - Function that takes an error and returns a new Stream.
+     * @returns {Stream} A new Stream
+     */
+    streamProto.catchError = function(handler) {
+
+      var source = this;
+
+      assert(isFunction(handler), 'Stream.catchError did not receive a function');
+
+      return Stream(function(downStream) {
+
+        var subscription = serialSubscription();
+
+        subscription.switchTo(function() {
+          return source.subscribe(
+            // onNext
+            function(val) {
+              downStream.broadcast('sendNext', val);
+            },
+            // onError
+            function(err) {
+
+              var fallback = handler(err, source);
+
+              assert(isStream(fallback), 'Stream.catchError handler did not return a Stream');
+
+              subscription.switchTo(function() {
+                return fallback.pipe(downStream);
+              });
+            },
+            // onDone
+            function() {
+              downStream.close();
+            }
+          );
+        });
+
+        return subscription.dispose;
+      });
+    };
+
+    /**
+     * Resubscribes to this stream when it errors, up to count times. After that errors are
+     * passed along like normal.
+     *
+     * @name retry
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Number} count - Number of times to retry. Defaults to retrying forever.
+     * @returns {Stream} A new Stream
+     */
+    streamProto.retry = function(count) {
+
+      var source = this;
+
+      count = isNumber(count) ? count : Infinity;
+
+      return Stream(function(downStream) {
+
+        var attempts     = 0,
+            subscribing  = false,
+            again        = false,
+            disposed     = false,
+            subscription = serialSubscription();
+
+        function subscribe() {
+
+          /**
+           * A stream that errors while we're subscribing to it is resubscribed by the loop
+           * below instead of recursively, so one that errors synchronously every time can't
+           * blow the stack.
+           */
+          if (subscribing) {
+            again = true;
+            return;
+          }
+
+          subscribing = true;
+
+          do {
+            again = false;
+            subscription.switchTo(function() {
+              return source.subscribe(
+                // onNext
+                function(val) {
+                  downStream.broadcast('sendNext', val);
+                },
+                // onError
+                function(err) {
+                  if (attempts < count) {
+                    attempts = attempts + 1;
+                    subscribe();
+                  } else {
+                    downStream.broadcast('sendError', err);
+                  }
+                },
+                // onDone
+                function() {
+                  downStream.close();
+                }
+              );
+            });
+          } while (again && !disposed);
+
+          subscribing = false;
+        }
+
+        subscribe();
+
+        return function() {
+          disposed = true;
+          subscription.dispose();
+        };
+      });
+    };
+
+    /**
+     * Decides when to retry with a notifier. The notifier is a function that gets a stream of
+     * the errors on this stream and returns a stream. When this stream errors we unsubscribe
+     * from it, and every time the notifier's stream produces a value we subscribe again. An
+     * error on the notifier's stream is passed along and closing it closes the new stream.
+     *
+     * EXAMPLE:
+     * stream.retryWhen(Stream.exponentialBackoff({ maxRetries : 3 }));
+     *
+     * @name retryWhen
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Function} notifier - Function that takes a Stream of errors and returns a Stream.
+     * @returns {Stream} A new Stream
+     */
+    streamProto.retryWhen = function(notifier) {
+
+      var source = this;
+
+      assert(isFunction(notifier), 'Stream.retryWhen did not receive a function');
+
+      return Stream(function(downStream) {
+
+        var errors       = Stream(noop),
+            retries      = notifier(errors),
+            subscription = serialSubscription(),
+            breaker;
+
+        assert(isStream(retries), 'Stream.retryWhen notifier did not return a Stream');
+
+        function subscribe() {
+          subscription.switchTo(function() {
+            return source.subscribe(
+              // onNext
+              function(val) {
+                downStream.broadcast('sendNext', val);
+              },
+              // onError
+              function(err) {
+                subscription.dispose();
+                errors.broadcast('sendNext', err);
+              },
+              // onDone
+              function() {
+                downStream.close();
+              }
+            );
+          });
+        }
+
+        breaker = retries.subscribe(
+          // onNext
+          function() {
+            subscribe();
+          },
+          // onError
+          function(err) {
+            downStream.broadcast('sendError', err);
+          },
+          // onDone
+          function() {
+            downStream.close();
+          }
+        );
+
+        subscribe();
+
+        return function() {
+          breaker();
+          subscription.dispose();
+        };
+      });
+    };
+
+    /**
+     * When this stream errors or closes move on to the next of the given streams, and so on,
+     * closing once the last of them errors or closes. Errors are swallowed.
+     *
+     * @name onErrorResumeNext
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Stream(s)} One or more streams to move on to.
+     * @returns {Stream} A new Stream
+     */
+    streamProto.onErrorResumeNext = function(/* streams */) {
+
+      var streams = [this].concat(toArray(arguments));
+
+      each(function(stream) {
+        assert(isStream(stream), 'Stream.onErrorResumeNext recieved a non stream as an argument');
+      }, streams);
+
+      return Stream(function(downStream) {
+
+        var index        = 0,
+            subscription = serialSubscription();
+
+        function next() {
+
+          var stream;
+
+          if (index >= streams.length) {
+            subscription.dispose();
+            downStream.close();
+            return;
+          }
+
+          stream = streams[index++];
+
+          subscription.switchTo(function() {
+            return stream.subscribe(
+              function(val) {
+                downStream.broadcast('sendNext', val);
+              },
+              next,
+              next
+            );
+          });
+        }
+
+        next();
+
+        return subscription.dispose;
+      });
+    };
+
+    /**
+     * Maps a function over the errors of this stream.
+     *
+     * @name mapError
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Function} mapping - Function that takes an error and returns a new error.
+     * @param {Object}   thisArg - an object to bind to the value of this in the mapping function
+     * @returns {Stream} A new Stream
+     */
+    streamProto.mapError = function(mapping, thisArg) {
+
+      var source = this;
+
+      mapping = bindCallback(mapping, thisArg);
+
+      return Stream(function(downStream) {
+        return source.subscribe(
+          // onNext
+          function(val) {
+            downStream.broadcast('sendNext', val);
+          },
+          // onError
+          function(err) {
+            downStream.broadcast('sendError', mapping(err));
+          },
+          // onDone
+          function() {
+            downStream.close();
+          }
+        );
+      });
+    };
+
+    /**
+     * Returns a stream that shares one subscription to this stream between all of its outlets.
+     * The first outlet to subscribe connects to this stream and the connection is dropped
+     * when the last outlet unsubscribes. Once this stream has completed the next outlet to
+     * subscribe starts a new connection.
+     *
+     * @name share
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @returns {Stream} A new Stream
+     */
+    streamProto.share = function() {
+
+      var source = this;
+
+      return refCounted(function() {
+        return source.publish();
+      }, true);
+    };
+
+    /**
+     * Returns a connectable stream. Outlets can subscribe to it, but nothing is sent to them
+     * until its connect method is called. Connect returns a function to disconnect.
+     *
+     * EXAMPLE:
+     * var clicks = Stream.fromEvent('click', button).publish();
+     * clicks.subscribe(fn1);
+     * clicks.subscribe(fn2);
+     * var disconnect = clicks.connect();
+     *
+     * @name publish
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @returns {Stream} A new connectable Stream
+     */
+    streamProto.publish = function() {
+      return multicast(this, 0);
+    };
+
+    /**
+     * Same as publish, except the returned stream remembers the last num values of this
+     * stream and replays them to every outlet that subscribes.
+     *
+     * @name replay
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Number} num - The number of values to replay. Defaults to all of them.
+     * @returns {Stream} A new connectable Stream
+     */
+    streamProto.replay = function(num) {
+      return multicast(this, isNumber(num) ? num : Infinity);
+    };
+
+    /**
+     * Called on a connectable stream (from publish or replay) to return a stream that
+     * connects when it gets its first outlet and disconnects when it loses its last one.
+     * A connectable stream doesn't connect again once its source has completed, so after
+     * that outlets only get the replayed values and done.
+     *
+     * @name refCount
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @returns {Stream} A new Stream
+     */
+    streamProto.refCount = function() {
+
+      var connectable = this;
+
+      assert(isFunction(connectable.connect), 'Stream.refCount called on a Stream that is not connectable');
+
+      return refCounted(function() {
+        return connectable;
+      }, false);
+    };
+
+    /**
+     * Shares one subscription to this stream between all of its outlets and replays the last
+     * num values to outlets that subscribe late.
+     *
+     * @name shareReplay
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Number} num - The number of values to replay. Defaults to all of them.
+     * @returns {Stream} A new Stream
+     */
+    streamProto.shareReplay = function(num) {
+      return this.replay(num).refCount();
+    };
+
+    /**
+     * Implements the Observable interop protocol, so other reactive libraries can consume
+     * Frampton streams. Returns an Observable-like object whose subscribe method takes an
+     * observer ({ next, error, complete }) or callbacks and returns a subscription with an
+     * unsubscribe method. As Observables end on their first error, the subscription is
+     * ended after an error is passed along.
+     *
+     * EXAMPLE:
+     * var subscription = stream[Symbol.observable]().subscribe({
+     *   next : function(val) {}
+     * });
+     * subscription.unsubscribe();
+     *
+     * @name Symbol.observable
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @returns {Object} An Observable-like object.
+     */
+    streamProto[$$observable] = function() {
+
+      var source     = this,
+          observable = {};
+
+      observable.subscribe = function(observer, onError, onDone) {
+
+        var subscription = { closed : false },
+            breaker      = noop;
+
+        if (isFunction(observer) || isNothing(observer)) {
+          observer = { next : observer, error : onError, complete : onDone };
+        }
+
+        function call(method, arg) {
+          if (!subscription.closed && isFunction(observer[method])) {
+            observer[method](arg);
+          }
+        }
+
+        subscription.unsubscribe = function() {
+          if (!subscription.closed) {
+            subscription.closed = true;
+            breaker();
+          }
+        };
+
+        breaker = source.subscribe(
+          // onNext
+          function(val) {
+            call('next', val);
+          },
+          // onError
+          function(err) {
+            call('error', err);
+            subscription.unsubscribe();
+          },
+          // onDone
+          function() {
+            call('complete');
+            subscription.unsubscribe();
+          }
+        );
+
+        // We may have errored or closed while subscribing.
+        if (subscription.closed) {
+          breaker();
+        }
+
+        return subscription;
+      };
+
+      observable[$$observable] = function() {
+        return this;
+      };
+
+      return observable;
+    };
+
+    function namedError(name, message) {
+      var err = new Error(message);
+      err.name = name;
+      return err;
+    }
+
+    /**
+     * Subscribes to source and returns a promise that is settled by onNext or onDone (which get
+     * the resolve and reject functions), by the first error from source, by the timeout option
+     * or by the signal option aborting. Once settled the subscription is dropped.
+     */
+    function toPromiseWith(source, options, onNext, onDone) {
+
+      var config = {
+        timeout   : null,
+        signal    : null,
+        scheduler : null
+      };
+
+      extend(config, options);
+
+      assert(isFunction(global.Promise), 'Stream promise methods need Promise support');
+
+      return new global.Promise(function(resolve, reject) {
+
+        var settled  = false,
+            cleanups = [],
+            breaker  = null,
+            outlet;
+
+        function finish(settle, val) {
+          if (!settled) {
+            settled = true;
+            each(function(cleanup) {
+              cleanup();
+            }, cleanups);
+            // We may still be subscribing, with no breaker yet, so stop the outlet as well.
+            outlet.close();
+            if (breaker) breaker();
+            settle(val);
+          }
+        }
+
+        function succeed(val) {
+          finish(resolve, val);
+        }
+
+        function fail(err) {
+          finish(reject, err);
+        }
+
+        function aborted() {
+          fail(config.signal.reason || namedError('AbortError', 'Stream was aborted before it settled'));
+        }
+
+        outlet = Outlet(
+          // onNext
+          function(val) {
+            onNext(val, succeed, fail);
+          },
+          // onError
+          fail,
+          // onDone
+          function() {
+            onDone(succeed, fail);
+          }
+        );
+
+        if (config.signal) {
+
+          if (config.signal.aborted) {
+            aborted();
+            return;
+          }
+
+          cleanups.push(addEvent('abort', aborted, config.signal));
+        }
+
+        if (isNumber(config.timeout)) {
+          cleanups.push(schedulerFor(config.scheduler).schedule(function() {
+            fail(namedError('TimeoutError', 'Stream did not settle within ' + config.timeout + 'ms'));
+          }, config.timeout));
+        }
+
+        breaker = source.subscribeOutlet(outlet);
+
+        // We may have settled while subscribing.
+        if (settled) breaker();
+      });
+    }
+
+    function emptyError() {
+      return namedError('EmptyError', 'Stream closed without sending a value');
+    }
+
+    /**
+     * Returns a promise of the last value of this stream, resolved when the stream closes.
+     * Like all of the promise methods, it rejects with the first error on the stream, with an
+     * EmptyError if the stream closes without a value, with a TimeoutError if the timeout
+     * option (in milliseconds) passes first and with the signal's reason (or an AbortError)
+     * if the signal option, an AbortSignal, aborts first. The stream is unsubscribed from as
+     * soon as the promise settles.
+     *
+     * EXAMPLE:
+     * stream.toPromise({ timeout : 5000, signal : controller.signal }).then(render);
+     *
+     * @name toPromise
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Object} options - timeout, signal and scheduler (for the timeout).
+     * @returns {Promise} A promise of the last value.
+     */
+    streamProto.toPromise = function(options) {
+      return this.lastValue(options);
+    };
+
+    /**
+     * Returns a promise of the first value of this stream. Rejects like toPromise.
+     *
+     * @name firstValue
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Object} options - timeout, signal and scheduler (for the timeout).
+     * @returns {Promise} A promise of the first value.
+     */
+    streamProto.firstValue = function(options) {
+      return toPromiseWith(this, options, function(val, resolve) {
+        resolve(val);
+      }, function(resolve, reject) {
+        reject(emptyError());
+      });
+    };
+
+    /**
+     * Returns a promise of the last value of this stream, resolved when the stream closes.
+     * Rejects like toPromise.
+     *
+     * @name lastValue
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Object} options - timeout, signal and scheduler (for the timeout).
+     * @returns {Promise} A promise of the last value.
+     */
+    streamProto.lastValue = function(options) {
+
+      var hasValue = false,
+          last;
+
+      return toPromiseWith(this, options, function(val) {
+        hasValue = true;
+        last = val;
+      }, function(resolve, reject) {
+        if (hasValue) {
+          resolve(last);
+        } else {
+          reject(emptyError());
+        }
+      });
+    };
+
+    /**
+     * Returns a promise of an array of all the values of this stream, resolved when the
+     * stream closes. A stream that closes empty resolves to an empty array, otherwise it
+     * rejects like toPromise.
+     *
+     * @name toArray
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Object} options - timeout, signal and scheduler (for the timeout).
+     * @returns {Promise} A promise of an array of values.
+     */
+    streamProto.toArray = function(options) {
+
+      var values = [];
+
+      return toPromiseWith(this, options, function(val) {
+        values.push(val);
+      }, function(resolve) {
+        resolve(values);
+      });
+    };
+
+    /**
+     * Returns an async iterator over the values of this stream, for use with for await.
+     * The stream is subscribed to right away and values that come in before the consumer
+     * asks for them are buffered. How many are kept is up to the buffer policy:
+     *
+     * 'unbounded' - keep everything (the default).
+     * 'latest'    - only keep the most recent value.
+     * 'bounded'   - keep up to size values, dropping the oldest when full.
+     *
+     * Every value that gets dropped is passed to the onDrop option, so a slow consumer
+     * doesn't lose values without knowing. An error on the stream rejects the next call to
+     * next and ends the iteration. Breaking out of the loop (return) unsubscribes.
+     *
+     * EXAMPLE:
+     * for await (const val of stream) {}
+     *
+     * for await (const val of stream.toAsyncIterator({ policy : 'bounded', size : 100, onDrop : warn })) {}
+     *
+     * @name toAsyncIterator
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Object} options - policy ('unbounded'), size (for 'bounded') and onDrop.
+     * @returns {Object} An async iterator.
+     */
+    streamProto.toAsyncIterator = function(options) {
+
+      var config = {
+            policy : 'unbounded',
+            size   : Infinity,
+            onDrop : noop
+          },
+          buffer   = [],
+          waiting  = [],
+          finished = false,
+          iterator = {},
+          breaker;
+
+      extend(config, options);
+
+      assert(isFunction(global.Promise), 'Stream.toAsyncIterator needs Promise support');
+      assert(config.policy !== 'bounded' || config.size > 0, 'Stream.toAsyncIterator needs a size for the bounded policy');
+
+      function finish() {
+        if (!finished) {
+          finished = true;
+          breaker();
+        }
+      }
+
+      // Hands an event to a waiting consumer or buffers it according to the policy.
+      function push(event) {
+
+        var limit = (config.policy === 'latest') ? 1 : (config.policy === 'bounded') ? config.size : Infinity;
+
+        if (waiting.length > 0) {
+          settle(waiting.shift(), event);
+          return;
+        }
+
+        // Only values are ever dropped, errors and completion always make it through.
+        if (event.kind === 'N') {
+          while (buffer.length >= limit && buffer[0].kind === 'N') {
+            config.onDrop(buffer.shift().value);
+          }
+        }
+
+        buffer.push(event);
+      }
+
+      function settle(deferred, event) {
+        switch (event.kind) {
+          case 'N':
+            deferred.resolve({ value : event.value, done : false });
+            break;
+          case 'E':
+            finish();
+            deferred.reject(event.value);
+            break;
+          case 'C':
+            finish();
+            deferred.resolve({ value : undefined, done : true });
+            break;
+        }
+      }
+
+      iterator.next = function() {
+        return new global.Promise(function(resolve, reject) {
+
+          var deferred = { resolve : resolve, reject : reject };
+
+          if (buffer.length > 0) {
+            settle(deferred, buffer.shift());
+          } else if (finished) {
+            resolve({ value : undefined, done : true });
+          } else {
+            waiting.push(deferred);
+          }
+        });
+      };
+
+      iterator['return'] = function(val) {
+
+        finish();
+        buffer = [];
+
+        each(function(deferred) {
+          deferred.resolve({ value : undefined, done : true });
+        }, waiting.splice(0, waiting.length));
+
+        return global.Promise.resolve({ value : val, done : true });
+      };
+
+      iterator[$$asyncIterator] = function() {
+        return this;
+      };
+
+      breaker = this.subscribe(
+        // onNext
+        function(val) {
+          push({ kind : 'N', value : val });
+        },
+        // onError
+        function(err) {
+          push({ kind : 'E', value : err });
+        },
+        // onDone
+        function() {
+          push({ kind : 'C' });
+        }
+      );
+
+      return iterator;
+    };
+
+    /**
+     * Writes the values of this stream to a Node writable stream. When write returns false
+     * the pausable option, anything with pause and resume methods (like the streams made by
+     * Stream.fromNodeReadable), is paused until the writable emits 'drain'. Without it this
+     * stream is paused, if it can be. The writable is ended when this stream closes and
+     * destroyed with the error if this stream errors, unless the end option is false. It
+     * stops writing if the writable closes or errors.
+     *
+     * EXAMPLE:
+     * var lines = Stream.fromNodeReadable(input);
+     * lines.map(transform).toNodeWritable(output, { pausable : lines });
+     *
+     * @name toNodeWritable
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Writable} writable - A Node writable stream.
+     * @param {Object}   options  - end (true), whether to end the writable with this stream,
+     * and pausable (this stream), what to pause while the writable is full.
+     * @returns {Function} A function to stop writing.
+     */
+    streamProto.toNodeWritable = function(writable, options) {
+
+      var config   = { end : true, pausable : this },
+          removers = [],
+          paused   = false,
+          stopped  = false,
+          pausable, breaker;
+
+      extend(config, options);
+
+      assert(isObject(writable) && isFunction(writable.write), 'Stream.toNodeWritable did not receive a writable');
+
+      pausable = config.pausable;
+
+      // Without anything to pause the writable buffers what it can't take yet.
+      if (!pausable || !isFunction(pausable.pause) || !isFunction(pausable.resume)) {
+        pausable = { pause : noop, resume : noop };
+      }
+
+      function pause() {
+        if (!paused) {
+          paused = true;
+          pausable.pause();
+        }
+      }
+
+      function resume() {
+        if (paused) {
+          paused = false;
+          pausable.resume();
+        }
+      }
+
+      function stop() {
+        if (!stopped) {
+          stopped = true;
+          each(function(remove) {
+            remove();
+          }, removers);
+          resume();
+          if (breaker) breaker();
+        }
+      }
+
+      removers.push(addEvent('drain', resume, writable));
+      removers.push(addEvent('close', stop, writable));
+      removers.push(addEvent('error', stop, writable));
+
+      breaker = this.subscribe(
+        // onNext
+        function(val) {
+          if (!stopped && writable.write(val) === false) {
+            pause();
+          }
+        },
+        // onError
+        function(err) {
+          if (config.end && !stopped) {
+            stop();
+            if (isFunction(writable.destroy)) writable.destroy(err);
+          }
+        },
+        // onDone
+        function() {
+          if (!stopped) {
+            stop();
+            if (config.end) writable.end();
+          }
+        }
+      );
+
+      if (stopped) breaker();
+
+      return stop;
+    };
+
+    /**
+     * Makes streams usable with for await.
+     *
+     * @name Symbol.asyncIterator
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @returns {Object} An async iterator with the unbounded buffer policy.
+     */
+    streamProto[$$asyncIterator] = function() {
+      return this.toAsyncIterator();
+    };
+
+    /**
+     * Holds on to the latest value of this stream, returning a Behavior that starts out with
+     * the given initial value and takes on each new value of this stream.
+     *
+     * @name hold
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Any} initial - The value of the Behavior until this stream produces a value.
+     * @returns {Behavior} A new Behavior
+     */
+    streamProto.hold = function(initial) {
+      return Behavior(initial, this);
+    };
+
+    /**
+     * Returns a stream of http responses. Responses will only be written to the stream
+     * in order. Responses that return out of order are disguarded.
+     *
+     * EXAMPLE:
+     * toHttpStream({
+     *   method : 'POST',
+     *   dataType : 'text',
+     *   cache : false
+     * })
+     *
+     * // include a custom Cache
+     * toHttpStream({
+     *   cache : Cache(options)
+     * })
+     *
+     * // use a particular transport, see Frampton.http
+     * toHttpStream({
+     *   transport : Frampton.http.transports.fetch
+     * })
+     *
+     * // send cached responses right away and refresh them in the background
+     * toHttpStream({
+     *   staleWhileRevalidate : true,
+     *   maxAge : 60000
+     * })
+     *
+     * @name toHttpStream
+     * @method
+     * @memberOf Stream
+     * @instance
+     * @param {Object} options - A hash of options to configure the http request and cahce.
+     * @returns {Stream} A new Stream
+     */
+    streamProto.toHttpStream = function(options) {
+
+      var options = options || {},
+          cache   = Cache.isCache(options.cache) ? options.cache :
+                    (options.cache === false) ? false : Cache();
+
+      delete options.cache;
+
+      return Stream.createHttpStream(this, cache, options);
+    };
+
+    /**
+     * A conviniece constructor, wrapping the new operator, so that this is more easily
+     * composoable.
+     */
+    function Stream(seed, transform) {
+      return new _Stream(seed, transform);
+    }
+
+    /**
+     * Does a boolean check if an object is a Stream
+     *
+     * @name isStream
+     * @method
+     * @static
+     * @memberOf Stream
+     * @param {Object} obj - Object to check
+     * @returns {Boolean} Is the object a Stream?
+     */
+    Stream.isStream = function(obj) {
+      return isStream(obj);
+    };
+
+    /**
+     * Same as Stream(seed), except every outlet gets a run of the seed to itself instead of
+     * sharing the run of the outlets that subscribed before it.
+     *
+     * @name unshared
+     * @method
+     * @static
+     * @memberOf Stream
+     * @param {Function} seed - Function that starts a run, given the stream to write to.
+     * @returns {Stream} - A new stream that seeds once per outlet.
+     */
+    Stream.unshared = function(seed) {
+      return new _HubStream(function(outlet) {
+        return Stream(seed).subscribeOutlet(outlet);
+      });
+    };
+
+    /**
+     * Creates a stream with an initial value. The returned stream is useful for merging
+     * with other streams.
+     *
+     * @name fromValue
+     * @method
+     * @static
+     * @memberOf Stream
+     * @param {Any} val - A value to be emitted when the stream is subscribed to.
+     * @returns {Stream} - A new stream that emits a single value
+     */
+    Stream.fromValue = function(val) {
+      return Stream(function(downStream) {
+        downStream.write(val);
+      });
+    };
+
+    /**
+     * Takes an array and returns a stream with each value in the array pushed onto the
+     * stream. Without a scheduler the values are pushed syncronously as soon as the stream
+     * has a subscriber, with one each value is pushed as a separate piece of work on the
+     * scheduler.
+     *
+     * @name fromArray
+     * @method
+     * @static
+     * @memberOf Stream
+     * @param {Array}     arr       - Array used as the input for the new stream.
+     * @param {Scheduler} scheduler - Optional scheduler to push values on.
+     * @returns {Stream} - A new stream that will be fed the values in the array once it
+     * has a subscriber.
+     */
+    Stream.fromArray = function(arr, scheduler) {
+
+      return Stream(function(downStream) {
+
+        var index  = 0,
+            cancel = noop;
+
+        if (!scheduler) {
+
+          each(function(element) {
+            downStream.write(element);
+          }, arr);
+
+          downStream.close();
+          return;
+        }
+
+        function next() {
+
+          if (index < arr.length) {
+            downStream.write(arr[index++]);
+            cancel = scheduler.schedule(next);
+          } else {
+            downStream.close();
+          }
+        }
+
+        cancel = scheduler.schedule(next);
+
+        return function() {
+          cancel();
+        };
+      });
+    };
+
+    /**
+     * Takes a promise and returns a new stream that will emit the value of the promise
+     * when it is known. The stream closes once the promise has settled.
+     *
+     * @name fromPromise
+     * @method
+     * @static
+     * @memberOf Stream
+     * @param {Object} promise - The promise to convert into a Stream.
+     * @returns {Stream} A new Stream.
+     */
+    Stream.fromPromise = function(promise) {
+
+      return Stream(function(downStream) {
+
+        promise.then(function(val) {
+          downStream.write(val);
+          downStream.close();
+        }, function(err) {
+          downStream.error(err);
+          downStream.close();
+        });
+      });
+    };
+
+    /**
+     * Takes anything that implements the iteration protocol and returns a stream of its
+     * values. Works the same as fromArray, except values are only pulled from the iterator
+     * as they are needed, so the iterable can be endless as long as we unsubscribe.
+     *
+     * @name fromIterable
+     * @method
+     * @static
+     * @memberOf Stream
+     * @param {Object}    iterable  - Object with a Symbol.iterator method.
+     * @param {Scheduler} scheduler - Optional scheduler to push values on.
+     * @returns {Stream} A new Stream.
+     */
+    Stream.fromIterable = function(iterable, scheduler) {
+
+      assert(isIterable(iterable), 'Stream.fromIterable did not receive an iterable');
+
+      return Stream(function(downStream) {
+
+        var iterator = iterable[$$iterator](),
+            stopped  = false,
+            cancel   = noop;
+
+        // Pushes the next value, returning false once the iterator is used up.
+        function step() {
+
+          var result = iterator.next();
+
+          if (result.done) {
+            downStream.close();
+            return false;
+          }
+
+          downStream.write(result.value);
+          return true;
+        }
+
+        function next() {
+          if (!stopped && step()) {
+            cancel = scheduler.schedule(next);
+          }
+        }
+
+        if (scheduler) {
+          cancel = scheduler.schedule(next);
+        } else {
+          // Stop pulling values as soon as nobody is listening anymore.
+          while (!stopped && downStream.dispatcher.count() > 0 && step()) {}
+        }
+
+        return function() {
+          stopped = true;
+          cancel();
+          if (isFunction(iterator['return'])) iterator['return']();
+        };
+      });
+    };
+
+    /**
+     * Takes an async iterable (anything with a Symbol.asyncIterator method, like an async
+     * generator) and returns a stream of its values. Values are pulled lazily, the next one
+     * is only asked for once the last one has been written to the stream. The stream closes
+     * when the iterator is done and errors and closes if the iterator rejects.
+     *
+     * EXAMPLE:
+     * Stream.fromAsyncIterable(pages).map(renderPage);
+     *
+     * @name fromAsyncIterable
+     * @method
+     * @static
+     * @memberOf Stream
+     * @param {Object} iterable - Object with a Symbol.asyncIterator method.
+     * @returns {Stream} A new Stream.
+     */
+    Stream.fromAsyncIterable = function(iterable) {
+
+      assert(isAsyncIterable(iterable), 'Stream.fromAsyncIterable did not receive an async iterable');
+      assert(isFunction(global.Promise), 'Stream.fromAsyncIterable needs Promise support');
+
+      return Stream(pullSeed(function() {
+        return iterable[$$asyncIterator]();
+      }));
+    };
+
+    /**
+     * Takes a generator function, async or not, and returns a stream of the values it yields.
+     * Every subscription calls the generator function again, with the given arguments, and
+     * values are pulled from it lazily like fromAsyncIterable.
+     *
+     * @name fromGenerator
+     * @method
+     * @static
+     * @memberOf Stream
+     * @param {Function} generatorFn - A generator function.
+     * @param {Any}      args        - Any number of arguments to call the generator function with.
+     * @returns {Stream} A new Stream.
+     */
+    Stream.fromGenerator = function(generatorFn /*, args */) {
+
+      var args = toArray(arguments, 1);
+
+      assert(isFunction(generatorFn), 'Stream.fromGenerator did not receive a function');
+      assert(isFunction(global.Promise), 'Stream.fromGenerator needs Promise support');
+
+      return Stream(pullSeed(function() {
+        return generatorFn.apply(null, args);
+      }));
+    };
+
+    /**
+     * Makes a Stream out of just about anything: a Stream (returned as is), anything that
+     * implements the Observable interop protocol (Symbol.observable), a promise, an array,
+     * anything else that is iterable or anything that is async iterable.
+     *
+     * @name from
+     * @method
+     * @static
+     * @memberOf Stream
+     * @param {Any}       obj       - Thing to convert into a Stream.
+     * @param {Scheduler} scheduler - Optional scheduler to push the values of arrays and iterables on.
+     * @returns {Stream} A new Stream.
+     */
+    Stream.from = function(obj, scheduler) {
+
+      var observable;
+
+      if (isStream(obj)) {
+        return obj;
+      }
+
+      if (isSomething(obj) && isFunction(obj[$$observable] || obj['@@observable'])) {
+
+        observable = (obj[$$observable] || obj['@@observable']).call(obj);
+
+        return Stream(function(downStream) {
+
+          var subscription = observable.subscribe({
+            next : function(val) {
+              downStream.broadcast('sendNext', val);
+            },
+            error : function(err) {
+              downStream.broadcast('sendError', err);
+            },
+            complete : function() {
+              downStream.close();
+            }
+          });
+
+          return function() {
+            if (isFunction(subscription)) {
+              subscription();
+            } else if (subscription) {
+              subscription.unsubscribe();
+            }
+          };
+        });
+      }
+
+      if (isPromise(obj)) {
+        return Stream.fromPromise(obj);
+      }
+
+      if (isArray(obj)) {
+        return Stream.fromArray(obj, scheduler);
+      }
+
+      if (isIterable(obj)) {
+        return Stream.fromIterable(obj, scheduler);
+      }
+
+      if (isAsyncIterable(obj)) {
+        return Stream.fromAsyncIterable(obj);
+      }
+
+      throw new Error('Stream.from does not know how to make a Stream from: ' + obj);
+    };
+
+    /**
+     * Takes a function that wraps a function that takes a callback. We provide the callback
+     * to the inner function and feed a stream from the value that callback receives.
+     *
+     * Example:
+     * function(callback) {
+     *   ajax(query, callback);
+     * }
+     *
+     * @name fromCallback
+     * @method
+     * @static
+     * @memberOf Stream
+     * @param {Function} fn - Function that wraps a function that takes a callback and receives
+     * that callback as an argument.
+     * @returns {Stream} A new stream that gets it's value from that callback function.
+     */
+    Stream.fromCallback = function(fn) {
+
+      return Stream(function(downStream) {
+
+        fn(function(val) {
+          downStream.write(val);
+        });
+      });
+    };
+
+    /**
+     * Creates a new stream by merging together the passed in streams.
+     *
+     * @name fromMerge
+     * @method
+     * @static
+     * @memberOf Stream
+     * @param {Stream(s)} One or more streams to merge
+     * @returns {Stream} A new stream that receives values from all the merged streams.
+     */
+    Stream.fromMerge = function(/* streams */) {
+
+      var toMerge = toArray(arguments);
+
+      return Stream(function(downStream) {
+
+        each(function(source) {
+
+          assert(isStream(source), 'Stream.fromMerge recieved a non stream as an argument');
+
+          source.pipe(downStream);
+
+        }, toMerge);
+
+      });
+    };
+
+    // Splits the arguments to combineLatest and zip into the streams and the selector.
+    function combinatorArgs(args, name) {
+
+      var streams  = _slice.call(args),
+          selector = isFunction(streams[streams.length - 1]) ? streams.pop() : function() {
+            return toArray(arguments);
+          };
+
+      assert(streams.length > 0, 'Stream.' + name + ' did not receive any streams');
+
+      each(function(stream) {
+        assert(isStream(stream), 'Stream.' + name + ' recieved a non stream as an argument');
+      }, streams);
+
+      return {
+        streams  : streams,
+        selector : selector
+      };
+    }
+
+    // A stream whose values are arrays of arguments to apply the selector to.
+    function selectorStream(seed, selector) {
+      return Stream(seed, function(stream, args) {
+        stream.broadcast('sendNext', selector.apply(null, args));
+      });
+    }
+
+    /**
+     * Combines the latest values of the given streams. Once every stream has produced a value
+     * each new value on any of the streams produces the selector applied to the latest values
+     * of all of them, in the order the streams were passed in. Closes once all of the streams
+     * have closed, or as soon as one closes without ever producing a value.
+     *
+     * EXAMPLE:
+     * Stream.combineLatest(width, height, function(w, h) {
+     *   return w * h;
+     * });
+     *
+     * @name combineLatest
+     * @method
+     * @static
+     * @memberOf Stream
+     * @param {Stream(s)} One or more streams to combine.
+     * @param {Function}  selector - Optional function to combine the values. Without one the
+     * new stream produces arrays of the values.
+     * @returns {Stream} A new Stream
+     */
+    Stream.combineLatest = function(/* streams, selector */) {
+
+      var parsed  = combinatorArgs(arguments, 'combineLatest'),
+          streams = parsed.streams;
+
+      return selectorStream(function(downStream) {
+
+        var values   = new Array(streams.length),
+            hasValue = new Array(streams.length),
+            waiting  = streams.length,
+            open     = streams.length,
+            breakers = [];
+
+        each(function(stream, i) {
+
+          hasValue[i] = false;
+
+          breakers.push(stream.subscribe(
+            // onNext
+            function(val) {
+
+              values[i] = val;
+
+              if (!hasValue[i]) {
+                hasValue[i] = true;
+                waiting = waiting - 1;
+              }
+
+              if (waiting === 0) {
+                downStream.write(values.slice());
+              }
+            },
+            // onError
+            function(err) {
+              downStream.broadcast('sendError', err);
+            },
+            // onDone
+            function() {
+
+              open = open - 1;
+
+              if (open === 0 || !hasValue[i]) {
+                downStream.close();
+              }
+            }
+          ));
+
+        }, streams);
 
         return function() {
           each(function(breaker) {
             breaker();
           }, breakers);
-          breaker = null;
-          source = null;
+        };
+
+      }, parsed.selector);
+    };
+
+    /**
+     * Zips the values of the given streams together. The nth value of the new stream is the
+     * selector applied to the nth value of each of the streams, values are queued up until
+     * every stream has produced its nth value. Closes once one of the streams has closed and
+     * all of its values have been used.
+     *
+     * @name zip
+     * @method
+     * @static
+     * @memberOf Stream
+     * @param {Stream(s)} One or more streams to zip.
+     * @param {Function}  selector - Optional function to combine the values. Without one the
+     * new stream produces arrays of the values.
+     * @returns {Stream} A new Stream
+     */
+    Stream.zip = function(/* streams, selector */) {
+
+      var parsed  = combinatorArgs(arguments, 'zip'),
+          streams = parsed.streams;
+
+      return selectorStream(function(downStream) {
+
+        // Every queue has to be there before we subscribe, as a synchronous stream produces
+        // its values before we get to subscribe to the streams that follow it.
+        var queues   = map(function() { return []; }, streams),
+            closed   = map(function() { return false; }, streams),
+            breakers = [];
+
+        function isEmpty(queue) {
+          return queue.length === 0;
         }
-      });
+
+        function isFinished(queue, i) {
+          return closed[i] && isEmpty(queue);
+        }
+
+        function flush() {
+
+          while (!any(isEmpty, queues)) {
+            downStream.write(map(function(queue) {
+              return queue.shift();
+            }, queues));
+          }
+
+          if (any(isFinished, queues)) {
+            downStream.close();
+          }
+        }
+
+        each(function(stream, i) {
+
+          breakers.push(stream.subscribe(
+            // onNext
+            function(val) {
+              queues[i].push(val);
+              flush();
+            },
+            // onError
+            function(err) {
+              downStream.broadcast('sendError', err);
+            },
+            // onDone
+            function() {
+              closed[i] = true;
+              flush();
+            }
+          ));
+
+        }, streams);
+
+        return function() {
+          each(function(breaker) {
+            breaker();
+          }, breakers);
+        };
+
+      }, parsed.selector);
     };
 
     /**
-     * Maps a function over the values of this stream
+     * Makes a notifier for retryWhen that retries with an exponentially growing delay,
+     * initialDelay * factor ^ attempt, capped at maxDelay. Once maxRetries have been used up
+     * the next error is passed along and no more retries are made.
      *
-     * @name map
+     * @name exponentialBackoff
      * @method
+     * @static
      * @memberOf Stream
-     * @instance
-     * @param {Any} mapping - If a function is passed, the values on the stream will be passed
-     * to the function and the result of that function will be added to the stream. If any
-     * other value is passed to the stream, the values on the stream will be replaced with
-     * that value.
-     * @param {Object} thisArg - an object to bind to the value of this in the mapping function
-     * @returns {Stream} A new Stream with the mapping applied to the previous stream.
+     * @param {Object} options - initialDelay (100), factor (2), maxDelay (30000), maxRetries (5)
+     * and an optional scheduler to wait on.
+     * @returns {Function} A notifier function for retryWhen.
      */
-    streamProto.map = function(mapping, thisArg) {
-      var mappingFn = (typeof mapping === 'function') ? mapping : function () { return mapping; };
-      mappingFn = bindCallback(mappingFn, thisArg);
-      return withTransform(this, function(stream, val) {
-        stream.broadcast('sendNext', mappingFn(val));
-      });
+    Stream.exponentialBackoff = function(options) {
+
+      var config = {
+        initialDelay : 100,
+        factor       : 2,
+        maxDelay     : 30000,
+        maxRetries   : 5,
+        scheduler    : null
+      };
+
+      extend(config, options);
+
+      return function(errors) {
+
+        return Stream(function(downStream) {
+
+          var attempt = 0,
+              cancels = [],
+              breaker;
+
+          breaker = errors.subscribe(function(err) {
+
+            var delay = Math.min(config.initialDelay * Math.pow(config.factor, attempt), config.maxDelay),
+                cancel;
+
+            if (attempt >= config.maxRetries) {
+              downStream.broadcast('sendError', err);
+              return;
+            }
+
+            attempt = attempt + 1;
+
+            cancel = schedulerFor(config.scheduler).schedule(function() {
+              remove(cancels, cancel);
+              downStream.broadcast('sendNext', attempt);
+            }, delay);
+
+            cancels.push(cancel);
+          });
+
+          return function() {
+            each(function(cancel) {
+              cancel();
+            }, cancels);
+            breaker();
+          };
+        });
+      };
     };
 
     /**
-     * Takes an input stream and returns a new stream of the values from this stream filtered by
-     * the values of the input stream. Values will only continue on if the input stream most
-     * recently emitted a truthy value.
-     *
-     * @name and
-     * @method
-     * @memberOf Stream
-     * @instance
-     * @param {Stream} filterStream - A stream to filter this stream with. Values will only continue
-     * down the stream if the input stream produces a truthy value. Doesn't have to be a Boolean.
-     * @returns {Stream} A new Stream of the filtered values.
+     * Sends a request through the transport. Resolves to the response, with no data for a
+     * 304 (Not Modified), and rejects with an Error carrying the status (and the response)
+     * for anything else that isn't a success.
+     */
+    function httpRequest(request, transport) {
+
+      assert(isFunction(global.Promise), 'Http streams need Promise support');
+
+      return global.Promise.resolve(transport(request)).then(function(response) {
+
+        var err;
+
+        if (response.status === 304) {
+          return { data : null, status : 304, headers : response.headers || {} };
+        }
+
+        if (response.status < 200 || response.status >= 300) {
+          err = new Error('Request for ' + request.url + ' failed with status ' + response.status);
+          err.status = response.status;
+          err.response = response;
+          throw err;
+        }
+
+        return {
+          data : response.data,
+          status : response.status,
+          headers : response.headers || {}
+        };
+      });
+    }
+
+    /**
+     * What createHttpStream keeps in the cache for a url. Only the data and what's needed to
+     * revalidate it are worth persisting, the pending request isn't.
+     */
+    function httpEntry(stored) {
+
+      var entry = {
+        request      : null,
+        data         : null,
+        etag         : null,
+        lastModified : null,
+        fetchedAt    : 0,
+        toJSON       : function() {
+          return {
+            data         : this.data,
+            etag         : this.etag,
+            lastModified : this.lastModified,
+            fetchedAt    : this.fetchedAt
+          };
+        }
+      };
+
+      if (stored) {
+        extend(entry, stored.toJSON ? stored.toJSON() : stored);
+      }
+
+      return entry;
+    }
+
+    /**
+     * Encodes a hash as a query string. Arrays repeat the key and null or undefined values
+     * are left out.
+     */
+    function encodeQuery(query) {
+
+      var parts = [],
+          key;
+
+      function add(key, value) {
+        if (!isNothing(value)) {
+          parts.push(encodeURIComponent(key) + '=' + encodeURIComponent(value));
+        }
+      }
+
+      for (key in query) {
+        if (_hasProp.call(query, key)) {
+          if (isArray(query[key])) {
+            each(function(value) {
+              add(key, value);
+            }, query[key]);
+          } else {
+            add(key, query[key]);
+          }
+        }
+      }
+
+      return parts.join('&');
+    }
+
+    // Adds a query string to a url, keeping whatever query (and hash) it already has.
+    function withQuery(url, query) {
+
+      var encoded = query ? encodeQuery(query) : '',
+          hashAt  = url.indexOf('#'),
+          hash    = (hashAt > -1) ? url.slice(hashAt) : '';
+
+      if (encoded === '') return url;
+
+      url = (hashAt > -1) ? url.slice(0, hashAt) : url;
+
+      return url + ((url.indexOf('?') > -1) ? '&' : '?') + encoded + hash;
+    }
+
+    /**
+     * Turns a value from the source of an http stream, a url or a request descriptor, into
+     * the request for the transport. Plain object and array bodies are sent as JSON.
      */
-    streamProto.and = function(filterStream) {
+    function toRequest(value, config) {
 
-      var source    = this,
-          testValue = null,
-          breakers  = [];
+      var descriptor = isString(value) ? { url : value } : value,
+          headers    = {},
+          body;
 
-      return Stream(function(downStream) {
+      assert(isObject(descriptor) && isString(descriptor.url), 'HttpStream needs a url or a request with a url');
 
-        breakers.push(filterStream.subscribe(function(val) {
-          testValue = val;
-        }));
+      extend(headers, config.headers, descriptor.headers);
 
-        breakers.push(source.subscribe(
-          // onNext
-          function(val) {
-            if (testValue) {
-              downStream.broadcast('sendNext', val);
-            }
-          },
-          // onError
-          function(err) {
-            downStream.broadcast('sendError', err);
-          },
-          // onDone
-          function() {
-            downStream.broadcast('sendDone');
-          }
-        ));
+      body = isNothing(descriptor.body) ? null : descriptor.body;
 
-        return function() {
-          each(function(breaker) {
-            breaker();
-          }, breakers);
-          breakers = null;
-          source = null;
-          testValue = null;
+      if (isArray(body) || (isObject(body) && body.constructor === Object)) {
+        body = JSON.stringify(body);
+        if (!any(function(name) {
+          return name.toLowerCase() === 'content-type';
+        }, Object.keys(headers))) {
+          headers['Content-Type'] = 'application/json';
         }
-      });
-    };
+      }
+
+      return {
+        url : withQuery(descriptor.url, descriptor.query),
+        method : (descriptor.method || config.method).toUpperCase(),
+        headers : headers,
+        body : body,
+        dataType : descriptor.responseType || config.responseType || config.dataType
+      };
+    }
+
+    // Headers that say who is asking, responses to different ones can't be shared.
+    var credentialHeaders = ['authorization', 'proxy-authorization', 'cookie'];
+
+    // A short hash (djb2 and sdbm side by side) for keeping credentials out of cache keys.
+    function hashString(str) {
+
+      var h1 = 5381,
+          h2 = 0,
+          i, c;
+
+      for (i = 0; i < str.length; i++) {
+        c = str.charCodeAt(i);
+        h1 = ((h1 << 5) + h1 + c) | 0;
+        h2 = (c + (h2 << 6) + (h2 << 16) - h2) | 0;
+      }
+
+      return (h1 >>> 0).toString(36) + (h2 >>> 0).toString(36);
+    }
 
     /**
-     * Only return values on the stream if they are different from the previous value on the
-     * stream. In other words, only return values on the stream when there is a change in the
-     * value.
-     *
-     * @name dropRepeats
-     * @method
-     * @memberOf Stream
-     * @instance
-     * @returns {Stream} A new Stream that filters out consecutive repeated values.
+     * Requests are cached by url, other methods than GET get their own keys. Requests with
+     * credentials get a hash of them added, the keys end up in STORAGE and snapshots so the
+     * credentials themselves stay out.
      */
-    streamProto.dropRepeats = function() {
-
-      var prevVal = null;
+    function defaultCacheKey(request) {
 
-      return this.filter(function(val) {
+      var key         = (request.method === 'GET') ? request.url : request.method + ' ' + request.url,
+          credentials = [],
+          name;
 
-        if (val !== prevVal) {
-          prevVal = val;
-          return true;
+      for (name in request.headers) {
+        if (_hasProp.call(request.headers, name) && credentialHeaders.indexOf(name.toLowerCase()) > -1) {
+          credentials.push(name.toLowerCase() + ':' + request.headers[name]);
         }
+      }
+
+      return (credentials.length > 0) ? key + ' ~' + hashString(credentials.sort().join('\n')) : key;
+    }
 
+    function isSameData(a, b) {
+
+      if (a === b) return true;
+
+      try {
+        return (JSON.stringify(a) === JSON.stringify(b));
+      } catch (e) {
         return false;
-      });
-    };
+      }
+    }
 
     /**
-     * Takes a delay and returns a stream that will update at most once per the
-     * delay duration.
+     * Create a stream of Http responses.
      *
-     * @name debounce
+     * Cached responses are fresh for maxAge milliseconds (forever by default, or until the
+     * cache's TIMEOUT). After that they're stale, and a stale response is refetched. The
+     * refetch is a conditional request (If-None-Match/If-Modified-Since) when the response
+     * came with an ETag or Last-Modified header, so an unchanged response isn't downloaded
+     * again.
+     *
+     * With staleWhileRevalidate, a stale response that's no more than staleAge milliseconds
+     * past its maxAge (which defaults to 0 here) is sent right away while the refetch goes on
+     * in the background. The new response is only sent if it differs.
+     *
+     * The source can produce urls or request descriptors, { url, method, headers, query,
+     * body, responseType ('json' or 'text') }, which take precedence over the options. The
+     * query is encoded onto the url and a plain object body is sent as JSON.
+     *
+     * Only requests with a method in cacheMethods (the safe ones, GET, HEAD and OPTIONS) are
+     * cached. They're cached under the key cacheKey returns for the request, the url for a
+     * GET and the method and url otherwise. Requests with Authorization, Proxy-Authorization
+     * or Cookie headers get a hash of those added to the key, so a response fetched with one
+     * user's credentials is never served to another. A custom cacheKey has to take care of
+     * that itself, or one user may be sent another's responses.
+     *
+     * EXAMPLE:
+     * Stream.createHttpStream(urls, cache, {
+     *   staleWhileRevalidate : true,
+     *   maxAge : 60000,
+     *   staleAge : 3600000
+     * });
+     *
+     * Stream.createHttpStream(searches.map(function(term) {
+     *   return {
+     *     url : '/search',
+     *     query : { q : term, page : 1 },
+     *     headers : { Authorization : 'Bearer ' + token }
+     *   };
+     * }), cache, {
+     *   cacheKey : function(request) {
+     *     return request.url + '|' + user.id;
+     *   }
+     * });
+     *
+     * @name createHttpStream
      * @method
+     * @static
      * @memberOf Stream
-     * @instance
-     * @param {Number} delay - Time (milliseconds) to delay each update on the stream.
-     * @returns {Stream} A new Stream with the delay applied.
+     * @param {Function} source  - Stream to feed the new stream.
+     * @param {Cache}    cache   - Object to cache http requests.
+     * @param {Object}   options - A hash of options to pass to the http function (method,
+     * headers, dataType), plus staleWhileRevalidate (false), maxAge and staleAge (Infinity),
+     * the transport to use (see Frampton.http), cacheKey and cacheMethods.
+     * @returns {Stream} A new stream.
      */
-    streamProto.debounce = function(delay) {
+    Stream.createHttpStream = function(source, cache, options) {
 
-      var timer = null,
-          saved = null;
+      var config = {
+        dataType : 'json',
+        method : 'GET',
+        headers : {},
+        transport : null,
+        cacheKey : defaultCacheKey,
+        cacheMethods : ['GET', 'HEAD', 'OPTIONS'],
+        staleWhileRevalidate : false,
+        maxAge : null,
+        staleAge : Infinity
+      };
 
-      return withTransform(this, function(stream, val) {
+      extend(config, options);
 
-        saved = val;
+      // Request methods are upper case by the time we look them up.
+      config.cacheMethods = map(function(method) {
+        return method.toUpperCase();
+      }, config.cacheMethods);
 
-        if (timer) clearTimeout(timer);
+      if (!isNumber(config.maxAge)) {
+        config.maxAge = config.staleWhileRevalidate ? 0 : Infinity;
+      }
 
-        timer = setTimeout(function() {
+      return source.flatMapLatest(function(value) {
 
-          stream.broadcast('sendNext', saved);
-          saved = null;
-          timer = null;
+        var request = toRequest(value, config),
+            key     = config.cacheKey(request),
+            store   = (Cache.isCache(cache) && config.cacheMethods.indexOf(request.method) > -1) ? cache : null;
+
+        return Stream(function(downStream) {
+
+          var entry = store ? store.get(key) : null,
+              age;
+
+          function send(data) {
+            downStream.broadcast('sendNext', data);
+          }
+
+          function fail(err) {
+            // on error, propogate the error down the stream.
+            downStream.broadcast('sendError', err);
+          }
+
+          /**
+           * Requests the url for the entry, conditionally if it already has data. Resolves to
+           * whether the data changed.
+           */
+          function load() {
+
+            var headers = {},
+                previous = entry.data;
+
+            extend(headers, request.headers);
+
+            if (previous !== null) {
+              if (entry.etag) headers['If-None-Match'] = entry.etag;
+              if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+            }
+
+            entry.request = httpRequest({
+              url : request.url,
+              method : request.method,
+              headers : headers,
+              body : request.body,
+              dataType : request.dataType
+            }, config.transport || http.getTransport()).then(function(response) {
+
+              entry.request = null;
+              entry.fetchedAt = currentTime();
 
-        }, delay);
+              if (response.status !== 304) {
+                entry.data = response.data;
+                entry.etag = response.headers.etag || null;
+                entry.lastModified = response.headers['last-modified'] || null;
+              }
+
+              // Now there's something to persist, put it back for the cache's storage.
+              if (store) {
+                store.put(key, entry);
+              }
+
+              return !isSameData(previous, entry.data);
+
+            }, function(err) {
+
+              entry.request = null;
+
+              // Failed requests aren't worth keeping around, a retry should make a new request.
+              if (store && entry.data === null) {
+                store.remove(key);
+              }
+
+              throw err;
+            });
+
+            return entry.request;
+          }
+
+          if (entry && !entry.toJSON) {
+            // Came back from the cache's storage as plain data. Upgrade it where it is, putting
+            // it back would start its time in the cache over.
+            extend(entry, httpEntry(entry));
+          }
+
+          if (entry && entry.request && entry.data === null) {
+
+            // Somebody already asked, wait for their response.
+            entry.request.then(function() {
+              send(entry.data);
+            }, fail);
+
+          } else if (entry && entry.data !== null) {
+
+            age = currentTime() - entry.fetchedAt;
+
+            if (age <= config.maxAge) {
+
+              // if we have data we'll asyncronously return it as fast as possible.
+              immediate(function() {
+                send(entry.data);
+              });
+
+            } else if (config.staleWhileRevalidate && age <= config.maxAge + config.staleAge) {
+
+              immediate(function() {
+                send(entry.data);
+              });
+
+              (entry.request || load()).then(function(changed) {
+                if (changed) send(entry.data);
+              }, fail);
+
+            } else {
+
+              (entry.request || load()).then(function() {
+                send(entry.data);
+              }, fail);
+            }
+
+          } else {
+
+            // Make an entry to put into the cache.
+            entry = httpEntry();
+
+            load().then(function() {
+              send(entry.data);
+            }, fail);
+
+            // A pending request can't be stored, so keep it in memory until it's back.
+            if (store) {
+              store.put(key, entry, { persist : false });
+            }
+          }
+        });
       });
     };
 
     /**
-     * Creates a new stream with the values of the current stream filtered by the function
-     * passed in.
+     * Creates a new stream of events, given an event name and a Dom node to attach to. The
+     * stream is lazy. The event is not attached until the stream is subscribed to.
      *
-     * @name filter
+     * @name fromEvent
      * @method
+     * @static
      * @memberOf Stream
-     * @instance
-     * @param {Function} predicate - function used to filter the stream. Removes values from the stream
-     * if this function returns a falsy value
-     * @param {Object} thisArg - an object to bind to the value of this in the filter function
-     * @returns {Stream} A new Stream
+     * @param {String}     eventName - Name of event to listen to.
+     * @param {DOM|jQuery} target    - Dom node to attach to. Alternatively, you can also pass a
+     * jQuery object or similar wrapper that provides an 'on' method for listening to events.
+     * @returns {Object} A new stream of events.
      */
-    streamProto.filter = streamProto.keepWhen = function(predicate, thisArg) {
-      var predicateFn = isFunction(predicate) ? predicate : function(val) { return (predicate === val); };
-      predicateFn = bindCallback(predicateFn, thisArg);
-      return withTransform(this, function(stream, val) {
-        if (predicateFn(val)) {
-          stream.broadcast('sendNext', val);
-        }
+    Stream.fromEvent = curry(function(eventName, target) {
+
+      return Stream(function(downStream) {
+
+        return addEvent(
+          eventName,
+          function eventHandler(evt) {
+            downStream.write(normalizeEvent(evt));
+          },
+          target
+        );
+      });
+    });
+
+    /**
+     * Creates a new stream of events from a Node EventEmitter, or anything else with
+     * on/addListener and off/removeListener methods. Listeners are only added once the stream
+     * is subscribed to. An 'error' event is sent down the stream as an error and an 'end'
+     * event closes the stream. If the event is emitted with more than one argument the stream
+     * gets an array of the arguments.
+     *
+     * EXAMPLE:
+     * var rows = Stream.fromEventEmitter(parser, 'row');
+     *
+     * @name fromEventEmitter
+     * @method
+     * @static
+     * @memberOf Stream
+     * @param {Object} emitter   - The EventEmitter to listen to.
+     * @param {String} eventName - Name of the event to listen to.
+     * @returns {Stream} A new Stream.
+     */
+    Stream.fromEventEmitter = function(emitter, eventName) {
+
+      return Stream(function(downStream) {
+
+        var removers = [
+          addEvent(eventName, function eventHandler() {
+            downStream.write(arguments.length > 1 ? toArray(arguments) : arguments[0]);
+          }, emitter),
+          addEvent('error', function errorHandler(err) {
+            downStream.error(err);
+          }, emitter),
+          addEvent('end', function endHandler() {
+            downStream.close();
+          }, emitter)
+        ];
+
+        return function() {
+          each(function(remove) {
+            remove();
+          }, removers);
+        };
       });
     };
 
     /**
-     * A filter function that returns a new stream that drops values when the given
-     * function evaluates to true.
+     * Creates a stream of the chunks of a Node readable stream. The readable isn't read from
+     * until the stream is subscribed to. An error on the readable is sent down the stream and
+     * closes it, as Node readables can't go on after an error, and the stream closes when the
+     * readable ends.
      *
-     * @name dropWhen
+     * The returned stream has pause and resume methods that pause and resume the readable,
+     * so it can be given to toNodeWritable as the stream to hold back when the writable is
+     * full.
+     *
+     * EXAMPLE:
+     * Stream.fromNodeReadable(fs.createReadStream('log.txt')).map(parse).toNodeWritable(out);
+     *
+     * @name fromNodeReadable
      * @method
+     * @static
      * @memberOf Stream
-     * @instance
-     * @param {Function} predicate - Function to test against.
-     * @param {Object} thisArg - an object to bind to the value of this in the filter function
-     * @returns {Stream} A new Stream
+     * @param {Readable} readable - A Node readable stream.
+     * @returns {Stream} A new Stream.
      */
-    streamProto.dropWhen = function(predicate, thisArg) {
-      var predicateFn = isFunction(predicate) ? predicate : function(val) { return (predicate === val); };
-      predicateFn = bindCallback(predicateFn, thisArg);
-      return withTransform(this, function(stream, val) {
-        if (!predicateFn(val)) {
-          stream.broadcast('sendNext', val);
-        }
+    Stream.fromNodeReadable = function(readable) {
+
+      assert(isObject(readable) && isFunction(readable.pause), 'Stream.fromNodeReadable did not receive a readable');
+
+      var stream = Stream(function(downStream) {
+
+        var removers = [
+          addEvent('data', function dataHandler(chunk) {
+            downStream.write(chunk);
+          }, readable),
+          addEvent('error', function errorHandler(err) {
+            downStream.error(err);
+            downStream.close();
+          }, readable),
+          addEvent('end', function endHandler() {
+            downStream.close();
+          }, readable)
+        ];
+
+        return function() {
+          each(function(remove) {
+            remove();
+          }, removers);
+          readable.pause();
+        };
       });
+
+      stream.pause = function() {
+        readable.pause();
+      };
+
+      stream.resume = function() {
+        readable.resume();
+      };
+
+      return stream;
     };
 
+    // Extend jQuery, if it's available.
+    if (isFunction($) && isObject($.fn)) {
+
+      $.fn.createStreamFrom = function(eventName) {
+        return Stream.fromEvent(eventName, this);
+      };
+    }
+
     /**
-     * Takes only the specified number from the stream, then never again.
-     *
-     * @name take
-     * @method
-     * @memberOf Stream
-     * @instance
-     * @param {Number} number - Number of values to take off the stream.
-     * @returns {Stream} A new Stream
+     * Wraps an operator so that the streams it creates remember which operator made them and
+     * which streams they were made from (this and any streams in the arguments). This is what
+     * Frampton.debug.graph walks.
      */
-    streamProto.take = function(number) {
+    function traceOperator(name, fn) {
+      return function() {
 
-      return withTransform(this, function(stream, val) {
+        var args   = _slice.call(arguments),
+            result = fn.apply(this, args);
 
-        if (number > 0) {
-          number = number - 1
-          stream.broadcast('sendNext', val);
+        // Operators built on other operators are named after the outermost one, the one
+        // that was called. Streams that are passed through untouched keep their own links.
+        if (isStream(result) && result !== this && args.indexOf(result) === -1) {
+          result.operator = name;
+          result.sources = filter(isStream, [this].concat(args));
+        }
+
+        return result;
+      };
+    }
+
+    each(function(name) {
+      streamProto[name] = traceOperator(name, streamProto[name]);
+    }, [
+      'and', 'auditTime', 'bufferWithCount', 'bufferWithTime', 'bufferWithTimeOrCount',
+      'cacheValues', 'catchError', 'concatAll', 'concatMap', 'debounce', 'dropRepeats',
+      'dropWhen', 'exhaustMap', 'filter', 'flatMap', 'flatMapLatest', 'groupBy', 'keepWhen',
+      'log', 'map', 'mapError', 'merge', 'mergeAll', 'mergeMap', 'observeOn',
+      'onErrorResumeNext', 'pairwise', 'preventDefault', 'publish', 'reduce', 'refCount',
+      'replay', 'retry', 'retryWhen', 'sample', 'sampleTime', 'share', 'shareReplay',
+      'subscribeOn', 'switchAll', 'switchMap', 'take', 'takeLastest', 'takeLatest',
+      'takeUntil', 'throttle', 'toHttpStream', 'transduce', 'windowWithCount', 'windowWithTime',
+      'windowWithTimeOrCount', 'zip', 'zipWith'
+    ]);
+
+    each(function(name) {
+      Stream[name] = traceOperator(name, Stream[name]);
+    }, ['fromMerge', 'combineLatest', 'zip']);
+
+    return Stream;
+
+  }());
+
+  /**
+   * A Behavior is a value that changes over time. Where a Stream is a series of discrete
+   * events a Behavior always has a current value, so anything that starts listening late
+   * can still ask what the value is right now. Behaviors are usually made by holding on to
+   * the values of a stream. A Behavior listens to its stream from the moment it is made
+   * until the stream closes, call dispose to stop listening before that.
+   *
+   * EXAMPLE:
+   * var filter = filterChanges.hold('all');
+   * filter.get(); // 'all'
+   *
+   * @name Behavior
+   * @class
+   * @param {Any}    initial - The initial value of the Behavior.
+   * @param {Stream} source  - Optional stream of new values for the Behavior.
+   */
+  var Behavior = (function() {
+
+    function _Behavior(initial, source) {
+
+      var behavior = this,
+          done     = false,
+          breaker;
+
+      this.value   = initial;
+      this.updates = Stream(noop);
+      this.breaker = noop;
+
+      if (Stream.isStream(source)) {
+
+        breaker = source.subscribe(
+          // onNext
+          function(val) {
+            behavior.value = val;
+            behavior.updates.broadcast('sendNext', val);
+          },
+          // onError
+          function(err) {
+            behavior.updates.broadcast('sendError', err);
+          },
+          // onDone
+          function() {
+            done = true;
+            behavior.dispose();
+            behavior.updates.close();
+          }
+        );
+
+        // The source may have closed while we were subscribing.
+        if (done) {
+          breaker();
         } else {
-          stream.broadcast('sendDone');
+          this.breaker = breaker;
         }
+      }
+    }
 
-      });
-    };
+    var behaviorProto = _Behavior.prototype;
 
     /**
-     * For use in combination with buffering/throttling to only take the most recent value
-     * in an array of values.
-     *
-     * @name takeLastest
+     * @name get
      * @method
-     * @memberOf Stream
+     * @memberOf Behavior
      * @instance
-     * @returns {Stream} Returns a new Stream that flattens buffered values into the most recent
-     * value.
+     * @returns {Any} The current value of the Behavior.
      */
-    streamProto.takeLastest = function() {
-
-      return this.map(function(val) {
-
-        if (isArray(val) && val.length > 0) {
-          return val[0];
-        }
-
-        return val;
-      });
+    behaviorProto.get = function() {
+      return this.value;
     };
 
     /**
-     * Reduces the values returned by the stream into a single value
-     *
-     * @name reduce
+     * @name changes
      * @method
-     * @memberOf Stream
+     * @memberOf Behavior
      * @instance
-     * @param {Function} fn - function used to reduce the values in the stream. The function takes
-     * the accumulated value so far and the next value in the stream as parameters.
-     * @param {Any} acc - initial value of the accumulator used by the function. This will default
-     * to the first value of the stream.
-     * @param {Object} thisArg - an object to bind to the value of this in the reduce function
-     * @returns {Stream} returns a new stream
+     * @returns {Stream} A Stream of the new values of this Behavior.
      */
-    streamProto.reduce = function(fn, acc, thisArg) {
-      fn = bindCallback(fn, thisArg);
-      return withTransform(this, function(stream, val) {
-        acc = (isUndefined(acc)) ? val : fn(acc, val);
-        stream.broadcast('sendNext', acc);
-      });
+    behaviorProto.changes = function() {
+      return this.updates;
     };
 
     /**
-     * Returns a new stream that produces arrays of values. The array is the last
-     * n number of values on the parent stream.
-     *
-     * @name cacheValues
+     * @name map
      * @method
-     * @memberOf Stream
+     * @memberOf Behavior
      * @instance
-     * @param {Number} num The number of values to hold in the cache
-     * @return {Stream} returns a new stream
+     * @param {Function} fn - Function to map over the value of this Behavior.
+     * @returns {Behavior} A new Behavior whose value is always fn applied to the value of this one.
      */
-    streamProto.cacheValues = function(num) {
-      var cache = [];
-      return withTransform(this, function(stream, val) {
-        if (cache.length >= num) {
-          cache.shift();
-        }
-        cache.push(val);
-        stream.broadcast('sendNext', cache);
-      });
+    behaviorProto.map = function(fn) {
+      return Behavior.lift(fn, this);
     };
 
     /**
-     * Throttles the stream so that it only updates outlets at most once per the delay
-     * duration. Unlike debounce, values on this stream are not dropped, they are put
-     * into a buffer queue and the buffer queue (an array) is pushed out as the value of
-     * this stream. Outlets of this stream will always get an array as value.
+     * Returns a stream of the current value of this Behavior every time the given stream
+     * produces a value.
      *
-     * @name bufferWithTime
+     * @name sample
      * @method
-     * @memberOf Stream
+     * @memberOf Behavior
      * @instance
-     * @param {Number} delay - delay applied to stream in milliseconds
-     * @returns {Stream}
+     * @param {Stream} stream - The stream that decides when to sample.
+     * @returns {Stream} A new Stream
      */
-    streamProto.bufferWithTime = function(delay) {
+    behaviorProto.sample = function(stream) {
 
-      var timer = null,
-          queue = [];
-
-      return withTransform(this, function(stream, val) {
-
-        queue.push(val);
-
-        if (!timer) {
-
-          timer = setTimeout(function() {
+      var behavior = this;
 
-            stream.broadcast('sendNext', queue);
-            queue.length = 0;
-            timer = null;
+      assert(Stream.isStream(stream), 'Behavior.sample did not receive a Stream');
 
-          }, delay);
-        }
+      return stream.map(function() {
+        return behavior.get();
       });
     };
 
     /**
-     * Logs the value on the stream and continues the flow.
+     * Stops listening to the stream feeding this Behavior. The Behavior keeps its last value.
      *
-     * @name log
+     * @name dispose
      * @method
-     * @memberOf Stream
+     * @memberOf Behavior
      * @instance
-     * @returns {Stream} A new stream that logs values without transforming them.
      */
-    streamProto.log = function() {
+    behaviorProto.dispose = function() {
+      this.breaker();
+      this.breaker = noop;
+    };
 
-      return withTransform(this, function(stream, val) {
-        log(val);
-        stream.broadcast('sendNext', val);
-      });
+    function Behavior(initial, source) {
+      return new _Behavior(initial, source);
+    }
+
+    /**
+     * @name isBehavior
+     * @memberOf Behavior
+     * @static
+     */
+    Behavior.isBehavior = function(obj) {
+      return (obj instanceof _Behavior);
     };
 
     /**
-     * Merges a stream with the current stream and returns a new stream
-     *
-     * @name merge
-     * @method
-     * @memberOf Stream
-     * @instance
-     * @param {Object} stream - stream to merge with current stream
-     * @returns {Stream} A new Stream
+     * @name constant
+     * @memberOf Behavior
+     * @static
+     * @param {Any} val - The value of the Behavior.
+     * @returns {Behavior} A Behavior that never changes.
      */
-    streamProto.merge = function(stream) {
-      assert(isStream(stream), 'Stream.merge did not receive a Stream');
-      return Stream.fromMerge(this, stream);
+    Behavior.constant = function(val) {
+      return Behavior(val);
     };
 
     /**
-     * Returns a new stream recieving values from a main stream and a stream to sample.
-     * The new stream is called everytime their is a new value on the main stream.
-     * The new stream recieves pairs of values.
+     * Takes a function and any number of Behaviors and returns a new Behavior whose value is
+     * the function applied to the current values of the Behaviors passed in. It keeps
+     * updating until all of the Behaviors passed in have stopped changing.
      *
-     * @name sample
-     * @method
-     * @memberOf Stream
-     * @instance
-     * @param {Stream} stream - Stream to sample
-     * @returns {Stream} A new Stream
+     * @name lift
+     * @memberOf Behavior
+     * @static
+     * @param {Function}    fn        - Function to apply to the values of the Behaviors.
+     * @param {Behavior(s)} behaviors - One or more Behaviors.
+     * @returns {Behavior} A new Behavior
      */
-    streamProto.sample = function(stream) {
+    Behavior.lift = function(fn /*, behaviors */) {
 
-      assert(isStream(stream), 'Stream.sample did not receive a Stream');
+      var behaviors = toArray(arguments, 1);
 
-      var sampleVal   = null,
-          mainStream  = this,
-          breakers    = [];
+      assert(isFunction(fn), 'Behavior.lift did not receive a function');
+      assert(behaviors.length > 0, 'Behavior.lift did not receive any Behaviors');
 
-      return Stream(function(downStream) {
+      each(function(behavior) {
+        assert(Behavior.isBehavior(behavior), 'Behavior.lift received a non Behavior as an argument');
+      }, behaviors);
 
-        breakers.push(stream.subscribe(function(val) {
-          sampleVal = val;
-        }));
+      function current() {
+        return fn.apply(null, map(function(behavior) {
+          return behavior.get();
+        }, behaviors));
+      }
 
-        breakers.push(mainStream.subscribe(function(val) {
-          downStream.write([val, sampleVal])
-        }));
+      return Behavior(current(), Stream(function(downStream) {
 
-        return function() {
-          each(function(breaker) {
-            breaker();
-          }, breakers);
-          sampleVal = null;
-          mainStream = null;
-          stream = null;
-          breakers = null;
-        }
-      });
-    }
+        var open     = 0,
+            breakers = [];
 
-    /**
-     * Returns a new Stream that produces pairs of values from the parent Streams
-     *
-     * @name zipWith
-     * @method
-     * @memberOf Stream
-     * @instance
-     * @param {Stream} stream2 - The Stream to zip with the current Stream.
-     * @returns {Stream} A new Stream.
-     */
-    streamProto.zipWith = streamProto.zip = function(stream2) {
+        each(function(behavior) {
 
-      assert(isStream(stream2), 'Stream.zipWith did not receive a Stream');
+          var changes = behavior.changes();
 
-      var val1     = null,
-          val2     = null,
-          stream1  = this,
-          breakers = [];
+          if (changes.isClosed) return;
 
-      return Stream(function(downStream) {
+          open = open + 1;
 
-        breakers.push(stream1.subscribe(function(val) {
-          val1 = val;
-          if (val2) downStream.write([val1, val2]);
-        }));
+          breakers.push(changes.subscribe(
+            // onNext
+            function() {
+              downStream.broadcast('sendNext', current());
+            },
+            // onError
+            function(err) {
+              downStream.broadcast('sendError', err);
+            },
+            // onDone
+            function() {
+              open = open - 1;
+              if (open === 0) downStream.close();
+            }
+          ));
+        }, behaviors);
 
-        breakers.push(stream2.subscribe(function(val) {
-          val2 = val;
-          if (val1) downStream.write([val1, val2]);
-        }));
+        if (open === 0) {
+          downStream.close();
+        }
 
         return function() {
           each(function(breaker) {
             breaker();
           }, breakers);
-          breakers = null;
-          stream1 = null;
-          val1 = null;
-          val2 = null;
-        }
-      });
+        };
+      }));
     };
 
-    /**
-     * Only for event Streams. Otherwise shit's gonna blow up.
-     *
-     * @name preventDefault
-     * @method
-     * @memberOf Stream
-     * @instance
-     * @returns {Stream} A new Stream
-     */
-    streamProto.preventDefault = function() {
-      return withTransform(this, function(stream, evt) {
-        evt.preventDefault();
-        evt.stopPropagation();
-        stream.broadcast('sendNext', evt);
-      });
-    };
+    // Same as lift, for a fixed number of Behaviors.
+    function liftN(num) {
+      return function(fn) {
+        assert(arguments.length === num + 1, 'Behavior.lift' + num + ' expects ' + num + ' Behaviors');
+        return Behavior.lift.apply(null, toArray(arguments));
+      };
+    }
 
     /**
-     * Returns a stream of http responses. Responses will only be written to the stream
-     * in order. Responses that return out of order are disguarded.
-     *
-     * EXAMPLE:
-     * toHttpStream({
-     *   method : 'POST',
-     *   dataType : 'text',
-     *   cache : false
-     * })
-     *
-     * // include a custom Cache
-     * toHttpStream({
-     *   cache : Cache(options)
-     * })
-     *
-     * @name toHttpStream
-     * @method
-     * @memberOf Stream
-     * @instance
-     * @param {Object} options - A hash of options to configure the http request and cahce.
-     * @returns {Stream} A new Stream
+     * @name lift2
+     * @memberOf Behavior
+     * @static
      */
-    streamProto.toHttpStream = function(options) {
-
-      var options = options || {},
-          cache   = Cache.isCache(options.cache) ? options.cache :
-                    (options.cache === false) ? false : Cache();
-
-      delete options.cache;
-
-      return Stream.createHttpStream(this, cache, options);
-    };
+    Behavior.lift2 = liftN(2);
 
     /**
-     * A conviniece constructor, wrapping the new operator, so that this is more easily
-     * composoable.
+     * @name lift3
+     * @memberOf Behavior
+     * @static
      */
-    function Stream(seed, transform) {
-      return new _Stream(seed, transform);
-    }
+    Behavior.lift3 = liftN(3);
 
     /**
-     * Does a boolean check if an object is a Stream
-     *
-     * @name isStream
-     * @method
+     * @name lift4
+     * @memberOf Behavior
      * @static
-     * @memberOf Stream
-     * @param {Object} obj - Object to check
-     * @returns {Boolean} Is the object a Stream?
      */
-    Stream.isStream = function(obj) {
-      return isStream(obj);
-    };
+    Behavior.lift4 = liftN(4);
+
+    return Behavior;
+
+  }());
+
+  /**
+   * Helpers for testing streams with marble diagrams on a virtual clock. A marble diagram is
+   * a string where every character is a frame (testing.FRAME virtual milliseconds) of time:
+   *
+   * '-'     - a frame where nothing happens.
+   * 'a'     - any other character is a value, looked up in the values hash if one is given.
+   * '|'     - the stream closes.
+   * '#'     - the stream errors.
+   * '(ab)'  - values in parens all happen on the frame of the opening paren.
+   * '^'     - for hot streams and subscriptions, the point where the test starts (or the
+   *           subscription is made).
+   * '!'     - for subscriptions, the point where the subscription is broken.
+   *
+   * Whitespace is ignored. Everything has to happen inside of testing.run, which installs a
+   * TestScheduler, runs the test, flushes the clock and checks all of the expectations.
+   *
+   * EXAMPLE:
+   * Frampton.testing.run(function() {
+   *   var source = Frampton.testing.cold('--a--b--|');
+   *   Frampton.testing.expectStream(source.map(toUpper)).toBe('--A--B--|');
+   * });
+   *
+   * @name testing
+   * @memberOf Frampton
+   * @namespace
+   */
+  var testing = (function() {
+
+    var FRAME = 10,
+        expectations = [];
+
+    function currentScheduler() {
+      assert(TestScheduler.isTestScheduler(installedScheduler), 'Frampton.testing needs a TestScheduler, use testing.run');
+      return installedScheduler;
+    }
+
+    function deepEqual(a, b) {
+
+      var key;
+
+      if (a === b) return true;
+
+      // Errors have nothing enumerable to compare, so go by what they say.
+      if (a instanceof Error || b instanceof Error) {
+        return (a instanceof Error && b instanceof Error && a.name === b.name && a.message === b.message);
+      }
+
+      if (isArray(a) && isArray(b)) {
+
+        if (a.length !== b.length) return false;
+
+        for (key = 0; key < a.length; key++) {
+          if (!deepEqual(a[key], b[key])) return false;
+        }
+
+        return true;
+      }
+
+      if (isObject(a) && isObject(b)) {
+
+        for (key in a) {
+          if (_hasProp.call(a, key) && !deepEqual(a[key], b[key])) return false;
+        }
+
+        for (key in b) {
+          if (_hasProp.call(b, key) && !_hasProp.call(a, key)) return false;
+        }
+
+        return true;
+      }
+
+      return false;
+    }
+
+    function describe(events) {
+      return JSON.stringify(events, function(key, val) {
+        return (val instanceof Error) ? val.toString() : (val === Infinity) ? 'Infinity' : val;
+      });
+    }
 
     /**
-     * Creates a stream with an initial value. The returned stream is useful for merging
-     * with other streams.
+     * Turns a marble diagram into a list of events ({ time, kind, value }) where kind is
+     * 'N' for a value, 'E' for an error and 'C' for completion. Times are relative to the
+     * subscription marker, if there is one.
      *
-     * @name fromValue
-     * @method
+     * @name parseMarbles
+     * @memberOf testing
      * @static
-     * @memberOf Stream
-     * @param {Any} val - A value to be emitted when the stream is subscribed to.
-     * @returns {Stream} - A new stream that emits a single value
+     * @param {String} marbles    - Marble diagram.
+     * @param {Object} values     - Optional hash of values for the characters in the diagram.
+     * @param {Any}    errorValue - Optional value to use for errors.
+     * @returns {Array} A list of events.
      */
-    Stream.fromValue = function(val) {
-      return Stream(function(downStream) {
-        downStream.write(val);
-      });
-    };
+    function parseMarbles(marbles, values, errorValue) {
+
+      var events     = [],
+          frame      = 0,
+          offset     = marbles.replace(/\s/g, '').indexOf('^'),
+          groupStart = -1,
+          chars      = marbles.replace(/\s/g, ''),
+          i, c, time;
+
+      values = values || {};
+      errorValue = isDefined(errorValue) ? errorValue : 'error';
+      offset = (offset > -1) ? offset * FRAME : 0;
+
+      for (i = 0; i < chars.length; i++) {
+
+        c = chars.charAt(i);
+        time = ((groupStart > -1) ? groupStart : frame) - offset;
+
+        switch (c) {
+          case '-':
+          case '^':
+            break;
+          case '(':
+            groupStart = frame;
+            break;
+          case ')':
+            groupStart = -1;
+            break;
+          case '|':
+            events.push({ time : time, kind : 'C' });
+            break;
+          case '#':
+            events.push({ time : time, kind : 'E', value : errorValue });
+            break;
+          default:
+            events.push({ time : time, kind : 'N', value : _hasProp.call(values, c) ? values[c] : c });
+        }
+
+        frame = frame + FRAME;
+      }
+
+      return events;
+    }
 
     /**
-     * Takes an array and returns a stream with each value in the array pushed onto the
-     * stream.
+     * Turns a subscription marble diagram ('^---!') into { subscribed, unsubscribed } times.
      *
-     * @todo Should the values be fed onto the stream asyncronously using immediate()?
-     *
-     * @name fromArray
-     * @method
+     * @name parseSubscription
+     * @memberOf testing
      * @static
-     * @memberOf Stream
-     * @param {Array} arr - Array used as the input for the new stream.
-     * @returns {Stream} - A new stream that will be fed the values in the array once it
-     * has a subscriber.
+     * @param {String} marbles - Subscription marble diagram.
+     * @returns {Object}
      */
-    Stream.fromArray = function(arr) {
+    function parseSubscription(marbles) {
 
-      return Stream(function(downStream) {
+      var chars = marbles.replace(/\s/g, ''),
+          sub   = chars.indexOf('^'),
+          unsub = chars.indexOf('!');
 
-        each(function(element) {
-          downStream.write(element);
-        }, arr);
+      return {
+        subscribed   : (sub > -1) ? sub * FRAME : 0,
+        unsubscribed : (unsub > -1) ? unsub * FRAME : Infinity
+      };
+    }
 
-        downStream.close();
-      });
-    };
+    // Sends an event to a stream.
+    function send(stream, event) {
+      switch (event.kind) {
+        case 'N':
+          stream.broadcast('sendNext', event.value);
+          break;
+        case 'E':
+          stream.broadcast('sendError', event.value);
+          break;
+        case 'C':
+          stream.close();
+          break;
+      }
+    }
 
     /**
-     * Takes a promise and returns a new stream that will emit the value of the promise
-     * when it is known.
+     * Creates a cold stream. Every subscriber gets its own run of the diagram, timed from
+     * the moment it subscribes.
      *
-     * @name fromPromise
-     * @method
+     * @name cold
+     * @memberOf testing
      * @static
-     * @memberOf Stream
-     * @param {Object} promise - The promise to convert into a Stream.
-     * @returns {Stream} A new Stream.
+     * @param {String} marbles    - Marble diagram.
+     * @param {Object} values     - Optional hash of values for the characters in the diagram.
+     * @param {Any}    errorValue - Optional value to use for errors.
+     * @returns {Stream} A new Stream with a subscriptions property logging its subscriptions.
      */
-    Stream.fromPromise = function(promise) {
+    function cold(marbles, values, errorValue) {
 
-      return Stream(function(downStream) {
+      var scheduler = currentScheduler(),
+          events    = parseMarbles(marbles, values, errorValue),
+          stream;
 
-        promise.then(function(val) {
-          downStream.write(val);
-        }, function(err) {
-          downStream.error(err);
-        });
+      assert(marbles.indexOf('^') === -1, 'cold streams cannot have a subscription marker');
+
+      stream = Stream.unshared(function(downStream) {
+
+        var subscription = { subscribed : scheduler.now(), unsubscribed : Infinity },
+            cancels      = map(function(event) {
+              return scheduler.schedule(function() {
+                send(downStream, event);
+              }, event.time);
+            }, events);
+
+        stream.subscriptions.push(subscription);
+
+        return function() {
+          subscription.unsubscribed = scheduler.now();
+          each(function(cancel) {
+            cancel();
+          }, cancels);
+        };
       });
-    };
+
+      stream.subscriptions = [];
+
+      return stream;
+    }
 
     /**
-     * Takes a function that wraps a function that takes a callback. We provide the callback
-     * to the inner function and feed a stream from the value that callback receives.
-     *
-     * Example:
-     * function(callback) {
-     *   ajax(query, callback);
-     * }
+     * Creates a hot stream. The diagram plays out from the start of the test ('^') whether
+     * anyone is subscribed or not.
      *
-     * @name fromCallback
-     * @method
+     * @name hot
+     * @memberOf testing
      * @static
-     * @memberOf Stream
-     * @param {Function} fn - Function that wraps a function that takes a callback and receives
-     * that callback as an argument.
-     * @returns {Stream} A new stream that gets it's value from that callback function.
+     * @param {String} marbles    - Marble diagram.
+     * @param {Object} values     - Optional hash of values for the characters in the diagram.
+     * @param {Any}    errorValue - Optional value to use for errors.
+     * @returns {Stream} A new Stream with a subscriptions property logging its subscriptions.
      */
-    Stream.fromCallback = function(fn) {
+    function hot(marbles, values, errorValue) {
 
-      return Stream(function(downStream) {
+      var scheduler = currentScheduler(),
+          start     = scheduler.now(),
+          stream;
 
-        fn(function(val) {
-          downStream.write(val);
-        });
+      stream = Stream(function() {
+
+        var subscription = { subscribed : scheduler.now() - start, unsubscribed : Infinity };
+
+        stream.subscriptions.push(subscription);
+
+        return function() {
+          subscription.unsubscribed = scheduler.now() - start;
+        };
       });
-    };
+
+      stream.subscriptions = [];
+
+      each(function(event) {
+        if (event.time >= 0) {
+          scheduler.schedule(function() {
+            send(stream, event);
+          }, event.time);
+        }
+      }, parseMarbles(marbles, values, errorValue));
+
+      return stream;
+    }
 
     /**
-     * Creates a new stream by merging together the passed in streams.
+     * Subscribes to a stream, recording everything it does, so that it can be checked against
+     * a marble diagram once the test is done.
      *
-     * @name fromMerge
-     * @method
+     * @name expectStream
+     * @memberOf testing
      * @static
-     * @memberOf Stream
-     * @param {Stream(s)} One or more streams to merge
-     * @returns {Stream} A new stream that receives values from all the merged streams.
+     * @param {Stream} stream       - The stream to test.
+     * @param {String} subscription - Optional subscription diagram ('^--!') for when to
+     * subscribe and unsubscribe.
+     * @returns {Object} An object with a toBe(marbles, values, errorValue) method.
      */
-    Stream.fromMerge = function(/* streams */) {
+    function expectStream(stream, subscription) {
+
+      var scheduler   = currentScheduler(),
+          start       = scheduler.now(),
+          times       = parseSubscription(subscription || '^'),
+          actual      = [],
+          expectation = { actual : actual, expected : null },
+          breaker     = null;
+
+      function record(kind, value) {
+        var event = { time : scheduler.now() - start, kind : kind };
+        if (kind !== 'C') event.value = value;
+        actual.push(event);
+      }
 
-      var toMerge = toArray(arguments);
+      assert(Stream.isStream(stream), 'testing.expectStream did not receive a Stream');
 
-      return Stream(function(downStream) {
+      scheduler.schedule(function() {
+        breaker = stream.subscribe(
+          function(val) { record('N', val); },
+          function(err) { record('E', err); },
+          function()    { record('C'); }
+        );
+      }, times.subscribed);
 
-        each(function(source) {
+      if (times.unsubscribed !== Infinity) {
+        scheduler.schedule(function() {
+          if (breaker) breaker();
+        }, times.unsubscribed);
+      }
 
-          assert(isStream(source), 'Stream.fromMerge recieved a non stream as an argument');
+      expectations.push(expectation);
 
-          source.pipe(downStream);
+      return {
+        toBe : function(marbles, values, errorValue) {
+          expectation.expected = parseMarbles(marbles, values, errorValue);
+        }
+      };
+    }
 
-        }, toMerge);
+    /**
+     * Checks the subscriptions logged by a cold or hot stream against subscription diagrams.
+     *
+     * @name expectSubscriptions
+     * @memberOf testing
+     * @static
+     * @param {Array} subscriptions - The subscriptions property of a cold or hot stream.
+     * @returns {Object} An object with a toBe(marbles) method taking one diagram or an array of them.
+     */
+    function expectSubscriptions(subscriptions) {
 
-      });
-    };
+      var expectation = { actual : subscriptions, expected : null };
+
+      currentScheduler();
+      expectations.push(expectation);
+
+      return {
+        toBe : function(marbles) {
+          expectation.expected = map(parseSubscription, isArray(marbles) ? marbles : [marbles]);
+        }
+      };
+    }
 
     /**
-     * Create a stream of Http responses.
+     * Runs a test on a fresh TestScheduler. The test function gets the scheduler as its
+     * argument. Once it returns the clock is flushed and every expectation is checked,
+     * throwing if one doesn't match.
      *
-     * @name createHttpStream
-     * @method
+     * @name run
+     * @memberOf testing
      * @static
-     * @memberOf Stream
-     * @param {Function} source  - Stream to feed the new stream.
-     * @param {Cache}    cache   - Object to cache http requests.
-     * @param {Object}   options - A hash of options to pass to the http function.
-     * @returns {Stream} A new stream.
+     * @param {Function} fn - The test.
      */
-    Stream.createHttpStream = function(source, cache, options) {
+    function run(fn) {
 
-      var config = {
-        dataType : 'json',
-        method : 'GET'
-      };
+      var previous  = installedScheduler,
+          scheduler = TestScheduler(),
+          toCheck;
 
-      extend(config, options);
+      expectations = [];
+      installedScheduler = scheduler;
+
+      try {
+        fn(scheduler);
+        scheduler.flush();
+      } finally {
+        installedScheduler = previous;
+        toCheck = expectations;
+        expectations = [];
+      }
+
+      each(function(expectation) {
+        if (expectation.expected && !deepEqual(expectation.actual, expectation.expected)) {
+          throw new Error(
+            'Marble expectation failed.\n' +
+            'Expected: ' + describe(expectation.expected) + '\n' +
+            'Actual:   ' + describe(expectation.actual)
+          );
+        }
+      }, toCheck);
+    }
 
-      return source.flatMapLatest(function(url) {
+    return {
+      FRAME               : FRAME,
+      run                 : run,
+      cold                : cold,
+      hot                 : hot,
+      expectStream        : expectStream,
+      expectSubscriptions : expectSubscriptions,
+      parseMarbles        : parseMarbles,
+      parseSubscription   : parseSubscription
+    };
 
-        assert(isString(url), "Url for HttpStream must be a string");
+  }());
 
-        return Stream(function(downStream) {
+  /**
+   * Tools for looking at how streams are wired together.
+   *
+   * @name debug
+   * @memberOf Frampton
+   * @namespace
+   */
+  var debug = (function() {
 
-          var entry = (Cache.isCache(cache)) ? cache.get(url) : null;
+    function nodeId(stream) {
+      return 's' + stream._id;
+    }
 
-          if (entry) {
+    function quote(str) {
+      return '"' + String(str).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+    }
 
-            // if we have data we'll asyncronously return it as fast as possible.
-            if (entry.data) {
+    function toDOT(nodes, edges) {
 
-              immediate(function() {
-                downStream.broadcast('sendNext', entry.data);
-              });
-            }
+      var lines = ['digraph frampton {'];
 
-          } else {
+      each(function(node) {
 
-            // Make an entry to put into the cache.
-            entry = {
-              request : $.ajax({
-                url : url,
-                method : config.method,
-                dataType : config.dataType
-              }),
-              data : null
-            };
+        var label = (node.name || node.id) + '\n' + (node.operator || 'source') +
+                    '\n' + node.subscribers + ' subscriber' + (node.subscribers === 1 ? '' : 's');
 
-            entry.request.then(function(response) {
-              entry.data = response;
-              entry.request = null;
-              downStream.broadcast('sendNext', response);
-            },
-            function(err) {
-              // on error, propogate the error down the stream.
-              downStream.broadcast('sendError', err);
-            });
+        lines.push('  ' + node.id + ' [label=' + quote(label) + (node.closed ? ', style=dashed' : '') + '];');
+      }, nodes);
 
-            if (cache) {
-              cache.put(url, entry);
-            }
+      each(function(edge) {
+        lines.push('  ' + edge.from + ' -> ' + edge.to + ';');
+      }, edges);
 
-          }
-        });
-      });
-    };
+      lines.push('}');
+
+      return lines.join('\n');
+    }
 
     /**
-     * Creates a new stream of events, given an event name and a Dom node to attach to. The
-     * stream is lazy. The event is not attached until the stream is subscribed to.
+     * Walks the graph of streams feeding the given streams, as recorded by the operators that
+     * made them, and exports it as JSON and as Graphviz DOT. Each node has the stream's id,
+     * name, the operator that made it, its number of subscribers and whether it is closed.
      *
-     * @name fromEvent
-     * @method
+     * EXAMPLE:
+     * var results = searches.named('search').debounce(300).toHttpStream();
+     * Frampton.debug.graph(results).dot;
+     *
+     * @name graph
+     * @memberOf debug
      * @static
-     * @memberOf Stream
-     * @param {String}     eventName - Name of event to listen to.
-     * @param {DOM|jQuery} target    - Dom node to attach to. Alternatively, you can also pass a
-     * jQuery object or similar wrapper that provides an 'on' method for listening to events.
-     * @returns {Object} A new stream of events.
+     * @param {Stream(s)} One or more streams to start walking from.
+     * @returns {Object} An object with json ({ nodes, edges }) and dot (String) properties.
      */
-    Stream.fromEvent = curry(function(eventName, target) {
+    function graph(/* streams */) {
 
-      return Stream(function(downStream) {
+      var queue = toArray(arguments),
+          seen  = {},
+          nodes = [],
+          edges = [],
+          stream;
 
-        return addEvent(
-          eventName,
-          function eventHandler(evt) {
-            downStream.write(normalizeEvent(evt));
-          },
-          target
-        );
-      });
-    });
+      each(function(stream) {
+        assert(Stream.isStream(stream), 'debug.graph recieved a non stream as an argument');
+      }, queue);
 
-    // Extend jQuery, if it's available.
-    if (isFunction($)) {
+      while (queue.length > 0) {
 
-      $.fn.createStreamFrom = function(eventName) {
-        return Stream.fromEvent(eventName, this);
+        stream = queue.shift();
+
+        if (seen[stream._id]) continue;
+
+        seen[stream._id] = true;
+
+        nodes.push({
+          id          : nodeId(stream),
+          name        : stream.name,
+          operator    : stream.operator,
+          subscribers : stream.dispatcher.count(),
+          closed      : stream.isClosed
+        });
+
+        each(function(source) {
+          edges.push({ from : nodeId(source), to : nodeId(stream) });
+          queue.push(source);
+        }, stream.sources);
+      }
+
+      return {
+        json : { nodes : nodes, edges : edges },
+        dot  : toDOT(nodes, edges)
       };
     }
 
-    return Stream;
+    return {
+      graph : graph
+    };
 
   }());
 
   // EXPORTS
 
   // Main exports
-  Frampton.Stream = Stream;
-  Frampton.Cache  = Cache;
+  Frampton.Stream    = Stream;
+  Frampton.Cache     = Cache;
+  Frampton.Scheduler = Scheduler;
+  Frampton.Behavior  = Behavior;
+
+  // Testing
+  Frampton.TestScheduler = TestScheduler;
+  Frampton.testing       = testing;
+
+  // Debugging
+  Frampton.debug = debug;
+
+  // Http
+  Frampton.http = http;
+
+  // Transducers
+  Frampton.transducers = transducers;
 
   // Helpers
   Frampton.bindCallback = bindCallback
@@ -1859,8 +8159,12 @@
   Frampton.isUndefined = isUndefined;
   Frampton.isDefined   = isDefined;
 
-  // Finally, unleash ourselves onto the world.
-  global.Frampton = Frampton;
+  // Finally, unleash ourselves onto the world. CommonJS (Node) gets a module, not a global.
+  if (isObject(module) && isSomething(module.exports)) {
+    module.exports = Frampton;
+  } else {
+    global.Frampton = Frampton;
+  }
 
   if ( isFunction(define) && define.amd ) {
     define( "Frampton", [], function() {
@@ -1868,4 +8172,11 @@
     });
   }
 
-}(window, window.document, window.jQuery, window.define));
\ No newline at end of file
+}(
+  // window in browsers, self in workers and global in Node.
+  (typeof window !== 'undefined') ? window :
+  (typeof self !== 'undefined') ? self :
+  (typeof global !== 'undefined') ? global : this,
+  (typeof define === 'function') ? define : undefined,
+  (typeof module === 'object') ? module : undefined
+));
\ No newline at end of file
@@ -0,0 +1,195 @@
+/**
+ * Run with: node test/async-iteration.test.js
+ */
+var assert   = require('assert'),
+    Frampton = require('../frampton.js'),
+    Stream   = Frampton.Stream;
+
+// Resolves with everything the stream did once it has closed.
+function collect(stream) {
+  return new Promise(function(resolve) {
+
+    var result = { events : [] };
+
+    stream.subscribe(
+      // onNext
+      function(val) {
+        result.events.push(val);
+      },
+      // onError
+      function(err) {
+        result.events.push('error: ' + err.message);
+      },
+      // onDone
+      function() {
+        result.events.push('done');
+        resolve(result.events);
+      }
+    );
+  });
+}
+
+function wait() {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, 0);
+  });
+}
+
+async function main() {
+
+  // Generators, async or not, are pulled from lazily.
+  assert.deepEqual(await collect(Stream.fromGenerator(function* (from, to) {
+    for (var i = from; i <= to; i++) yield i;
+  }, 1, 3)), [1, 2, 3, 'done']);
+
+  assert.deepEqual(await collect(Stream.fromGenerator(async function* () {
+    yield 'a';
+    await wait();
+    yield 'b';
+  })), ['a', 'b', 'done']);
+
+  // A throw from the generator becomes an error, whether it happens on the first pull...
+  assert.deepEqual(await collect(Stream.fromGenerator(function* () {
+    throw new Error('first');
+  })), ['error: first', 'done']);
+
+  // ...or on a later one.
+  assert.deepEqual(await collect(Stream.fromGenerator(function* () {
+    yield 1;
+    throw new Error('later');
+  })), [1, 'error: later', 'done']);
+
+  // Even from an iterator whose next throws instead of returning a promise.
+  var throwing = {};
+
+  throwing[Symbol.asyncIterator] = function() {
+    return {
+      next : function() {
+        throw new Error('sync throw');
+      }
+    };
+  };
+
+  assert.deepEqual(await collect(Stream.fromAsyncIterable(throwing)), ['error: sync throw', 'done']);
+
+  // Async iterables, also through Stream.from.
+  async function* letters() {
+    yield 'x';
+    yield 'y';
+  }
+
+  assert.deepEqual(await collect(Stream.fromAsyncIterable(letters())), ['x', 'y', 'done']);
+  assert.deepEqual(await collect(Stream.from(letters())), ['x', 'y', 'done']);
+
+  assert.throws(function() {
+    Stream.fromAsyncIterable([1]);
+  }, /did not receive an async iterable/);
+
+  // Unsubscribing stops the pulling and lets the generator clean up.
+  var pulled  = 0,
+      cleaned = false,
+      breaker = Stream.fromGenerator(function* () {
+        try {
+          while (true) yield ++pulled;
+        } finally {
+          cleaned = true;
+        }
+      }).subscribe(function(val) {
+        if (val === 2) breaker();
+      });
+
+  await wait();
+
+  assert.equal(pulled, 2);
+  assert.ok(cleaned);
+
+  // Streams work with for await.
+  var seen = [];
+
+  for await (var val of Stream.fromArray([1, 2, 3])) {
+    seen.push(val);
+  }
+
+  assert.deepEqual(seen, [1, 2, 3]);
+
+  // Breaking out of the loop unsubscribes.
+  var unsubscribed = false,
+      source       = Stream(function(downStream) {
+        downStream.write(1);
+        downStream.write(2);
+        return function() {
+          unsubscribed = true;
+        };
+      });
+
+  for await (var first of source) {
+    assert.equal(first, 1);
+    break;
+  }
+
+  assert.ok(unsubscribed);
+
+  // An error rejects the next call to next and ends the iteration.
+  source = Stream(function() {});
+
+  var iterator = source.toAsyncIterator();
+
+  source.write(1);
+  source.error(new Error('oops'));
+
+  assert.deepEqual(await iterator.next(), { value : 1, done : false });
+  await assert.rejects(iterator.next(), /oops/);
+  assert.deepEqual(await iterator.next(), { value : undefined, done : true });
+
+  // Values that come in faster than they're consumed are buffered by policy.
+  var dropped = [];
+
+  source   = Stream(function() {});
+  iterator = source.toAsyncIterator({ policy : 'latest', onDrop : function(val) {
+    dropped.push(val);
+  }});
+
+  source.write(1);
+  source.write(2);
+  source.write(3);
+  source.close();
+
+  assert.deepEqual(await iterator.next(), { value : 3, done : false });
+  assert.deepEqual(await iterator.next(), { value : undefined, done : true });
+  assert.deepEqual(dropped, [1, 2]);
+
+  dropped  = [];
+  source   = Stream(function() {});
+  iterator = source.toAsyncIterator({ policy : 'bounded', size : 2, onDrop : function(val) {
+    dropped.push(val);
+  }});
+
+  source.write(1);
+  source.write(2);
+  source.write(3);
+
+  assert.deepEqual(await iterator.next(), { value : 2, done : false });
+  assert.deepEqual(await iterator.next(), { value : 3, done : false });
+  assert.deepEqual(dropped, [1]);
+
+  // A consumer that is already waiting gets the value right away.
+  source   = Stream(function() {});
+  iterator = source.toAsyncIterator({ policy : 'latest' });
+
+  var pending = iterator.next();
+
+  source.write('now');
+
+  assert.deepEqual(await pending, { value : 'now', done : false });
+
+  assert.throws(function() {
+    Stream(function() {}).toAsyncIterator({ policy : 'bounded', size : 0 });
+  }, /needs a size/);
+
+  console.log('async-iteration: ok');
+}
+
+main().catch(function(err) {
+  console.error(err);
+  process.exit(1);
+});
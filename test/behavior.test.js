@@ -0,0 +1,142 @@
+/**
+ * Run with: node test/behavior.test.js
+ */
+var assert   = require('assert'),
+    Frampton = require('../frampton.js'),
+    Stream   = Frampton.Stream,
+    Behavior = Frampton.Behavior;
+
+// A held stream starts out with the initial value and takes on each new value.
+var source  = Stream(function() {}),
+    held    = source.hold('all'),
+    changes = [];
+
+assert.ok(Behavior.isBehavior(held));
+assert.equal(held.get(), 'all');
+
+held.changes().subscribe(function(val) {
+  changes.push(val);
+});
+
+source.write('active');
+source.write('done');
+
+assert.equal(held.get(), 'done');
+assert.deepEqual(changes, ['active', 'done']);
+
+// Constants never change.
+assert.equal(Behavior.constant(5).get(), 5);
+
+// map and lift follow the values of the Behaviors they were made from.
+var a   = Stream(function() {}),
+    b   = Stream(function() {}),
+    x   = a.hold(1),
+    y   = b.hold(2),
+    sum = Behavior.lift(function(x, y) {
+      return x + y;
+    }, x, y),
+    doubled = x.map(function(val) {
+      return val * 2;
+    }),
+    sums = [];
+
+assert.equal(sum.get(), 3);
+assert.equal(doubled.get(), 2);
+
+sum.changes().subscribe(function(val) {
+  sums.push(val);
+});
+
+a.write(10);
+b.write(12);
+
+assert.equal(sum.get(), 22);
+assert.equal(doubled.get(), 20);
+assert.deepEqual(sums, [12, 22]);
+
+// A lifted Behavior keeps updating until all of its Behaviors have stopped changing.
+var p     = Stream(function() {}),
+    q     = Stream(function() {}),
+    total = Behavior.lift2(function(p, q) {
+      return p + q;
+    }, p.hold(0), q.hold(0)),
+    closed = false;
+
+total.changes().subscribe(null, null, function() {
+  closed = true;
+});
+
+p.write(10);
+p.close();
+q.write(12);
+
+assert.equal(total.get(), 22);
+assert.ok(!closed);
+
+q.close();
+
+assert.ok(closed);
+
+// liftN checks how many Behaviors it gets.
+assert.throws(function() {
+  Behavior.lift2(function() {}, x);
+});
+
+// Sampling a stream or sampling a Behavior from a stream reads the current value.
+var clicks  = Stream(function() {}),
+    samples = [],
+    pairs   = [];
+
+x.sample(clicks).subscribe(function(val) {
+  samples.push(val);
+});
+
+clicks.sample(x).subscribe(function(pair) {
+  pairs.push(pair);
+});
+
+clicks.write('click');
+a.write(7);
+clicks.write('click');
+
+assert.deepEqual(samples, [10, 7]);
+assert.deepEqual(pairs, [['click', 10], ['click', 7]]);
+
+// A Behavior lets go of its stream when the stream closes, or when it is disposed.
+var released = {};
+
+function tracked(name) {
+  return Stream(function() {
+    return function() {
+      released[name] = true;
+    };
+  });
+}
+
+var closing = tracked('closing'),
+    kept    = closing.hold(0);
+
+closing.write(1);
+closing.close();
+
+assert.ok(released.closing);
+assert.equal(kept.get(), 1);
+
+var disposable = tracked('disposed'),
+    disposed   = disposable.hold(0);
+
+assert.ok(!released.disposed);
+
+disposed.dispose();
+disposable.write(5);
+
+assert.ok(released.disposed);
+assert.equal(disposed.get(), 0);
+
+// A stream that closes while the Behavior is being made is let go of as well.
+var finished = Stream.fromArray([1, 2]).hold(0);
+
+assert.equal(finished.get(), 2);
+assert.ok(finished.changes().isClosed);
+
+console.log('behavior: ok');
@@ -0,0 +1,159 @@
+/**
+ * Run with: node test/cache-policies.test.js
+ */
+var assert        = require('assert'),
+    Frampton      = require('../frampton.js'),
+    Cache         = Frampton.Cache,
+    TestScheduler = Frampton.TestScheduler;
+
+function keys(cache, candidates) {
+  return candidates.filter(function(key) {
+    return cache.store[key] !== undefined;
+  });
+}
+
+// LRU evicts what was used longest ago, reads and writes both count as use.
+var cache = Cache({ LIMIT : 3 });
+
+cache.put('a', 1);
+cache.put('b', 2);
+cache.put('c', 3);
+cache.get('a');
+cache.put('b', 20);
+cache.put('d', 4);
+
+assert.deepEqual(keys(cache, ['a', 'b', 'c', 'd']), ['a', 'b', 'd']);
+assert.equal(cache.size, 3);
+
+// FIFO evicts what went in first, no matter how much it's used.
+cache = Cache({ LIMIT : 2, POLICY : 'FIFO' });
+
+cache.put('a', 1);
+cache.put('b', 2);
+cache.get('a');
+cache.put('a', 10);
+cache.put('c', 3);
+
+assert.deepEqual(keys(cache, ['a', 'b', 'c']), ['b', 'c']);
+
+// LFU evicts what was used the fewest times, the least recently used of those on a tie.
+cache = Cache({ LIMIT : 3, POLICY : 'LFU' });
+
+cache.put('a', 1);
+cache.put('b', 2);
+cache.put('c', 3);
+cache.get('a');
+cache.get('a');
+cache.get('b');
+cache.get('c');
+cache.put('d', 4);
+
+assert.deepEqual(keys(cache, ['a', 'b', 'c', 'd']), ['a', 'c', 'd']);
+
+// A new entry starts from the bottom again, so it's the next to go.
+cache.put('e', 5);
+
+assert.deepEqual(keys(cache, ['a', 'c', 'd', 'e']), ['a', 'c', 'e']);
+
+// Removing the least used entries leaves the next lowest to evict.
+cache = Cache({ LIMIT : 2, POLICY : 'LFU' });
+
+cache.put('a', 1);
+cache.put('b', 2);
+cache.get('b');
+cache.remove('a');
+cache.put('c', 3);
+cache.get('c');
+cache.get('c');
+cache.put('d', 4);
+
+assert.deepEqual(keys(cache, ['a', 'b', 'c', 'd']), ['c', 'd']);
+
+// TTL only lets go of entries once they've expired, growing past the limit until then.
+var scheduler = TestScheduler().install();
+
+cache = Cache({ LIMIT : 2, TIMEOUT : 100, POLICY : 'TTL' });
+
+cache.put('a', 1);
+scheduler.advanceBy(50);
+cache.put('b', 2);
+cache.put('c', 3);
+
+assert.equal(cache.size, 3);
+
+scheduler.advanceBy(51);
+cache.put('d', 4);
+
+assert.deepEqual(keys(cache, ['a', 'b', 'c', 'd']), ['b', 'c', 'd']);
+
+// Expired entries aren't handed out whatever the policy.
+assert.equal(cache.get('b'), 2);
+
+scheduler.advanceBy(100);
+
+assert.equal(cache.get('b'), null);
+
+scheduler.uninstall();
+
+// Custom policies are told what happens to the entries and pick what to evict.
+var calls = [];
+
+cache = Cache({ LIMIT : 2, POLICY : function(config) {
+
+  var entries = [];
+
+  assert.equal(config.LIMIT, 2);
+
+  return {
+    add : function(entry) {
+      calls.push('add ' + entry.key);
+      entries.push(entry);
+    },
+    touch : function(entry) {
+      calls.push('touch ' + entry.key);
+    },
+    update : function(entry) {
+      calls.push('update ' + entry.key);
+    },
+    remove : function(entry) {
+      calls.push('remove ' + entry.key);
+      entries.splice(entries.indexOf(entry), 1);
+    },
+    evict : function() {
+      // Keeps the biggest values around.
+      return entries.slice().sort(function(a, b) {
+        return a.value - b.value;
+      })[0];
+    }
+  };
+}});
+
+cache.put('a', 5);
+cache.put('b', 1);
+cache.get('a');
+cache.put('a', 6);
+cache.put('c', 3);
+
+assert.deepEqual(calls, ['add a', 'add b', 'touch a', 'update a', 'remove b', 'add c']);
+assert.deepEqual(keys(cache, ['a', 'b', 'c']), ['a', 'c']);
+
+// A policy that won't evict anything lets the cache grow.
+cache = Cache({ LIMIT : 1, POLICY : function() {
+  return { add : function() {}, touch : function() {}, update : function() {}, remove : function() {}, evict : function() {
+    return null;
+  }};
+}});
+
+cache.put('a', 1);
+cache.put('b', 2);
+
+assert.equal(cache.size, 2);
+
+// The built in policies are there to build on.
+assert.deepEqual(Object.keys(Cache.policies).sort(), ['FIFO', 'LFU', 'LRU', 'TTL']);
+
+assert.throws(function() {
+  Cache({ POLICY : 'RANDOM' });
+}, /unknown POLICY: RANDOM/);
+
+console.log('cache-policies: ok');
@@ -0,0 +1,207 @@
+/**
+ * Run with: node test/cache-snapshot.test.js
+ */
+var assert        = require('assert'),
+    Frampton      = require('../frampton.js'),
+    Stream        = Frampton.Stream,
+    Cache         = Frampton.Cache,
+    TestScheduler = Frampton.TestScheduler;
+
+// Fills a cache up to its limit and reports which of the keys survive one more put.
+function survivors(cache, keys) {
+  cache.put('new', 0);
+  return keys.filter(function(key) {
+    return cache.has(key);
+  });
+}
+
+function settle(scheduler) {
+
+  scheduler.advanceBy(0);
+
+  return new Promise(function(resolve) {
+    setTimeout(resolve, 10);
+  });
+}
+
+async function main() {
+
+  var scheduler = TestScheduler(0).install(),
+      cache, copy, snapshot;
+
+  // Hydrating keeps the order entries would be evicted in.
+  cache = Cache({ LIMIT : 3 });
+  cache.put('a', 1);
+  cache.put('b', 2);
+  cache.put('c', 3);
+  cache.get('a');
+
+  snapshot = cache.snapshot();
+
+  assert.equal(snapshot.version, 1);
+  assert.deepEqual(snapshot.entries.map(function(record) {
+    return record.key;
+  }), ['b', 'c', 'a']);
+
+  copy = Cache.hydrate(snapshot, { LIMIT : 3 });
+
+  assert.deepEqual(survivors(copy, ['a', 'b', 'c']), ['a', 'c']);
+
+  // With LFU too, fewest uses first.
+  cache = Cache({ LIMIT : 3, POLICY : 'LFU' });
+  cache.put('a', 1);
+  cache.put('b', 2);
+  cache.put('c', 3);
+  cache.get('a');
+  cache.get('a');
+  cache.get('c');
+
+  copy = Cache.hydrate(JSON.stringify(cache.snapshot()), { LIMIT : 3, POLICY : 'LFU' });
+
+  assert.deepEqual(survivors(copy, ['a', 'b', 'c']), ['a', 'c']);
+
+  // Policies that can't list their entries are snapshotted oldest first.
+  cache = Cache({ POLICY : function() {
+    return { add : function() {}, touch : function() {}, update : function() {}, remove : function() {}, evict : function() {
+      return null;
+    }};
+  }});
+
+  cache.put('late', 1);
+  scheduler.advanceBy(1);
+  cache.put('later', 2);
+
+  assert.deepEqual(cache.snapshot().entries.map(function(record) {
+    return record.key;
+  }), ['late', 'later']);
+
+  // Entries kept out of storage, expired entries and values that aren't JSON are left out.
+  var circular = {};
+
+  circular.self = circular;
+
+  cache = Cache({ TIMEOUT : 100 });
+  cache.put('pending', 1, { persist : false });
+  cache.put('short', 2, { ttl : 10 });
+  cache.put('circular', circular);
+  cache.put('kept', { list : [1] }, { ttl : 50, tags : ['lists'] });
+
+  scheduler.advanceBy(20);
+
+  snapshot = cache.snapshot();
+
+  assert.deepEqual(snapshot.entries, [{
+    key       : 'kept',
+    value     : { list : [1] },
+    timestamp : 1,
+    counter   : 1,
+    ttl       : 50,
+    tags      : ['lists']
+  }]);
+
+  // The snapshot doesn't change with the live value.
+  cache.get('kept').list.push(2);
+
+  assert.deepEqual(snapshot.entries[0].value, { list : [1] });
+
+  // Timestamps, ttls and tags come back with the entries.
+  copy = Cache.hydrate(snapshot, { TIMEOUT : 100 });
+
+  assert.equal(Cache.hydrate(snapshot, { TIMEOUT : 100 }).invalidateTag('lists'), 1);
+  assert.deepEqual(copy.get('kept'), { list : [1] });
+
+  scheduler.advanceBy(31);
+
+  assert.ok(!copy.has('kept'));
+
+  // Anything that has expired since is left out.
+  scheduler.advanceBy(100);
+
+  assert.deepEqual(Cache.hydrate(snapshot).keys(), []);
+
+  // Entries already loaded from storage make way for the snapshot's.
+  var storage = {
+    getAll     : function(callback) {
+      callback(null, {
+        kept : JSON.stringify({ key : 'kept', value : 'stored', timestamp : scheduler.now(), counter : 1 })
+      });
+    },
+    setItem    : function(key, data, callback) {
+      callback(null);
+    },
+    removeItem : function() {}
+  };
+
+  copy = Cache.hydrate({ version : 1, entries : [
+    { key : 'kept', value : 'snapshot', timestamp : scheduler.now(), counter : 1, ttl : null, tags : [] }
+  ] }, { STORAGE : storage });
+
+  assert.equal(copy.get('kept'), 'snapshot');
+
+  assert.throws(function() {
+    Cache.hydrate({ entries : 'nope' });
+  }, /did not receive a snapshot/);
+
+  // A hydrated http response expires on its original schedule.
+  var requests = 0,
+      source   = Stream(function() {}),
+      values   = [];
+
+  global.fetch = function() {
+    requests = requests + 1;
+    return Promise.resolve({
+      ok      : true,
+      status  : 200,
+      headers : new Headers(),
+      json    : function() {
+        return Promise.resolve(['fresh']);
+      },
+      text    : function() {
+        return Promise.resolve('["fresh"]');
+      }
+    });
+  };
+
+  scheduler.uninstall();
+  scheduler = TestScheduler(0).install();
+
+  // Put in the cache 600ms ago, so with a TIMEOUT of 1000 it expires at 400.
+  cache = Cache.hydrate({
+    version : 1,
+    entries : [{
+      key       : '/users',
+      value     : { data : ['cached'], etag : null, lastModified : null, fetchedAt : -600 },
+      timestamp : -600,
+      counter   : 1,
+      ttl       : null,
+      tags      : []
+    }]
+  }, { TIMEOUT : 1000 });
+
+  source.toHttpStream({ cache : cache }).subscribe(function(val) {
+    values.push(val);
+  });
+
+  source.write('/users');
+  await settle(scheduler);
+
+  assert.deepEqual(values, [['cached']]);
+  assert.equal(requests, 0);
+
+  scheduler.advanceTo(500);
+
+  source.write('/users');
+  await settle(scheduler);
+
+  assert.deepEqual(values, [['cached'], ['fresh']]);
+  assert.equal(requests, 1);
+
+  scheduler.uninstall();
+
+  console.log('cache-snapshot: ok');
+}
+
+main().catch(function(err) {
+  console.error(err);
+  process.exit(1);
+});
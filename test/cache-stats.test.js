@@ -0,0 +1,118 @@
+/**
+ * Run with: node test/cache-stats.test.js
+ */
+var assert        = require('assert'),
+    Frampton      = require('../frampton.js'),
+    Cache         = Frampton.Cache,
+    TestScheduler = Frampton.TestScheduler;
+
+function record(cache) {
+
+  var log = { events : [] };
+
+  log.unsubscribe = cache.events().subscribe(function(evt) {
+    log.events.push([evt.type, evt.key, evt.reason].join(' '));
+  });
+
+  return log;
+}
+
+var scheduler = TestScheduler(0).install(),
+    cache     = Cache({ LIMIT : 2, TIMEOUT : 100 }),
+    log       = record(cache);
+
+// Every put, get, eviction, expiration and removal is reported.
+cache.put('a', 1);
+cache.put('a', 2);
+cache.get('a');
+cache.get('b');
+cache.put('b', 1);
+cache.put('c', 1);
+scheduler.advanceBy(101);
+cache.get('b');
+cache.remove('c');
+
+assert.deepEqual(log.events, [
+  'put a new',
+  'put a update',
+  'get a hit',
+  'get b miss',
+  'put b new',
+  'evict a limit',
+  'put c new',
+  'expire b timeout',
+  'get b miss',
+  'remove c manual'
+]);
+
+// And counted, an expired entry being a miss as well.
+var stats = cache.stats();
+
+assert.equal(stats.hits, 1);
+assert.equal(stats.misses, 2);
+assert.equal(stats.expirations, 1);
+assert.equal(stats.evictions, 1);
+assert.equal(stats.size, 0);
+assert.equal(stats.hitRatio, 1 / 3);
+
+// Every call gets the same stream, and events only go out while somebody is listening.
+assert.strictEqual(cache.events(), cache.events());
+
+log.unsubscribe();
+cache.put('d', 1);
+
+assert.equal(log.events.length, 10);
+
+// A cache that hasn't been asked anything has a hit ratio of zero.
+assert.equal(Cache().stats().hitRatio, 0);
+
+// Evictions because storage is full, and entries restored from storage, say so.
+var full    = 1,
+    storage = {
+      getAll     : function(callback) {
+        callback(null, {
+          old : JSON.stringify({ key : 'old', value : 1, timestamp : scheduler.now(), counter : 1 })
+        });
+      },
+      setItem    : function(key, data, callback) {
+
+        var err;
+
+        if (full > 0) {
+          full = full - 1;
+          err = new Error('full');
+          err.name = 'QuotaExceededError';
+          return callback(err);
+        }
+
+        callback(null);
+      },
+      removeItem : function() {}
+    };
+
+cache = Cache({ STORAGE : storage });
+log   = record(cache);
+
+cache.put('new', 2);
+
+assert.deepEqual(log.events, ['put new new', 'evict old quota']);
+assert.equal(cache.stats().evictions, 1);
+
+// Restores happen while the cache is made, before anyone could subscribe, unless storage
+// answers later.
+var answer;
+
+storage.getAll = function(callback) {
+  answer = callback;
+};
+
+cache = Cache({ STORAGE : storage });
+log   = record(cache);
+
+answer(null, { old : JSON.stringify({ key : 'old', value : 1, timestamp : scheduler.now(), counter : 1 }) });
+
+assert.deepEqual(log.events, ['put old restore']);
+
+scheduler.uninstall();
+
+console.log('cache-stats: ok');
@@ -0,0 +1,228 @@
+/**
+ * Run with: node test/cache-storage.test.js
+ */
+var assert        = require('assert'),
+    fs            = require('fs'),
+    os            = require('os'),
+    path          = require('path'),
+    Frampton      = require('../frampton.js'),
+    Cache         = Frampton.Cache,
+    TestScheduler = Frampton.TestScheduler;
+
+// A storage adapter over a plain object, answering right away.
+function memoryStorage(items) {
+
+  var storage = { items : items || {}, full : 0 };
+
+  storage.getAll = function(callback) {
+    callback(null, storage.items);
+  };
+
+  storage.setItem = function(key, data, callback) {
+
+    var err;
+
+    if (storage.full > 0) {
+      storage.full = storage.full - 1;
+      err = new Error('full');
+      err.name = 'QuotaExceededError';
+      return callback(err);
+    }
+
+    storage.items[key] = data;
+    callback(null);
+  };
+
+  storage.removeItem = function(key) {
+    delete storage.items[key];
+  };
+
+  return storage;
+}
+
+function record(key, value, timestamp) {
+  return JSON.stringify({ key : key, value : value, timestamp : timestamp, counter : 1 });
+}
+
+async function main() {
+
+  var scheduler = TestScheduler(1000).install(),
+      storage   = memoryStorage(),
+      cache     = Cache({ STORAGE : storage });
+
+  // Entries are written through to storage with their timestamps, and forgotten with them.
+  cache.put('a', { id : 1 });
+  cache.put('b', 2);
+  cache.remove('b');
+
+  var stored = JSON.parse(storage.items.a);
+
+  assert.equal(stored.key, 'a');
+  assert.deepEqual(stored.value, { id : 1 });
+  assert.equal(stored.timestamp, 1000);
+  assert.deepEqual(Object.keys(storage.items), ['a']);
+
+  // Unless asked to keep a value in memory only.
+  cache.put('pending', 3, { persist : false });
+
+  assert.equal(storage.items.pending, undefined);
+  assert.equal(cache.get('pending'), 3);
+
+  // A new cache starts warm, oldest entries first so they're the first to go.
+  storage = memoryStorage({
+    newer   : record('newer', 'n', 900),
+    older   : record('older', 'o', 800),
+    expired : record('expired', 'e', 1000 - 10 * 60 * 1000),
+    broken  : '{not json'
+  });
+
+  cache = Cache({ LIMIT : 2, STORAGE : storage });
+
+  assert.equal(cache.get('older'), 'o');
+  assert.equal(cache.get('newer'), 'n');
+  assert.equal(cache.get('expired'), null);
+
+  // Expired and unreadable records are cleaned out of storage.
+  assert.deepEqual(Object.keys(storage.items).sort(), ['newer', 'older']);
+
+  // TIMEOUT holds across reloads, as the timestamps are kept.
+  scheduler.advanceBy(5 * 60 * 1000 - 150);
+
+  assert.equal(cache.get('older'), null);
+  assert.equal(cache.get('newer'), 'n');
+
+  // Keys put before storage got back to us are newer and kept.
+  var slow = memoryStorage({ a : record('a', 'stored', 1000) }),
+      loaded;
+
+  slow.getAll = function(callback) {
+    loaded = function() {
+      callback(null, slow.items);
+    };
+  };
+
+  cache = Cache({ STORAGE : slow });
+  cache.put('a', 'fresh');
+  loaded();
+
+  assert.equal(cache.get('a'), 'fresh');
+
+  // When storage is full, entries are evicted by the policy until the write fits.
+  storage      = memoryStorage();
+  storage.full = 1;
+  cache        = Cache({ STORAGE : storage });
+
+  cache.put('a', 1);
+  cache.put('b', 2);
+
+  assert.equal(cache.get('a'), null);
+  assert.equal(cache.get('b'), 2);
+  assert.deepEqual(Object.keys(storage.items), ['b']);
+
+  // Records can be stored as something other than JSON.
+  storage = memoryStorage();
+  cache   = Cache({
+    STORAGE     : storage,
+    SERIALIZE   : function(rec) {
+      return [rec.key, rec.value, rec.timestamp].join('|');
+    },
+    DESERIALIZE : function(data) {
+      var parts = data.split('|');
+      return { key : parts[0], value : parts[1], timestamp : Number(parts[2]) };
+    }
+  });
+
+  cache.put('x', 'y');
+
+  assert.equal(storage.items.x, 'x|y|' + scheduler.now());
+  assert.equal(Cache({ STORAGE : storage, DESERIALIZE : cache.config.DESERIALIZE }).get('x'), 'y');
+
+  // localStorage, with only the cache's own prefixed keys.
+  var local = {
+    data       : { 'other' : 'left alone' },
+    get length() {
+      return Object.keys(this.data).length;
+    },
+    key        : function(i) {
+      return Object.keys(this.data)[i];
+    },
+    getItem    : function(key) {
+      return this.data[key];
+    },
+    setItem    : function(key, val) {
+      this.data[key] = String(val);
+    },
+    removeItem : function(key) {
+      delete this.data[key];
+    }
+  };
+
+  global.localStorage = local;
+
+  cache = Cache({ STORAGE : Cache.storage.local({ prefix : 'api:' }) });
+  cache.put('users', [1, 2]);
+
+  assert.deepEqual(Object.keys(local.data), ['other', 'api:users']);
+  assert.deepEqual(Cache({ STORAGE : Cache.storage.local({ prefix : 'api:' }) }).get('users'), [1, 2]);
+
+  cache.remove('users');
+
+  assert.deepEqual(Object.keys(local.data), ['other']);
+
+  delete global.localStorage;
+
+  // Without the storage the adapter quietly stores nothing.
+  cache = Cache({ STORAGE : Cache.storage.session() });
+  cache.put('a', 1);
+
+  assert.equal(cache.get('a'), 1);
+
+  // Without IndexedDB the cache just starts empty.
+  cache = Cache({ STORAGE : Cache.storage.indexedDB() });
+  cache.put('a', 1);
+
+  assert.equal(cache.get('a'), 1);
+
+  // A JSON file in Node, replaced in one go once the writes are done.
+  var dir         = fs.mkdtempSync(path.join(os.tmpdir(), 'frampton-cache-')),
+      file        = path.join(dir, 'cache.json'),
+      fileStorage = Cache.storage.file(file),
+      written;
+
+  written = new Promise(function(resolve, reject) {
+    fileStorage.setItem('first', record('first', 1, scheduler.now()), function(err) {
+      return err ? reject(err) : resolve();
+    });
+  });
+
+  cache = Cache({ STORAGE : fileStorage });
+  cache.put('second', 2);
+
+  await written;
+  await new Promise(function(resolve) {
+    setTimeout(resolve, 20);
+  });
+
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))).sort(), ['first', 'second']);
+  assert.ok(!fs.existsSync(file + '.tmp'));
+
+  cache = Cache({ STORAGE : Cache.storage.file(file) });
+
+  assert.equal(cache.get('first'), 1);
+  assert.equal(cache.get('second'), 2);
+
+  fs.rmSync(dir, { recursive : true, force : true });
+
+  assert.throws(function() {
+    Cache.storage.file();
+  }, /needs a path/);
+
+  scheduler.uninstall();
+
+  console.log('cache-storage: ok');
+}
+
+main().catch(function(err) {
+  console.error(err);
+  process.exit(1);
+});
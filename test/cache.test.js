@@ -0,0 +1,250 @@
+/**
+ * Run with: node test/cache.test.js
+ */
+var assert        = require('assert'),
+    Frampton      = require('../frampton.js'),
+    Cache         = Frampton.Cache,
+    TestScheduler = Frampton.TestScheduler;
+
+function withClock(fn) {
+
+  var scheduler = TestScheduler(0).install();
+
+  try {
+    fn(scheduler);
+  } finally {
+    scheduler.uninstall();
+  }
+}
+
+// has, keys, forEach and clear only see live entries.
+withClock(function(scheduler) {
+
+  var cache = Cache({ TIMEOUT : 100 }),
+      seen  = [];
+
+  cache.put('a', 1);
+  cache.put('b', 2, { ttl : 10 });
+
+  assert.ok(cache.has('a'));
+  assert.ok(cache.has('b'));
+  assert.deepEqual(cache.keys(), ['a', 'b']);
+
+  scheduler.advanceBy(20);
+
+  assert.ok(!cache.has('b'));
+  assert.deepEqual(cache.keys(), ['a']);
+
+  cache.forEach(function(value, key) {
+    seen.push([key, value, this.name]);
+  }, { name : 'this' });
+
+  assert.deepEqual(seen, [['a', 1, 'this']]);
+
+  cache.clear();
+
+  assert.deepEqual(cache.keys(), []);
+  assert.equal(cache.stats().size, 0);
+
+  // The cache still works after being cleared.
+  cache.put('c', 3);
+  assert.equal(cache.get('c'), 3);
+});
+
+// Per entry ttl overrides TIMEOUT either way.
+withClock(function(scheduler) {
+
+  var cache = Cache({ TIMEOUT : 100 });
+
+  cache.put('short', 1, { ttl : 10 });
+  cache.put('long', 2, { ttl : 500 });
+  cache.put('default', 3);
+
+  scheduler.advanceBy(50);
+  assert.equal(cache.get('short'), null);
+  assert.equal(cache.get('default'), 3);
+
+  scheduler.advanceBy(100);
+  assert.equal(cache.get('default'), null);
+  assert.equal(cache.get('long'), 2);
+});
+
+// Putting a key again keeps its ttl and tags unless new ones are passed.
+withClock(function(scheduler) {
+
+  var cache = Cache({ TIMEOUT : 1000 });
+
+  cache.put('user', 1, { ttl : 10, tags : ['users'] });
+  cache.put('user', 2);
+
+  scheduler.advanceBy(5);
+  assert.equal(cache.invalidateTag('users'), 1);
+  assert.ok(!cache.has('user'));
+
+  cache.put('user', 1, { ttl : 10, tags : ['users'] });
+  cache.put('user', 2);
+
+  scheduler.advanceBy(20);
+  assert.ok(!cache.has('user'));
+
+  cache.put('user', 1, { ttl : 10, tags : ['users'] });
+  cache.put('user', 2, { ttl : null, tags : ['people'] });
+
+  scheduler.advanceBy(20);
+  assert.equal(cache.get('user'), 2);
+  assert.equal(cache.invalidateTag('users'), 0);
+  assert.equal(cache.invalidateTag('people'), 1);
+});
+
+// Invalidating by tag and by key.
+(function() {
+
+  var cache = Cache();
+
+  cache.put('/api/users/1', 1, { tags : ['users'] });
+  cache.put('/api/users/2', 2, { tags : ['users', 'admins'] });
+  cache.put('/api/posts/1', 3, { tags : ['posts'] });
+
+  assert.equal(cache.invalidateTag('admins'), 1);
+  assert.deepEqual(cache.keys(), ['/api/users/1', '/api/posts/1']);
+
+  // Removed entries leave the other tags they had.
+  assert.equal(cache.invalidateTag('users'), 1);
+  assert.equal(cache.invalidateTag('nothing'), 0);
+
+  cache.put('/api/users/3', 4);
+
+  assert.equal(cache.invalidateMatching(/^\/api\/users/), 1);
+  assert.equal(cache.invalidateMatching(function(key, value) {
+    return value === 3;
+  }), 1);
+
+  assert.deepEqual(cache.keys(), []);
+
+  assert.throws(function() {
+    cache.invalidateMatching('/api');
+  });
+}());
+
+// The LRU list keeps its order through gets, updates and removals.
+(function() {
+
+  var cache = Cache({ LIMIT : 3 });
+
+  cache.put('a', 1);
+  cache.put('b', 2);
+  cache.put('c', 3);
+
+  cache.get('a');
+  cache.put('d', 4);
+
+  assert.deepEqual(cache.keys().sort(), ['a', 'c', 'd']);
+
+  cache.put('c', 30);
+  cache.remove('a');
+  cache.put('e', 5);
+  cache.put('f', 6);
+
+  assert.deepEqual(cache.keys().sort(), ['c', 'e', 'f']);
+  assert.equal(cache.stats().size, 3);
+  assert.equal(cache.stats().evictions, 2);
+}());
+
+// MAX_BYTES evicts until the new value fits, and won't take a value that's too big on its own.
+(function() {
+
+  var cache = Cache({
+    LIMIT     : Infinity,
+    MAX_BYTES : 10,
+    SIZE_OF   : function(value) {
+      return value.length;
+    }
+  });
+
+  cache.put('a', 'aaaa');
+  cache.put('b', 'bbbb');
+  assert.equal(cache.stats().bytes, 8);
+
+  cache.put('c', 'cccc');
+  assert.deepEqual(cache.keys(), ['b', 'c']);
+  assert.equal(cache.stats().bytes, 8);
+
+  // Growing an entry makes room too.
+  cache.put('b', 'bbbbbbbb');
+  assert.deepEqual(cache.keys(), ['b']);
+  assert.equal(cache.stats().bytes, 8);
+
+  cache.put('big', 'xxxxxxxxxxxx');
+  assert.ok(!cache.has('big'));
+
+  // Replacing an entry with a value that's too big drops the old value.
+  cache.put('b', 'xxxxxxxxxxxx');
+  assert.ok(!cache.has('b'));
+  assert.equal(cache.stats().bytes, 0);
+}());
+
+// Looking around with has, keys and forEach doesn't count as a hit or a miss.
+(function() {
+
+  var cache = Cache();
+
+  cache.put('a', 1);
+  cache.has('a');
+  cache.has('b');
+  cache.keys();
+  cache.forEach(function() {});
+
+  assert.equal(cache.stats().hits, 0);
+  assert.equal(cache.stats().misses, 0);
+}());
+
+// Clearing and invalidating say why entries went, and take them out of STORAGE too.
+(function() {
+
+  var stored  = {},
+      storage = {
+        getAll     : function(callback) {
+          callback(null, {});
+        },
+        setItem    : function(key, data, callback) {
+          stored[key] = data;
+          callback(null);
+        },
+        removeItem : function(key) {
+          delete stored[key];
+        }
+      },
+      cache   = Cache({ STORAGE : storage }),
+      reasons = [];
+
+  cache.events().subscribe(function(evt) {
+    if (evt.type === 'remove') reasons.push(evt.key + ' ' + evt.reason);
+  });
+
+  cache.put('a', 1, { tags : ['letters'] });
+  cache.put('b', 2);
+  cache.put('c', 3);
+  cache.invalidateTag('letters');
+  cache.invalidateMatching(/b/);
+  cache.clear();
+
+  assert.deepEqual(reasons, ['a invalidate', 'b invalidate', 'c clear']);
+  assert.deepEqual(stored, {});
+}());
+
+// Without SIZE_OF values are measured at two bytes per character of their JSON.
+(function() {
+
+  var cache = Cache({ LIMIT : Infinity, MAX_BYTES : 20 });
+
+  cache.put('a', 'abc');
+  cache.put('b', [1, 2]);
+
+  assert.equal(cache.stats().bytes, 20);
+
+  cache.put('c', 1);
+
+  assert.deepEqual(cache.keys(), ['b', 'c']);
+}());
+
+console.log('cache: ok');
@@ -0,0 +1,88 @@
+/**
+ * Run with: node test/debug.test.js
+ */
+var assert   = require('assert'),
+    Frampton = require('../frampton.js'),
+    Stream   = Frampton.Stream,
+    Behavior = Frampton.Behavior,
+    debug    = Frampton.debug;
+
+function manual() {
+  return Stream(function() {});
+}
+
+function nodeFor(graph, stream) {
+  return graph.json.nodes.filter(function(node) {
+    return node.id === 's' + stream._id;
+  })[0];
+}
+
+// Streams remember the operator that made them and what they were made from.
+var source = manual().named('source'),
+    mapped = source.map(function(val) {
+      return val + 1;
+    }),
+    graph  = debug.graph(mapped);
+
+assert.equal(mapped.operator, 'map');
+assert.deepEqual(mapped.sources, [source]);
+assert.equal(graph.json.nodes.length, 2);
+assert.deepEqual(graph.json.edges, [{ from : 's' + source._id, to : 's' + mapped._id }]);
+assert.equal(nodeFor(graph, source).name, 'source');
+assert.equal(nodeFor(graph, source).operator, null);
+
+// Operators built on other operators are named after the one that was called.
+var other = manual();
+
+assert.equal(source.takeLatest().operator, 'takeLatest');
+assert.equal(source.merge(other).operator, 'merge');
+assert.deepEqual(source.merge(other).sources, [source, other]);
+assert.equal(source.zipWith(other).operator, 'zipWith');
+assert.equal(Stream.zip(source, other).operator, 'zip');
+assert.equal(Stream.combineLatest(source, other).operator, 'combineLatest');
+
+// Behaviors aren't streams, so they don't show up as sources.
+var sampled = source.sample(Behavior(0));
+
+assert.equal(sampled.operator, 'sample');
+assert.deepEqual(sampled.sources, [source]);
+
+// Every subscriber to a shared stream is counted, and only the one shared subscription to
+// its source.
+var counted = source.share(),
+    offA    = counted.subscribe(function() {}),
+    offB    = counted.subscribe(function() {});
+
+graph = debug.graph(counted);
+
+assert.equal(counted.operator, 'share');
+assert.equal(nodeFor(graph, counted).subscribers, 2);
+assert.equal(nodeFor(graph, source).subscribers, 1);
+
+offA();
+
+assert.equal(nodeFor(debug.graph(counted), counted).subscribers, 1);
+
+offB();
+
+assert.equal(nodeFor(debug.graph(counted), source).subscribers, 0);
+
+// Closed streams are marked, and the DOT export labels every node.
+var finished = Stream.fromArray([1]).named('finished');
+
+finished.subscribe(function() {});
+
+var dot = debug.graph(finished.map(function(val) {
+  return val;
+})).dot;
+
+assert.ok(/^digraph frampton \{/.test(dot));
+assert.ok(dot.indexOf('finished\\nsource') > -1);
+assert.ok(dot.indexOf('style=dashed') > -1);
+assert.ok(dot.indexOf(' -> ') > -1);
+
+assert.throws(function() {
+  debug.graph('nope');
+}, /non stream/);
+
+console.log('debug: ok');
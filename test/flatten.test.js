@@ -0,0 +1,216 @@
+/**
+ * Run with: node test/flatten.test.js
+ */
+var assert   = require('assert'),
+    Frampton = require('../frampton.js'),
+    Stream   = Frampton.Stream;
+
+function collect(stream) {
+
+  var result = { values : [], errors : [], done : false };
+
+  result.unsubscribe = stream.subscribe(
+    // onNext
+    function(val) {
+      result.values.push(val);
+    },
+    // onError
+    function(err) {
+      result.errors.push(err.message);
+    },
+    // onDone
+    function() {
+      result.done = true;
+    }
+  );
+
+  return result;
+}
+
+// A stream we push values onto by hand, keeping track of who is subscribed.
+function manual() {
+
+  var stream = Stream(function() {
+    stream.subscribed = true;
+    return function() {
+      stream.subscribed = false;
+    };
+  });
+
+  stream.subscribed = false;
+
+  return stream;
+}
+
+function send(stream, val) {
+  stream.broadcast('sendNext', val);
+}
+
+// switchMap only listens to the inner stream of the latest value.
+var source = manual(),
+    inners = { a : manual(), b : manual() },
+    result = collect(source.switchMap(function(key) {
+      return inners[key];
+    }));
+
+send(source, 'a');
+send(inners.a, 1);
+send(source, 'b');
+send(inners.a, 2);
+send(inners.b, 3);
+
+assert.deepEqual(result.values, [1, 3]);
+assert.ok(!inners.a.subscribed);
+
+// And closes once the source and the current inner stream have closed.
+source.close();
+
+assert.ok(!result.done);
+
+inners.b.close();
+
+assert.ok(result.done);
+
+// flatMap listens to every inner stream at once.
+source = manual();
+inners = { a : manual(), b : manual() };
+result = collect(source.flatMap(function(key) {
+  return inners[key];
+}));
+
+send(source, 'a');
+send(source, 'b');
+send(inners.b, 1);
+send(inners.a, 2);
+
+assert.deepEqual(result.values, [1, 2]);
+
+// Unsubscribing lets go of the source and every inner stream.
+result.unsubscribe();
+
+assert.ok(!source.subscribed);
+assert.ok(!inners.a.subscribed);
+assert.ok(!inners.b.subscribed);
+
+// With a concurrency limit values wait their turn.
+source = manual();
+inners = { a : manual(), b : manual(), c : manual() };
+result = collect(source.flatMap(function(key) {
+  return inners[key];
+}, 2));
+
+send(source, 'a');
+send(source, 'b');
+send(source, 'c');
+
+assert.ok(!inners.c.subscribed);
+
+inners.a.close();
+
+assert.ok(inners.c.subscribed);
+
+// concatMap takes the inner streams one after the other, in order.
+source = manual();
+inners = { a : manual(), b : manual() };
+result = collect(source.concatMap(function(key) {
+  return inners[key];
+}));
+
+send(source, 'a');
+send(source, 'b');
+send(inners.b, 'lost');
+send(inners.a, 1);
+inners.a.close();
+send(inners.b, 2);
+
+assert.deepEqual(result.values, [1, 2]);
+
+// A queued value that fails to map is passed along as an error and the queue keeps moving.
+source = manual();
+inners = { a : manual(), c : manual() };
+result = collect(source.concatMap(function(key) {
+  if (!inners[key]) {
+    throw new Error('no stream for ' + key);
+  }
+  return inners[key];
+}));
+
+send(source, 'a');
+send(source, 'b');
+send(source, 'c');
+source.close();
+inners.a.close();
+
+assert.deepEqual(result.errors, ['no stream for b']);
+assert.ok(inners.c.subscribed);
+
+send(inners.c, 3);
+inners.c.close();
+
+assert.deepEqual(result.values, [3]);
+assert.ok(result.done);
+
+// Even when the last queued value fails, the stream still closes.
+source = manual();
+inners = { a : manual() };
+result = collect(source.concatMap(function(key) {
+  if (!inners[key]) {
+    throw new Error('no stream for ' + key);
+  }
+  return inners[key];
+}));
+
+send(source, 'a');
+send(source, 'b');
+source.close();
+inners.a.close();
+
+assert.deepEqual(result.errors, ['no stream for b']);
+assert.ok(result.done);
+
+// Mapping to something other than a stream is an error too.
+result = collect(Stream.fromArray([1]).flatMap(function(val) {
+  return val;
+}));
+
+assert.equal(result.errors.length, 1);
+assert.ok(/did not return a Stream/.test(result.errors[0]));
+
+// exhaustMap ignores values while an inner stream is active.
+source = manual();
+inners = { a : manual(), b : manual(), c : manual() };
+result = collect(source.exhaustMap(function(key) {
+  return inners[key];
+}));
+
+send(source, 'a');
+send(source, 'b');
+inners.a.close();
+send(source, 'c');
+
+assert.ok(!inners.b.subscribed);
+assert.ok(inners.c.subscribed);
+
+// Inner streams that close while they're being subscribed to.
+result = collect(Stream.fromArray([[1, 2], [3]]).concatMap(function(arr) {
+  return Stream.fromArray(arr);
+}));
+
+assert.deepEqual(result.values, [1, 2, 3]);
+assert.ok(result.done);
+
+// Streams of streams.
+result = collect(Stream.fromArray([Stream.fromArray([1]), Stream.fromArray([2])]).mergeAll());
+
+assert.deepEqual(result.values, [1, 2]);
+assert.ok(result.done);
+
+result = collect(Stream.fromArray([Stream.fromArray([1]), Stream.fromArray([2])]).concatAll());
+
+assert.deepEqual(result.values, [1, 2]);
+
+result = collect(Stream.fromArray([Stream.fromArray([1]), Stream.fromArray([2])]).switchAll());
+
+assert.deepEqual(result.values, [1, 2]);
+
+console.log('flatten: ok');
@@ -0,0 +1,292 @@
+/**
+ * Run with: node test/http-cache.test.js
+ */
+var assert        = require('assert'),
+    Frampton      = require('../frampton.js'),
+    Stream        = Frampton.Stream,
+    Cache         = Frampton.Cache,
+    TestScheduler = Frampton.TestScheduler;
+
+// Lets promises and immediates settle, immediates going on the scheduler when one is installed.
+function settle(scheduler) {
+
+  if (scheduler) scheduler.advanceBy(0);
+
+  return new Promise(function(resolve) {
+    setTimeout(resolve, 10);
+  });
+}
+
+/**
+ * Stands in for fetch, answering from a table of url to a list of responses, the last one
+ * repeating. Every request is recorded.
+ */
+function fakeFetch(table) {
+
+  var fetch = function(url, init) {
+
+    var responses = table[url],
+        response  = (responses.length > 1) ? responses.shift() : responses[0],
+        status    = response.status || 200;
+
+    fetch.requests.push({ url : url, headers : init.headers || {} });
+
+    if (response instanceof Error) {
+      return Promise.reject(response);
+    }
+
+    return Promise.resolve({
+      ok      : status >= 200 && status < 300,
+      status  : status,
+      headers : new Headers(response.headers || {}),
+      json    : function() {
+        return Promise.resolve(response.data);
+      },
+      text    : function() {
+        return Promise.resolve(JSON.stringify(response.data));
+      }
+    });
+  };
+
+  fetch.requests = [];
+
+  return fetch;
+}
+
+// Subscribes an http stream over a source of urls, recording values and errors.
+function httpStream(options) {
+
+  var source = Stream(function() {}),
+      result = { source : source, values : [], errors : [] };
+
+  source.toHttpStream(options).subscribe(
+    // onNext
+    function(val) {
+      result.values.push(val);
+    },
+    // onError
+    function(err) {
+      result.errors.push(err.status || err.message);
+    }
+  );
+
+  return result;
+}
+
+var tests = [];
+
+function test(name, fn) {
+  tests.push({ name : name, fn : fn });
+}
+
+test('responses are cached and requests for the same url shared', async function() {
+
+  var fetch  = global.fetch = fakeFetch({ '/users' : [{ data : ['ann'] }] }),
+      cache  = Cache(),
+      first  = httpStream({ cache : cache }),
+      second = httpStream({ cache : cache });
+
+  first.source.write('/users');
+  second.source.write('/users');
+  await settle();
+
+  assert.deepEqual(first.values, [['ann']]);
+  assert.deepEqual(second.values, [['ann']]);
+  assert.equal(fetch.requests.length, 1);
+
+  first.source.write('/users');
+  await settle();
+
+  assert.deepEqual(first.values, [['ann'], ['ann']]);
+  assert.equal(fetch.requests.length, 1);
+});
+
+test('stale responses are revalidated with the etag', async function() {
+
+  var fetch = global.fetch = fakeFetch({ '/users' : [
+        { data : ['ann'], headers : { ETag : '"v1"' } },
+        { status : 304 }
+      ] }),
+      scheduler = TestScheduler(0).install(),
+      result    = httpStream({ cache : Cache(), maxAge : 100 });
+
+  try {
+
+    result.source.write('/users');
+    await settle(scheduler);
+
+    scheduler.advanceBy(50);
+    result.source.write('/users');
+    await settle(scheduler);
+
+    assert.equal(fetch.requests.length, 1);
+
+    scheduler.advanceBy(100);
+    result.source.write('/users');
+    await settle(scheduler);
+
+    assert.equal(fetch.requests.length, 2);
+    assert.equal(fetch.requests[1].headers['If-None-Match'], '"v1"');
+
+    // Not modified, so the data we had is sent again.
+    assert.deepEqual(result.values, [['ann'], ['ann'], ['ann']]);
+
+  } finally {
+    scheduler.uninstall();
+  }
+});
+
+test('last modified dates are sent back too', async function() {
+
+  var fetch = global.fetch = fakeFetch({ '/users' : [
+        { data : ['ann'], headers : { 'Last-Modified' : 'Mon, 19 Oct 2026 10:00:00 GMT' } },
+        { data : ['ann', 'bob'] }
+      ] }),
+      scheduler = TestScheduler(0).install(),
+      result    = httpStream({ cache : Cache(), maxAge : 100 });
+
+  try {
+
+    result.source.write('/users');
+    await settle(scheduler);
+
+    scheduler.advanceBy(101);
+    result.source.write('/users');
+    await settle(scheduler);
+
+    assert.equal(fetch.requests[1].headers['If-Modified-Since'], 'Mon, 19 Oct 2026 10:00:00 GMT');
+    assert.deepEqual(result.values, [['ann'], ['ann', 'bob']]);
+
+  } finally {
+    scheduler.uninstall();
+  }
+});
+
+test('stale while revalidate sends what it has and then only what changed', async function() {
+
+  var fetch = global.fetch = fakeFetch({ '/users' : [
+        { data : ['ann'] },
+        { data : ['ann'] },
+        { data : ['ann', 'bob'] }
+      ] }),
+      scheduler = TestScheduler(0).install(),
+      result    = httpStream({ cache : Cache(), staleWhileRevalidate : true, staleAge : 1000 });
+
+  try {
+
+    result.source.write('/users');
+    await settle(scheduler);
+
+    // Unchanged, so only the cached data is sent.
+    scheduler.advanceBy(10);
+    result.source.write('/users');
+    await settle(scheduler);
+
+    assert.deepEqual(result.values, [['ann'], ['ann']]);
+    assert.equal(fetch.requests.length, 2);
+
+    // Changed, so the new data follows the cached data.
+    scheduler.advanceBy(10);
+    result.source.write('/users');
+    await settle(scheduler);
+
+    assert.deepEqual(result.values, [['ann'], ['ann'], ['ann'], ['ann', 'bob']]);
+
+    // Too stale to send while revalidating, wait for the response.
+    scheduler.advanceBy(2000);
+    result.source.write('/users');
+    await settle(scheduler);
+
+    assert.deepEqual(result.values.slice(4), [['ann', 'bob']]);
+    assert.equal(fetch.requests.length, 4);
+
+  } finally {
+    scheduler.uninstall();
+  }
+});
+
+test('failed requests are not cached', async function() {
+
+  var failure = new Error('Request failed'),
+      fetch   = global.fetch = fakeFetch({ '/users' : [{ status : 500 }, { data : ['ann'] }] }),
+      result  = httpStream({ cache : Cache() });
+
+  result.source.write('/users');
+  await settle(scheduler);
+
+  assert.deepEqual(result.errors, [500]);
+
+  result.source.write('/users');
+  await settle(scheduler);
+
+  assert.deepEqual(result.values, [['ann']]);
+  assert.equal(fetch.requests.length, 2);
+
+  // A failed refresh keeps the data we had.
+  var scheduler = TestScheduler(0).install(),
+      cache     = Cache();
+
+  fetch  = global.fetch = fakeFetch({ '/users' : [{ data : ['ann'] }, failure, { data : ['bob'] }] });
+  result = httpStream({ cache : cache, maxAge : 100 });
+
+  try {
+
+    result.source.write('/users');
+    await settle(scheduler);
+
+    scheduler.advanceBy(101);
+    result.source.write('/users');
+    await settle(scheduler);
+
+    assert.deepEqual(result.errors, ['Request failed']);
+    assert.ok(cache.get('/users'));
+
+  } finally {
+    scheduler.uninstall();
+  }
+});
+
+test('entries restored from storage keep what they need to revalidate', async function() {
+
+  var scheduler = TestScheduler(1000).install(),
+      fetch     = global.fetch = fakeFetch({ '/users' : [{ status : 304 }] }),
+      storage   = {
+        getAll     : function(callback) {
+          callback(null, {
+            '/users' : JSON.stringify({
+              key       : '/users',
+              value     : { data : ['stored'], etag : '"v1"', lastModified : null, fetchedAt : 900 },
+              timestamp : 900,
+              counter   : 1
+            })
+          });
+        },
+        setItem    : function(key, data, callback) {
+          callback(null);
+        },
+        removeItem : function() {}
+      },
+      result    = httpStream({ cache : Cache({ STORAGE : storage }), maxAge : 50 });
+
+  try {
+
+    result.source.write('/users');
+    await settle(scheduler);
+
+    assert.equal(fetch.requests[0].headers['If-None-Match'], '"v1"');
+    assert.deepEqual(result.values, [['stored']]);
+
+  } finally {
+    scheduler.uninstall();
+  }
+});
+
+(async function() {
+  for (var i = 0; i < tests.length; i++) {
+    await tests[i].fn();
+    console.log('http-cache: ' + tests[i].name + ': ok');
+  }
+}()).catch(function(err) {
+  console.error(err);
+  process.exitCode = 1;
+});
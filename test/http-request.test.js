@@ -0,0 +1,273 @@
+/**
+ * Run with: node test/http-request.test.js
+ */
+var assert   = require('assert'),
+    Frampton = require('../frampton.js'),
+    Stream   = Frampton.Stream,
+    Cache    = Frampton.Cache,
+    http     = Frampton.http;
+
+// Lets promises and immediates settle.
+function settle() {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, 10);
+  });
+}
+
+// Subscribes an http stream over a source of requests, recording values and errors.
+function httpStream(options) {
+
+  var source = Stream(function() {}),
+      result = { source : source, values : [], errors : [] };
+
+  source.toHttpStream(options).subscribe(
+    // onNext
+    function(val) {
+      result.values.push(val);
+    },
+    // onError
+    function(err) {
+      result.errors.push(err.message);
+    }
+  );
+
+  return result;
+}
+
+// Writes each request in turn, letting it settle before the next.
+async function send(result, requests) {
+  for (var i = 0; i < requests.length; i++) {
+    result.source.write(requests[i]);
+    await settle();
+  }
+}
+
+var tests = [];
+
+function test(name, fn) {
+  tests.push({ name : name, fn : fn });
+}
+
+test('queries are encoded onto the url, keeping its query and hash', async function() {
+
+  var transport = http.mock({}),
+      result    = httpStream({ transport : transport });
+
+  await send(result, [
+    { url : '/search', query : { q : 'a b&c', page : 2 } },
+    { url : '/search?sort=new#top', query : { tag : ['x', 'y'], skip : null, none : undefined } },
+    { url : '/search?sort=new', query : { skip : null } },
+    { url : '/search', query : {} }
+  ]);
+
+  assert.deepEqual(transport.requests.map(function(request) {
+    return request.url;
+  }), [
+    '/search?q=a%20b%26c&page=2',
+    '/search?sort=new&tag=x&tag=y#top',
+    '/search?sort=new',
+    '/search'
+  ]);
+});
+
+test('descriptors take precedence over the options', async function() {
+
+  var transport = http.mock({}),
+      result    = httpStream({
+        transport : transport,
+        method    : 'POST',
+        headers   : { 'X-App' : 'frampton', 'X-Id' : 'default' }
+      });
+
+  await send(result, [
+    '/plain',
+    { url : '/mine', method : 'delete', headers : { 'X-Id' : 'mine' } }
+  ]);
+
+  assert.deepEqual(transport.requests.map(function(request) {
+    return [request.method, request.url, request.headers];
+  }), [
+    ['POST', '/plain', { 'X-App' : 'frampton', 'X-Id' : 'default' }],
+    ['DELETE', '/mine', { 'X-App' : 'frampton', 'X-Id' : 'mine' }]
+  ]);
+});
+
+test('plain object and array bodies are sent as JSON, anything else as it is', async function() {
+
+  var transport = http.mock({}),
+      result    = httpStream({ transport : transport, method : 'POST' });
+
+  await send(result, [
+    { url : '/users', body : { name : 'ann' } },
+    { url : '/users', body : [1, 2] },
+    { url : '/users', body : { name : 'bob' }, headers : { 'content-type' : 'application/vnd.user+json' } },
+    { url : '/users', body : 'name=cat', headers : { 'Content-Type' : 'application/x-www-form-urlencoded' } },
+    { url : '/users' }
+  ]);
+
+  assert.deepEqual(transport.requests.map(function(request) {
+    return [request.body, request.headers];
+  }), [
+    ['{"name":"ann"}', { 'Content-Type' : 'application/json' }],
+    ['[1,2]', { 'Content-Type' : 'application/json' }],
+    ['{"name":"bob"}', { 'content-type' : 'application/vnd.user+json' }],
+    ['name=cat', { 'Content-Type' : 'application/x-www-form-urlencoded' }],
+    [null, {}]
+  ]);
+});
+
+test('responseType picks the dataType the transport parses with', async function() {
+
+  var transport = http.mock({}),
+      result    = httpStream({ transport : transport });
+
+  await send(result, [
+    '/data',
+    { url : '/readme', responseType : 'text' }
+  ]);
+
+  assert.deepEqual(transport.requests.map(function(request) {
+    return request.dataType;
+  }), ['json', 'text']);
+
+  transport = http.mock({});
+  result    = httpStream({ transport : transport, responseType : 'text' });
+
+  await send(result, ['/readme', { url : '/data', responseType : 'json' }]);
+
+  assert.deepEqual(transport.requests.map(function(request) {
+    return request.dataType;
+  }), ['text', 'json']);
+});
+
+test('requests without a url fail', async function() {
+
+  var transport = http.mock({}),
+      result    = httpStream({ transport : transport });
+
+  await send(result, [{ method : 'GET' }]);
+
+  assert.equal(result.errors.length, 1);
+  assert.ok(/needs a url or a request with a url/.test(result.errors[0]));
+  assert.equal(transport.requests.length, 0);
+});
+
+test('only safe methods are cached, other methods get their own keys', async function() {
+
+  var calls     = 0,
+      transport = http.mock({
+        '/users' : function() {
+          calls = calls + 1;
+          return { data : calls };
+        }
+      }),
+      cache  = Cache(),
+      result = httpStream({ transport : transport, cache : cache });
+
+  await send(result, [
+    '/users',
+    '/users',
+    { url : '/users', method : 'post' },
+    { url : '/users', method : 'post' },
+    { url : '/users', method : 'head' },
+    { url : '/users', method : 'HEAD' }
+  ]);
+
+  assert.deepEqual(result.values, [1, 1, 2, 3, 4, 4]);
+  assert.deepEqual(cache.keys().sort(), ['/users', 'HEAD /users']);
+});
+
+test('the query is part of the cache key', async function() {
+
+  var transport = http.mock({
+        '/search?q=a' : { data : 'a' },
+        '/search?q=b' : { data : 'b' }
+      }),
+      cache  = Cache(),
+      result = httpStream({ transport : transport, cache : cache });
+
+  await send(result, [
+    { url : '/search', query : { q : 'a' } },
+    { url : '/search', query : { q : 'b' } },
+    { url : '/search', query : { q : 'a' } }
+  ]);
+
+  assert.deepEqual(result.values, ['a', 'b', 'a']);
+  assert.equal(transport.requests.length, 2);
+  assert.deepEqual(cache.keys().sort(), ['/search?q=a', '/search?q=b']);
+});
+
+test('a custom cacheKey decides what is shared', async function() {
+
+  var transport = http.mock({ '/me' : { data : 'me' } }),
+      cache     = Cache(),
+      seen      = [],
+      result    = httpStream({
+        transport : transport,
+        cache     : cache,
+        cacheKey  : function(request) {
+          seen.push(request.method + ' ' + request.url);
+          return 'user:' + request.headers['X-User'];
+        }
+      });
+
+  await send(result, [
+    { url : '/me', headers : { 'X-User' : '1' } },
+    { url : '/me', headers : { 'X-User' : '1' } },
+    { url : '/me', headers : { 'X-User' : '2' } }
+  ]);
+
+  assert.deepEqual(seen, ['GET /me', 'GET /me', 'GET /me']);
+  assert.equal(transport.requests.length, 2);
+  assert.deepEqual(cache.keys().sort(), ['user:1', 'user:2']);
+});
+
+test('responses are only shared between requests with the same credentials', async function() {
+
+  var transport = http.mock({
+        '/me' : function(request) {
+          return { data : request.headers.Authorization || request.headers.Cookie };
+        }
+      }),
+      cache  = Cache(),
+      result = httpStream({ transport : transport, cache : cache });
+
+  await send(result, [
+    { url : '/me', headers : { Authorization : 'alice' } },
+    { url : '/me', headers : { Authorization : 'bob' } },
+    { url : '/me', headers : { Authorization : 'alice' } },
+    { url : '/me', headers : { Cookie : 'session=carol' } }
+  ]);
+
+  assert.deepEqual(result.values, ['alice', 'bob', 'alice', 'session=carol']);
+  assert.equal(transport.requests.length, 3);
+
+  // The credentials themselves don't end up in the keys.
+  assert.equal(cache.keys().length, 3);
+  cache.keys().forEach(function(key) {
+    assert.ok(key.indexOf('/me ~') === 0, key);
+    assert.ok(!/alice|bob|carol/.test(key), key);
+  });
+});
+
+test('cacheMethods match whatever their case', async function() {
+
+  var transport = http.mock({ '/users' : { data : [] } }),
+      cache     = Cache(),
+      result    = httpStream({ transport : transport, cache : cache, cacheMethods : ['get'] });
+
+  await send(result, ['/users', '/users']);
+
+  assert.equal(transport.requests.length, 1);
+  assert.deepEqual(cache.keys(), ['/users']);
+});
+
+(async function() {
+  for (var i = 0; i < tests.length; i++) {
+    await tests[i].fn();
+    console.log('http-request: ' + tests[i].name + ': ok');
+  }
+}()).catch(function(err) {
+  console.error(err);
+  process.exitCode = 1;
+});
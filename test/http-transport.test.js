@@ -0,0 +1,383 @@
+/**
+ * Run with: node test/http-transport.test.js
+ */
+var assert        = require('assert'),
+    nodeHttp      = require('http'),
+    Frampton      = require('../frampton.js'),
+    Stream        = Frampton.Stream,
+    Cache         = Frampton.Cache,
+    TestScheduler = Frampton.TestScheduler,
+    http          = Frampton.http;
+
+// Lets promises and immediates settle.
+function settle() {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, 10);
+  });
+}
+
+// Subscribes an http stream over a source of urls, recording values and errors.
+function httpStream(options) {
+
+  var source = Stream(function() {}),
+      result = { source : source, values : [], errors : [] };
+
+  source.toHttpStream(options).subscribe(
+    // onNext
+    function(val) {
+      result.values.push(val);
+    },
+    // onError
+    function(err) {
+      result.errors.push(err.response ? err.response.status : err.message);
+    }
+  );
+
+  return result;
+}
+
+function get(url) {
+  return { method : 'GET', url : url, headers : {}, body : null, dataType : 'json' };
+}
+
+var tests = [];
+
+function test(name, fn) {
+  tests.push({ name : name, fn : fn });
+}
+
+test('a hydrated entry expires on its original schedule', async function() {
+
+  var scheduler = TestScheduler(0).install(),
+      transport = http.mock({ '/users' : { data : ['fresh'] } }),
+      source    = Stream(function() {}),
+      values    = [],
+      cache;
+
+  try {
+
+    // Put in the cache 600ms ago, so with a TIMEOUT of 1000 it expires at 400.
+    cache = Cache.hydrate({
+      version : 1,
+      entries : [{
+        key       : '/users',
+        value     : { data : ['cached'], etag : null, lastModified : null, fetchedAt : -600 },
+        timestamp : -600,
+        counter   : 1,
+        ttl       : null,
+        tags      : []
+      }]
+    }, { TIMEOUT : 1000 });
+
+    source.toHttpStream({ cache : cache, transport : transport }).subscribe(function(val) {
+      values.push(val);
+    });
+
+    source.write('/users');
+    scheduler.flush();
+    await settle();
+
+    assert.deepEqual(values, [['cached']]);
+    assert.equal(transport.requests.length, 0);
+
+    scheduler.advanceTo(500);
+
+    source.write('/users');
+    scheduler.flush();
+    await settle();
+
+    assert.deepEqual(values, [['cached'], ['fresh']]);
+    assert.equal(transport.requests.length, 1);
+
+  } finally {
+    scheduler.uninstall();
+  }
+});
+
+test('mock routes that return nothing get a 404 and routes that throw fail', async function() {
+
+  var transport = http.mock({
+        '/nothing' : function() {},
+        '/broken'  : function() {
+          throw new Error('broken route');
+        }
+      }),
+      response,
+      failure;
+
+  response = await transport(get('/nothing'));
+
+  assert.equal(response.status, 404);
+  assert.equal(response.data, null);
+
+  try {
+    await transport(get('/broken'));
+  } catch (err) {
+    failure = err;
+  }
+
+  assert.equal(failure && failure.message, 'broken route');
+  assert.equal(transport.requests.length, 2);
+});
+
+test('mock routes match on method, repeat the last of a list and keep a status of 0', async function() {
+
+  var transport = http.mock({
+        'POST /users' : { status : 201, data : 'created' },
+        '/users'      : [{ data : 'first' }, { data : 'second' }],
+        '/offline'    : { status : 0 }
+      }),
+      post = get('/users'),
+      responses = [];
+
+  post.method = 'POST';
+
+  responses.push(await transport(post));
+  responses.push(await transport(get('/users')));
+  responses.push(await transport(get('/users')));
+  responses.push(await transport(get('/users')));
+  responses.push(await transport(get('/offline')));
+  responses.push(await transport(get('/unknown')));
+
+  assert.deepEqual(responses.map(function(response) {
+    return [response.status, response.data];
+  }), [
+    [201, 'created'],
+    [200, 'first'],
+    [200, 'second'],
+    [200, 'second'],
+    [0, null],
+    [404, null]
+  ]);
+});
+
+test('mock delays wait on the installed TestScheduler', async function() {
+
+  var scheduler = TestScheduler(0).install(),
+      transport = http.mock({
+        '/slow' : { data : 'slow', delay : 100 },
+        '/fast' : { data : 'fast' }
+      }, { delay : 20 }),
+      answered  = [];
+
+  try {
+
+    transport(get('/slow')).then(function(response) {
+      answered.push([scheduler.now(), response.data]);
+    });
+
+    transport(get('/fast')).then(function(response) {
+      answered.push([scheduler.now(), response.data]);
+    });
+
+    scheduler.advanceBy(19);
+    await settle();
+    assert.deepEqual(answered, []);
+
+    scheduler.advanceBy(1);
+    await settle();
+    assert.deepEqual(answered, [[20, 'fast']]);
+
+    scheduler.advanceBy(79);
+    await settle();
+    assert.deepEqual(answered, [[20, 'fast']]);
+
+    scheduler.advanceBy(1);
+    await settle();
+    assert.deepEqual(answered, [[20, 'fast'], [100, 'slow']]);
+
+  } finally {
+    scheduler.uninstall();
+  }
+});
+
+test('streams use the transport that is set, or the first one available', async function() {
+
+  var transport = http.mock({
+        '/users'   : { data : ['ann'] },
+        '/missing' : { status : 404 },
+        '/offline' : { status : 0 }
+      }),
+      result;
+
+  // Node has fetch, jQuery and XMLHttpRequest aren't here.
+  assert.equal(http.getTransport(), http.transports.fetch);
+
+  assert.throws(function() {
+    http.setTransport('fetch');
+  });
+
+  http.setTransport(transport);
+
+  try {
+
+    assert.equal(http.getTransport(), transport);
+
+    result = httpStream();
+
+    result.source.write('/users');
+    await settle();
+    result.source.write('/missing');
+    await settle();
+    result.source.write('/offline');
+    await settle();
+
+    assert.deepEqual(result.values, [['ann']]);
+    assert.deepEqual(result.errors, [404, 0]);
+    assert.equal(transport.requests.length, 3);
+
+  } finally {
+    http.setTransport(null);
+  }
+
+  assert.equal(http.getTransport(), http.transports.fetch);
+});
+
+test('the fetch transport lower cases headers and parses json', async function() {
+
+  var realFetch = global.fetch,
+      calls     = [],
+      response;
+
+  global.fetch = function(url, init) {
+    calls.push([url, init.method, init.headers]);
+    return Promise.resolve({
+      status  : 200,
+      headers : new Headers({ 'ETag' : '"v1"' }),
+      text    : function() {
+        return Promise.resolve('{"name":"ann"}');
+      }
+    });
+  };
+
+  try {
+    response = await http.transports.fetch({
+      method   : 'GET',
+      url      : '/users/1',
+      headers  : { 'Accept' : 'application/json' },
+      body     : null,
+      dataType : 'json'
+    });
+  } finally {
+    global.fetch = realFetch;
+  }
+
+  assert.deepEqual(calls, [['/users/1', 'GET', { 'Accept' : 'application/json' }]]);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.etag, '"v1"');
+  assert.deepEqual(response.data, { name : 'ann' });
+});
+
+test('the xhr transport reads the raw header block and leaves error bodies as text', async function() {
+
+  var sent = [],
+      responses;
+
+  function FakeXHR() {}
+
+  FakeXHR.prototype.open = function(method, url) {
+    this.method = method;
+    this.url = url;
+    this.headers = {};
+  };
+
+  FakeXHR.prototype.setRequestHeader = function(name, value) {
+    this.headers[name] = value;
+  };
+
+  FakeXHR.prototype.getAllResponseHeaders = function() {
+    return 'Content-Type: application/json\r\nETag: "v2"\r\n';
+  };
+
+  FakeXHR.prototype.send = function(body) {
+    var xhr = this;
+    sent.push([xhr.method, xhr.url, xhr.headers, body]);
+    setTimeout(function() {
+      if (xhr.url === '/down') {
+        return xhr.onerror();
+      }
+      xhr.status = (xhr.url === '/missing') ? 404 : 200;
+      xhr.responseText = (xhr.status === 200) ? '[1,2]' : 'Not Found';
+      xhr.onload();
+    }, 0);
+  };
+
+  global.XMLHttpRequest = FakeXHR;
+
+  try {
+    responses = await Promise.all([
+      http.transports.xhr({ method : 'PUT', url : '/list', headers : { 'X-Id' : '1' }, body : '[1,2]', dataType : 'json' }),
+      http.transports.xhr(get('/missing')),
+      http.transports.xhr(get('/down')).catch(function(err) {
+        return err.message;
+      })
+    ]);
+  } finally {
+    delete global.XMLHttpRequest;
+  }
+
+  assert.deepEqual(sent, [
+    ['PUT', '/list', { 'X-Id' : '1' }, '[1,2]'],
+    ['GET', '/missing', {}, null],
+    ['GET', '/down', {}, null]
+  ]);
+  assert.deepEqual(responses[0], {
+    status  : 200,
+    headers : { 'content-type' : 'application/json', etag : '"v2"' },
+    data    : [1, 2]
+  });
+  assert.equal(responses[1].status, 404);
+  assert.equal(responses[1].data, 'Not Found');
+  assert.equal(responses[2], 'Request for /down failed');
+});
+
+test('the node transport sends requests with the http module', async function() {
+
+  var received = [],
+      server   = nodeHttp.createServer(function(req, res) {
+
+        var body = '';
+
+        req.on('data', function(chunk) {
+          body += chunk;
+        });
+
+        req.on('end', function() {
+          received.push([req.method, req.url, req.headers['x-id'], body]);
+          res.writeHead(201, { 'ETag' : '"v3"' });
+          res.end(body);
+        });
+      }),
+      response;
+
+  await new Promise(function(resolve) {
+    server.listen(0, '127.0.0.1', resolve);
+  });
+
+  try {
+    response = await http.transports.node({
+      method   : 'POST',
+      url      : 'http://127.0.0.1:' + server.address().port + '/users',
+      headers  : { 'X-Id' : '7' },
+      body     : '{"name":"ann"}',
+      dataType : 'json'
+    });
+  } finally {
+    server.close();
+  }
+
+  assert.deepEqual(received, [['POST', '/users', '7', '{"name":"ann"}']]);
+  assert.equal(response.status, 201);
+  assert.equal(response.headers.etag, '"v3"');
+  assert.deepEqual(response.data, { name : 'ann' });
+});
+
+(async function() {
+  for (var i = 0; i < tests.length; i++) {
+    await tests[i].fn();
+    console.log('http-transport: ' + tests[i].name + ': ok');
+  }
+}()).catch(function(err) {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,183 @@
+/**
+ * Run with: node test/interop.test.js
+ */
+var assert        = require('assert'),
+    Frampton      = require('../frampton.js'),
+    Stream        = Frampton.Stream,
+    TestScheduler = Frampton.TestScheduler;
+
+// Node has no Symbol.observable, the string stand-in is used instead.
+var $$observable = Symbol.observable || '@@observable';
+
+function collect(stream) {
+
+  var result = { values : [], errors : [], done : false };
+
+  result.unsubscribe = stream.subscribe(
+    // onNext
+    function(val) {
+      result.values.push(val);
+    },
+    // onError
+    function(err) {
+      result.errors.push(err.message);
+    },
+    // onDone
+    function() {
+      result.done = true;
+    }
+  );
+
+  return result;
+}
+
+// Streams can be consumed as Observables, with an observer...
+var source     = Stream(function() {}),
+    observable = source[$$observable](),
+    seen       = [],
+    completed  = false,
+    subscription;
+
+assert.strictEqual(observable[$$observable](), observable);
+
+subscription = observable.subscribe({
+  next : function(val) {
+    seen.push(val);
+  },
+  complete : function() {
+    completed = true;
+  }
+});
+
+source.write(1);
+subscription.unsubscribe();
+source.write(2);
+
+assert.deepEqual(seen, [1]);
+assert.ok(subscription.closed);
+assert.ok(!completed);
+
+// ...or with callbacks.
+seen = [];
+
+subscription = Stream.fromArray([1, 2])[$$observable]().subscribe(function(val) {
+  seen.push(val);
+}, null, function() {
+  completed = true;
+});
+
+assert.deepEqual(seen, [1, 2]);
+assert.ok(completed);
+assert.ok(subscription.closed);
+
+// Observables end on their first error.
+var errored = [];
+
+source = Stream(function() {});
+subscription = source[$$observable]().subscribe({
+  next : function(val) {
+    errored.push(val);
+  },
+  error : function(err) {
+    errored.push(err.message);
+  }
+});
+
+source.write(1);
+source.error(new Error('oops'));
+source.write(2);
+
+assert.deepEqual(errored, [1, 'oops']);
+assert.ok(subscription.closed);
+
+// Iterables are pulled from as values are needed, so they can go on forever.
+function* naturals() {
+
+  var n = 0;
+
+  try {
+    while (true) {
+      yield ++n;
+    }
+  } finally {
+    naturals.returned = true;
+  }
+}
+
+var taken = collect(Stream.fromIterable(naturals()).take(3));
+
+assert.deepEqual(taken.values, [1, 2, 3]);
+assert.ok(taken.done);
+assert.ok(naturals.returned);
+
+var all = collect(Stream.fromIterable(new Set(['a', 'b'])));
+
+assert.deepEqual(all.values, ['a', 'b']);
+assert.ok(all.done);
+
+// With a scheduler every value is its own piece of work.
+var scheduler = TestScheduler();
+
+all = collect(Stream.fromIterable(new Set(['a', 'b']), scheduler));
+
+assert.deepEqual(all.values, []);
+
+scheduler.flush();
+
+assert.deepEqual(all.values, ['a', 'b']);
+assert.ok(all.done);
+
+assert.throws(function() {
+  Stream.fromIterable(5);
+}, /did not receive an iterable/);
+
+// Stream.from makes a stream out of just about anything.
+source = Stream(function() {});
+
+assert.strictEqual(Stream.from(source), source);
+assert.deepEqual(collect(Stream.from([1, 2])).values, [1, 2]);
+assert.deepEqual(collect(Stream.from('hi')).values, ['h', 'i']);
+
+// Including other libraries' Observables, unsubscribing from them when we're done.
+var unsubscribed = false,
+    foreign      = {};
+
+foreign[$$observable] = function() {
+  return {
+    subscribe : function(observer) {
+      observer.next('x');
+      observer.next('y');
+      return {
+        unsubscribe : function() {
+          unsubscribed = true;
+        }
+      };
+    }
+  };
+};
+
+var fromForeign = collect(Stream.from(foreign));
+
+assert.deepEqual(fromForeign.values, ['x', 'y']);
+
+fromForeign.unsubscribe();
+
+assert.ok(unsubscribed);
+
+// A round trip through the Observable protocol.
+assert.deepEqual(collect(Stream.from(Stream.fromArray([1, 2, 3])[$$observable]())).values, [1, 2, 3]);
+
+assert.throws(function() {
+  Stream.from(5);
+}, /does not know how to make a Stream/);
+
+// Promises.
+var promised = collect(Stream.from(Promise.resolve('later')));
+
+setTimeout(function() {
+
+  assert.deepEqual(promised.values, ['later']);
+  assert.ok(promised.done);
+
+  console.log('interop: ok');
+}, 0);
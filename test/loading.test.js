@@ -0,0 +1,117 @@
+/**
+ * Run with: node test/loading.test.js
+ */
+var assert       = require('assert'),
+    fs           = require('fs'),
+    path         = require('path'),
+    vm           = require('vm'),
+    EventEmitter = require('events'),
+    Frampton     = require('../frampton.js'),
+    Stream       = Frampton.Stream;
+
+var source = fs.readFileSync(path.join(__dirname, '..', 'frampton.js'), 'utf8');
+
+// Runs the library in a fresh context, as a plain script.
+function load(context) {
+  vm.createContext(context);
+  vm.runInContext(source, context);
+  return context;
+}
+
+// CommonJS gets a module and no global.
+assert.equal(typeof Frampton.Stream, 'function');
+assert.equal(typeof global.Frampton, 'undefined');
+
+// Workers get a global on self.
+var worker = {};
+
+worker.self = worker;
+load(worker);
+
+assert.equal(typeof worker.Frampton.Stream, 'function');
+
+// Browsers get a global on window, with the jQuery plugin when jQuery is around.
+var browser = { jQuery : function() {} };
+
+browser.jQuery.fn = {};
+browser.window = browser;
+load(browser);
+
+assert.equal(typeof browser.Frampton.Stream, 'function');
+assert.equal(typeof browser.jQuery.fn.createStreamFrom, 'function');
+
+// Events from outside the DOM come through as they are.
+var emitter = new EventEmitter(),
+    events  = [];
+
+Stream.fromEvent('tick', emitter).subscribe(function(evt) {
+  events.push(evt);
+});
+
+emitter.emit('tick', 5);
+
+assert.deepEqual(events, [5]);
+
+// Runs an http request through a stand-in for fetch.
+function request(fetch, url, options) {
+
+  var realFetch = global.fetch;
+
+  global.fetch = fetch;
+
+  return new Promise(function(resolve, reject) {
+    Stream.createHttpStream(Stream.fromArray([url]), null, options).subscribe(resolve, reject);
+  }).finally(function() {
+    global.fetch = realFetch;
+  });
+}
+
+function respond(status, body) {
+  return function(url, init) {
+    respond.last = { url : url, init : init };
+    return Promise.resolve({
+      ok      : status >= 200 && status < 300,
+      status  : status,
+      headers : new Headers(),
+      json    : function() {
+        return Promise.resolve(JSON.parse(body));
+      },
+      text    : function() {
+        return Promise.resolve(body);
+      }
+    });
+  };
+}
+
+async function main() {
+
+  // Without jQuery http streams fall back to fetch.
+  assert.deepEqual(await request(respond(200, '{"id":1}'), '/users/1'), { id : 1 });
+  assert.equal(respond.last.url, '/users/1');
+  assert.equal(respond.last.init.method, 'GET');
+
+  assert.equal(await request(respond(200, 'plain'), '/readme', { dataType : 'text', method : 'POST' }), 'plain');
+  assert.equal(respond.last.init.method, 'POST');
+
+  // Failed requests carry their status.
+  await assert.rejects(request(respond(404, 'missing'), '/nope'), function(err) {
+    return err.status === 404 && /failed with status 404/.test(err.message);
+  });
+
+  // Without fetch Node's http module makes the request.
+  var realFetch = global.fetch;
+
+  global.fetch = undefined;
+  assert.equal(Frampton.http.getTransport(), Frampton.http.transports.node);
+  global.fetch = realFetch;
+
+  // And a worker without fetch has no way to make one.
+  await assert.rejects(worker.Frampton.http.getTransport()({ url : '/users/1' }), /No http transport available/);
+
+  console.log('loading: ok');
+}
+
+main().catch(function(err) {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,156 @@
+/**
+ * Run with: node test/multicast.test.js
+ */
+var assert   = require('assert'),
+    Frampton = require('../frampton.js'),
+    Stream   = Frampton.Stream;
+
+function collect(stream) {
+
+  var result = { values : [], done : false };
+
+  result.unsub = stream.subscribe(
+    // onNext
+    function(val) {
+      result.values.push(val);
+    },
+    // onError
+    null,
+    // onDone
+    function() {
+      result.done = true;
+    }
+  );
+
+  return result;
+}
+
+// A source that counts how often it is subscribed to and unsubscribed from.
+function counting() {
+
+  var source = Stream(function() {
+    source.subscriptions = source.subscriptions + 1;
+    return function() {
+      source.unsubscriptions = source.unsubscriptions + 1;
+    };
+  });
+
+  source.subscriptions   = 0;
+  source.unsubscriptions = 0;
+
+  return source;
+}
+
+// publish doesn't subscribe to its source until connect is called.
+var source     = counting(),
+    published  = source.publish(),
+    a          = collect(published),
+    b          = collect(published),
+    disconnect;
+
+source.write('lost');
+
+assert.equal(source.subscriptions, 0);
+
+disconnect = published.connect();
+published.connect();
+
+source.write(1);
+
+assert.equal(source.subscriptions, 1);
+assert.deepEqual(a.values, [1]);
+assert.deepEqual(b.values, [1]);
+
+disconnect();
+source.write(2);
+
+assert.equal(source.unsubscriptions, 1);
+assert.deepEqual(a.values, [1]);
+
+// replay hands the values it kept to outlets that subscribe late, and done once the source
+// has completed.
+var replayed = Stream.fromArray([1, 2, 3]).replay(2),
+    late;
+
+replayed.connect();
+late = collect(replayed);
+
+assert.deepEqual(late.values, [2, 3]);
+assert.ok(late.done);
+
+// refCount connects with the first outlet and disconnects with the last.
+source = counting();
+
+var counted = source.publish().refCount(),
+    first   = collect(counted),
+    second  = collect(counted);
+
+assert.equal(source.subscriptions, 1);
+
+source.write('shared');
+
+assert.deepEqual(first.values, ['shared']);
+assert.deepEqual(second.values, ['shared']);
+
+first.unsub();
+assert.equal(source.unsubscriptions, 0);
+
+second.unsub();
+second.unsub();
+assert.equal(source.unsubscriptions, 1);
+
+// It connects again for the next outlet.
+collect(counted);
+assert.equal(source.subscriptions, 2);
+
+// Once the source has completed, refCount only replays and sends done.
+var runs     = 0,
+    finite   = Stream(function(downStream) {
+      runs = runs + 1;
+      downStream.write(runs);
+      downStream.close();
+    }),
+    replays  = finite.shareReplay(1),
+    early    = collect(replays),
+    after    = collect(replays);
+
+assert.equal(runs, 1);
+assert.deepEqual(early.values, [1]);
+assert.deepEqual(after.values, [1]);
+assert.ok(after.done);
+
+assert.throws(function() {
+  finite.refCount();
+}, /not connectable/);
+
+// share runs the source once for all of its outlets.
+source = counting();
+
+var shared = source.share(),
+    one    = collect(shared),
+    two    = collect(shared);
+
+source.write('x');
+
+assert.equal(source.subscriptions, 1);
+assert.deepEqual(one.values, ['x']);
+assert.deepEqual(two.values, ['x']);
+
+one.unsub();
+two.unsub();
+
+assert.equal(source.unsubscriptions, 1);
+
+// After the source has completed, share starts it over for the next outlet.
+runs = 0;
+
+var again = finite.share(),
+    run1  = collect(again),
+    run2  = collect(again);
+
+assert.deepEqual(run1.values, [1]);
+assert.ok(run1.done);
+assert.deepEqual(run2.values, [2]);
+assert.ok(run2.done);
+
+console.log('multicast: ok');
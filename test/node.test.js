@@ -0,0 +1,217 @@
+/**
+ * Run with: node test/node.test.js
+ */
+var assert       = require('assert'),
+    EventEmitter = require('events'),
+    nodeStream   = require('stream'),
+    Frampton     = require('../frampton.js'),
+    Stream       = Frampton.Stream;
+
+function collect(stream) {
+
+  var result = { values : [], errors : [], done : false };
+
+  result.unsubscribe = stream.subscribe(
+    // onNext
+    function(val) {
+      result.values.push(val);
+    },
+    // onError
+    function(err) {
+      result.errors.push(err.message);
+    },
+    // onDone
+    function() {
+      result.done = true;
+    }
+  );
+
+  return result;
+}
+
+// A writable that takes a while to write each chunk, so it fills up.
+function slowWritable(written) {
+  return new nodeStream.Writable({
+    objectMode    : true,
+    highWaterMark : 1,
+    write         : function(chunk, encoding, callback) {
+      written.push(chunk);
+      setTimeout(callback, 1);
+    }
+  });
+}
+
+function finished(writable) {
+  return new Promise(function(resolve, reject) {
+    writable.on('finish', resolve);
+    writable.on('error', reject);
+  });
+}
+
+async function main() {
+
+  // EventEmitters, with listeners only added while subscribed.
+  var emitter = new EventEmitter(),
+      events  = collect(Stream.fromEventEmitter(emitter, 'row'));
+
+  emitter.emit('row', 1);
+  emitter.emit('row', 2, 3);
+  emitter.emit('error', new Error('bad row'));
+  emitter.emit('end');
+
+  assert.deepEqual(events.values, [1, [2, 3]]);
+  assert.deepEqual(events.errors, ['bad row']);
+  assert.ok(events.done);
+  assert.equal(emitter.listenerCount('row'), 0);
+
+  events = collect(Stream.fromEventEmitter(emitter, 'row'));
+
+  assert.equal(emitter.listenerCount('row'), 1);
+
+  events.unsubscribe();
+
+  assert.equal(emitter.listenerCount('row'), 0);
+
+  // Readables are read from once subscribed to, and close the stream when they end.
+  var readable = nodeStream.Readable.from(['a', 'b', 'c']),
+      chunks   = collect(Stream.fromNodeReadable(readable));
+
+  await new Promise(function(resolve) {
+    readable.on('end', resolve);
+  });
+
+  assert.deepEqual(chunks.values, ['a', 'b', 'c']);
+  assert.ok(chunks.done);
+
+  // Errors on a readable error and close the stream.
+  readable = new nodeStream.Readable({ read : function() {} });
+  chunks   = collect(Stream.fromNodeReadable(readable));
+
+  readable.destroy(new Error('broken'));
+
+  await new Promise(function(resolve) {
+    readable.on('close', resolve);
+  });
+
+  assert.deepEqual(chunks.errors, ['broken']);
+  assert.ok(chunks.done);
+
+  assert.throws(function() {
+    Stream.fromNodeReadable({});
+  }, /did not receive a readable/);
+
+  // Piping a readable into a slow writable pauses the readable while the writable is full.
+  var values  = [],
+      written = [],
+      pauses  = 0,
+      input, output;
+
+  for (var i = 0; i < 20; i++) values.push(i);
+
+  readable = nodeStream.Readable.from(values);
+  output   = slowWritable(written);
+  input    = Stream.fromNodeReadable(readable);
+
+  readable.on('pause', function() {
+    pauses = pauses + 1;
+  });
+
+  input.toNodeWritable(output, { pausable : input });
+
+  await finished(output);
+
+  assert.deepEqual(written, values);
+  assert.ok(pauses > 0);
+
+  // The pausable option lets an operator further down hold back the source...
+  readable = nodeStream.Readable.from(values);
+  written  = [];
+  pauses   = 0;
+  output   = slowWritable(written);
+  input    = Stream.fromNodeReadable(readable);
+
+  readable.on('pause', function() {
+    pauses = pauses + 1;
+  });
+
+  input.map(function(val) {
+    return val * 2;
+  }).toNodeWritable(output, { pausable : input });
+
+  await finished(output);
+
+  assert.deepEqual(written, values.map(function(val) {
+    return val * 2;
+  }));
+  assert.ok(pauses > 0);
+
+  // ...and without anything to pause the writable buffers what it can't take yet.
+  var source = Stream(function() {});
+
+  written = [];
+  output  = slowWritable(written);
+
+  source.toNodeWritable(output);
+
+  source.write('x');
+  source.write('y');
+  source.write('z');
+  source.close();
+
+  await finished(output);
+
+  assert.deepEqual(written, ['x', 'y', 'z']);
+
+  // With end false the writable is left open.
+  source  = Stream(function() {});
+  written = [];
+  output  = slowWritable(written);
+
+  source.toNodeWritable(output, { end : false });
+
+  source.write('x');
+  source.close();
+
+  assert.ok(!output.writableEnded);
+
+  // An error on the stream destroys the writable.
+  source = Stream(function() {});
+  output = slowWritable([]);
+
+  var destroyed = new Promise(function(resolve) {
+    output.on('error', resolve);
+  });
+
+  source.toNodeWritable(output);
+  source.error(new Error('failed'));
+
+  assert.equal((await destroyed).message, 'failed');
+
+  // Stopping by hand unsubscribes and stops listening to the writable.
+  var unsubscribed = false;
+
+  source = Stream(function() {
+    return function() {
+      unsubscribed = true;
+    };
+  });
+  output = slowWritable([]);
+
+  var stop = source.toNodeWritable(output);
+
+  stop();
+
+  assert.ok(unsubscribed);
+  assert.equal(output.listenerCount('drain'), 0);
+
+  assert.throws(function() {
+    Stream(function() {}).toNodeWritable({});
+  }, /did not receive a writable/);
+
+  console.log('node: ok');
+}
+
+main().catch(function(err) {
+  console.error(err);
+  process.exit(1);
+});
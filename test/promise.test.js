@@ -0,0 +1,100 @@
+/**
+ * Run with: node test/promise.test.js
+ */
+var assert        = require('assert'),
+    Frampton      = require('../frampton.js'),
+    Stream        = Frampton.Stream,
+    TestScheduler = Frampton.TestScheduler;
+
+function manual() {
+  return Stream(function() {});
+}
+
+async function main() {
+
+  // First, last and all of the values.
+  assert.equal(await Stream.fromArray([1, 2, 3]).firstValue(), 1);
+  assert.equal(await Stream.fromArray([1, 2, 3]).lastValue(), 3);
+  assert.equal(await Stream.fromArray([1, 2, 3]).toPromise(), 3);
+  assert.deepEqual(await Stream.fromArray([1, 2, 3]).toArray(), [1, 2, 3]);
+
+  // A stream that closes empty is an EmptyError, except for toArray.
+  await assert.rejects(Stream.fromArray([]).firstValue(), { name : 'EmptyError' });
+  await assert.rejects(Stream.fromArray([]).lastValue(), { name : 'EmptyError' });
+  assert.deepEqual(await Stream.fromArray([]).toArray(), []);
+
+  // The first error rejects.
+  var source  = manual(),
+      promise = source.toArray();
+
+  source.write(1);
+  source.error(new Error('oops'));
+
+  await assert.rejects(promise, /oops/);
+
+  // Once settled the stream is unsubscribed from, even when that happens while subscribing.
+  var pulled = 0;
+
+  assert.equal(await Stream(function(downStream) {
+    while (downStream.dispatcher.count() > 0 && pulled < 1000) {
+      pulled = pulled + 1;
+      downStream.write(pulled);
+    }
+  }).firstValue(), 1);
+
+  assert.equal(pulled, 1);
+
+  var unsubscribed = false;
+
+  source = Stream(function() {
+    return function() {
+      unsubscribed = true;
+    };
+  });
+  promise = source.firstValue();
+  source.write('a');
+
+  assert.equal(await promise, 'a');
+  assert.ok(unsubscribed);
+
+  // Giving up after a timeout.
+  var scheduler = TestScheduler();
+
+  unsubscribed = false;
+  promise      = source.lastValue({ timeout : 100, scheduler : scheduler });
+
+  scheduler.advanceBy(99);
+  source.write('late');
+  scheduler.advanceBy(1);
+
+  await assert.rejects(promise, { name : 'TimeoutError', message : 'Stream did not settle within 100ms' });
+  assert.ok(unsubscribed);
+
+  // Settling cancels the timeout.
+  scheduler = TestScheduler();
+  promise   = Stream.fromArray([1]).firstValue({ timeout : 100, scheduler : scheduler });
+
+  assert.equal(await promise, 1);
+
+  scheduler.flush();
+
+  // Aborting with a signal, before or after subscribing.
+  var controller = new AbortController();
+
+  promise = manual().firstValue({ signal : controller.signal });
+  controller.abort();
+
+  await assert.rejects(promise, { name : 'AbortError' });
+
+  controller = new AbortController();
+  controller.abort(new Error('no longer needed'));
+
+  await assert.rejects(manual().toArray({ signal : controller.signal }), /no longer needed/);
+
+  console.log('promise: ok');
+}
+
+main().catch(function(err) {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,193 @@
+/**
+ * Run with: node test/retry.test.js
+ */
+var assert        = require('assert'),
+    Frampton      = require('../frampton.js'),
+    Stream        = Frampton.Stream,
+    TestScheduler = Frampton.TestScheduler;
+
+// A stream that errors synchronously the first times it is subscribed to.
+function failing(times) {
+
+  var subscriptions = 0;
+
+  return Stream(function(downStream) {
+
+    subscriptions = subscriptions + 1;
+
+    if (subscriptions <= times) {
+      downStream.error(new Error('attempt ' + subscriptions));
+    } else {
+      downStream.write(subscriptions);
+      downStream.close();
+    }
+  });
+}
+
+// Subscribes and records everything the stream does.
+function record(stream) {
+
+  var log = { values : [], errors : [], done : false };
+
+  log.unsubscribe = stream.subscribe(
+    // onNext
+    function(val) {
+      log.values.push(val);
+    },
+    // onError
+    function(err) {
+      log.errors.push(err.message);
+    },
+    // onDone
+    function() {
+      log.done = true;
+    }
+  );
+
+  return log;
+}
+
+// Retrying forever doesn't grow the stack with every synchronous error.
+var log = record(failing(100000).retry());
+
+assert.deepEqual(log.values, [100001]);
+assert.deepEqual(log.errors, []);
+assert.ok(log.done);
+
+// Once the retries are used up the error is passed along.
+log = record(failing(5).retry(3));
+
+assert.deepEqual(log.values, []);
+assert.deepEqual(log.errors, ['attempt 4']);
+
+// catchError hands over to the stream the handler returns.
+log = record(failing(1).catchError(function(err) {
+  return Stream.fromArray(['recovered from ' + err.message]);
+}));
+
+assert.deepEqual(log.values, ['recovered from attempt 1']);
+assert.deepEqual(log.errors, []);
+assert.ok(log.done);
+
+// Returning the source from the handler resubscribes to it.
+var seen = [];
+
+log = record(failing(1).catchError(function(err, source) {
+  seen.push(err.message);
+  return source;
+}));
+
+assert.deepEqual(seen, ['attempt 1']);
+assert.deepEqual(log.values, [2]);
+assert.ok(log.done);
+
+// Errors on the stream taken over with are passed along.
+log = record(failing(1).catchError(function() {
+  return failing(1);
+}));
+
+assert.deepEqual(log.errors, ['attempt 1']);
+
+// The handler has to return a stream.
+assert.throws(function() {
+  failing(1).catchError(function() {
+    return 'nope';
+  }).subscribe(function() {});
+}, /did not return a Stream/);
+
+// onErrorResumeNext moves on whether a stream errors or closes, and swallows errors.
+log = record(failing(1).onErrorResumeNext(Stream.fromArray([1]), failing(1), Stream.fromArray([2])));
+
+assert.deepEqual(log.values, [1, 2]);
+assert.deepEqual(log.errors, []);
+assert.ok(log.done);
+
+assert.throws(function() {
+  Stream.fromArray([1]).onErrorResumeNext('nope');
+}, /non stream/);
+
+// mapError maps errors and leaves values alone.
+var source = Stream(noopSeed);
+
+function noopSeed() {}
+
+log = record(source.mapError(function(err) {
+  return new Error('mapped ' + err.message);
+}));
+
+source.broadcast('sendNext', 1);
+source.broadcast('sendError', new Error('oops'));
+
+assert.deepEqual(log.values, [1]);
+assert.deepEqual(log.errors, ['mapped oops']);
+
+// retryWhen resubscribes whenever the notifier produces a value, and closes when it closes.
+var retries = Stream(noopSeed),
+    errors  = [];
+
+log = record(failing(2).retryWhen(function(errorStream) {
+  errorStream.subscribe(function(err) {
+    errors.push(err.message);
+  });
+  return retries;
+}));
+
+assert.deepEqual(errors, ['attempt 1']);
+assert.deepEqual(log.values, []);
+
+retries.broadcast('sendNext', 'again');
+
+assert.deepEqual(errors, ['attempt 1', 'attempt 2']);
+
+retries.broadcast('sendNext', 'again');
+
+assert.deepEqual(log.values, [3]);
+assert.ok(log.done);
+
+// An error on the notifier's stream is passed along.
+var notifier = Stream(noopSeed);
+
+log = record(failing(1).retryWhen(function() {
+  return notifier;
+}));
+
+notifier.broadcast('sendError', new Error('gave up'));
+
+assert.deepEqual(log.errors, ['gave up']);
+
+// Exponential backoff waits longer for every retry and gives up after maxRetries.
+var scheduler = TestScheduler(),
+    attempts  = [];
+
+log = record(Stream(function(downStream) {
+  attempts.push(scheduler.now());
+  downStream.error(new Error('attempt ' + attempts.length));
+}).retryWhen(Stream.exponentialBackoff({
+  initialDelay : 10,
+  factor       : 3,
+  maxDelay     : 50,
+  maxRetries   : 3,
+  scheduler    : scheduler
+})));
+
+scheduler.flush();
+
+// Waits of 10, 30 and then 90 capped to 50.
+assert.deepEqual(attempts, [0, 10, 40, 90]);
+assert.deepEqual(log.errors, ['attempt 4']);
+
+// Unsubscribing cancels a pending retry.
+scheduler = TestScheduler();
+attempts  = [];
+
+log = record(Stream(function(downStream) {
+  attempts.push(scheduler.now());
+  downStream.error(new Error('oops'));
+}).retryWhen(Stream.exponentialBackoff({ scheduler : scheduler })));
+
+log.unsubscribe();
+scheduler.flush();
+
+assert.deepEqual(attempts, [0]);
+
+console.log('retry: ok');
@@ -0,0 +1,181 @@
+/**
+ * Run with: node test/scheduler.test.js
+ */
+var assert        = require('assert'),
+    Frampton      = require('../frampton.js'),
+    Stream        = Frampton.Stream,
+    Scheduler     = Frampton.Scheduler,
+    TestScheduler = Frampton.TestScheduler;
+
+// A scheduler from a plain function, with work defaulting to no delay and no way to cancel.
+var calls     = [],
+    scheduler = Scheduler(function(fn, delay) {
+      calls.push(delay);
+      fn();
+    });
+
+assert.ok(Scheduler.isScheduler(scheduler));
+assert.ok(Scheduler.isScheduler(TestScheduler()));
+assert.ok(!Scheduler.isScheduler({ schedule : function() {} }));
+assert.equal(typeof scheduler.schedule(function() {}), 'function');
+scheduler.schedule(function() {}, 10);
+assert.deepEqual(calls, [0, 10]);
+
+// Work scheduled from inside sync work runs once the outer work is done.
+var order = [];
+
+Scheduler.sync.schedule(function() {
+  Scheduler.sync.schedule(function() {
+    order.push('inner');
+  });
+  order.push('outer');
+});
+
+assert.deepEqual(order, ['outer', 'inner']);
+
+// Work queued behind work that throws still runs, and the error comes out afterwards.
+var ran = [];
+
+assert.throws(function() {
+  Scheduler.sync.schedule(function() {
+    Scheduler.sync.schedule(function() {
+      ran.push('second');
+    });
+    throw new Error('first');
+  });
+}, /first/);
+
+assert.deepEqual(ran, ['second']);
+
+// The queue is left empty, later work runs right away.
+Scheduler.sync.schedule(function() {
+  ran.push('third');
+});
+
+assert.deepEqual(ran, ['second', 'third']);
+
+// bufferWithTime keeps buffering when its work runs before schedule returns.
+var source  = Stream(function() {}),
+    buffers = [];
+
+source.bufferWithTime(10, Scheduler.sync).subscribe(function(buffer) {
+  buffers.push(buffer.slice());
+});
+
+source.write(1);
+source.write(2);
+source.write(3);
+
+assert.deepEqual(buffers, [[1], [2], [3]]);
+
+// observeOn delivers values, and closing, on the scheduler.
+var clock     = TestScheduler(),
+    observed  = [],
+    done      = false;
+
+source = Stream(function() {});
+
+source.observeOn(clock).subscribe(
+  // onNext
+  function(val) {
+    observed.push(val);
+  },
+  // onError
+  null,
+  // onDone
+  function() {
+    done = true;
+  }
+);
+
+source.write(1);
+source.write(2);
+source.close();
+
+assert.deepEqual(observed, []);
+assert.ok(!done);
+
+clock.flush();
+
+assert.deepEqual(observed, [1, 2]);
+assert.ok(done);
+
+// subscribeOn waits for the scheduler before subscribing, and unsubscribing first means it
+// never subscribes at all.
+var subscriptions = 0,
+    counted       = Stream(function(downStream) {
+      subscriptions = subscriptions + 1;
+      downStream.write(subscriptions);
+    }),
+    seen          = [],
+    unsub;
+
+clock = TestScheduler();
+
+counted.subscribeOn(clock).subscribe(function(val) {
+  seen.push(val);
+});
+
+assert.equal(subscriptions, 0);
+clock.flush();
+assert.equal(subscriptions, 1);
+assert.deepEqual(seen, [1]);
+
+unsub = Stream(function(downStream) {
+  subscriptions = subscriptions + 1;
+}).subscribeOn(clock).subscribe(function() {});
+
+unsub();
+clock.flush();
+assert.equal(subscriptions, 1);
+
+// fromArray pushes one value per piece of work on a scheduler.
+var pushed = [];
+
+clock = TestScheduler();
+
+Stream.fromArray([1, 2, 3], clock).subscribe(function(val) {
+  pushed.push(val);
+});
+
+assert.deepEqual(pushed, []);
+clock.advanceBy(0);
+assert.deepEqual(pushed, [1, 2, 3]);
+
+// Operators take a scheduler of their own over the default timers.
+var debounced = [];
+
+clock  = TestScheduler();
+source = Stream(function() {});
+
+source.debounce(100, clock).subscribe(function(val) {
+  debounced.push(val);
+});
+
+source.write('a');
+source.write('b');
+clock.advanceBy(100);
+
+assert.deepEqual(debounced, ['b']);
+
+// The microtask scheduler runs after the current code but before timeouts.
+var timeline = [];
+
+Scheduler.timeout.schedule(function() {
+  timeline.push('timeout');
+});
+
+Scheduler.microtask.schedule(function() {
+  timeline.push('microtask');
+});
+
+Scheduler.microtask.schedule(function() {
+  timeline.push('cancelled');
+})();
+
+timeline.push('sync');
+
+Scheduler.timeout.schedule(function() {
+  assert.deepEqual(timeline, ['sync', 'microtask', 'timeout']);
+  console.log('scheduler: ok');
+}, 20);
@@ -0,0 +1,137 @@
+/**
+ * Run with: node test/stream.test.js
+ */
+var assert   = require('assert'),
+    Frampton = require('../frampton.js'),
+    Stream   = Frampton.Stream;
+
+function collect(stream) {
+
+  var result = { values : [], done : false };
+
+  result.unsub = stream.subscribe(
+    // onNext
+    function(val) {
+      result.values.push(val);
+    },
+    // onError
+    null,
+    // onDone
+    function() {
+      result.done = true;
+    }
+  );
+
+  return result;
+}
+
+// A stream that has closed starts over when it is subscribed to again, and closes again.
+var runs  = 0,
+    once  = Stream(function(downStream) {
+      runs = runs + 1;
+      downStream.write(runs);
+      downStream.close();
+    }),
+    first  = collect(once),
+    second = collect(once);
+
+assert.deepEqual(first.values, [1]);
+assert.ok(first.done);
+assert.deepEqual(second.values, [2]);
+assert.ok(second.done);
+assert.ok(once.isClosed);
+
+// take closes once it has sent its values, letting go of the source.
+var released = false,
+    source   = Stream(function() {
+      return function() {
+        released = true;
+      };
+    }),
+    taken    = collect(source.take(2));
+
+source.write(1);
+source.write(2);
+
+assert.deepEqual(taken.values, [1, 2]);
+assert.ok(taken.done);
+assert.ok(released);
+
+// fromPromise closes once the promise has settled, either way.
+var resolved = collect(Stream.fromPromise(Promise.resolve('yes'))),
+    rejected = { errors : [], done : false };
+
+Stream.fromPromise(Promise.reject(new Error('no'))).subscribe(
+  // onNext
+  null,
+  // onError
+  function(err) {
+    rejected.errors.push(err.message);
+  },
+  // onDone
+  function() {
+    rejected.done = true;
+  }
+);
+
+// A stream that closes while it is being seeded still lets go of what the seed set up.
+var seedReleased = false;
+
+collect(Stream(function(downStream) {
+  downStream.close();
+  return function() {
+    seedReleased = true;
+  };
+}));
+
+assert.ok(seedReleased);
+
+// So does take of a synchronous source, which closes before it has subscribed.
+released = false;
+
+taken = collect(Stream(function(downStream) {
+  downStream.write(1);
+  downStream.write(2);
+  return function() {
+    released = true;
+  };
+}).take(1));
+
+assert.deepEqual(taken.values, [1]);
+assert.ok(taken.done);
+assert.ok(released);
+
+// Once take has what it needs a synchronous source sees that nobody is listening anymore,
+// even though we're still subscribing to it.
+var pulled  = 0,
+    endless = Stream(function(downStream) {
+      while (downStream.dispatcher.count() > 0 && pulled < 1000) {
+        pulled = pulled + 1;
+        downStream.write(pulled);
+      }
+    });
+
+taken = collect(endless.take(3));
+
+assert.deepEqual(taken.values, [1, 2, 3]);
+assert.ok(taken.done);
+assert.equal(pulled, 3);
+
+// pipe closes its outlet when writing closes the stream it pipes into.
+var target = Stream(function() {}).take(1),
+    piped  = collect(target);
+
+Stream.fromArray([1, 2, 3]).pipe(target);
+
+assert.deepEqual(piped.values, [1]);
+assert.ok(piped.done);
+
+setTimeout(function() {
+
+  assert.deepEqual(resolved.values, ['yes']);
+  assert.ok(resolved.done);
+  assert.deepEqual(rejected.errors, ['no']);
+  assert.ok(rejected.done);
+
+  console.log('stream: ok');
+}, 0);
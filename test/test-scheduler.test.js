@@ -0,0 +1,111 @@
+/**
+ * Run with: node test/test-scheduler.test.js
+ */
+var assert        = require('assert'),
+    Frampton      = require('../frampton.js'),
+    Stream        = Frampton.Stream,
+    TestScheduler = Frampton.TestScheduler;
+
+// Work runs in time order, work for the same time in the order it was scheduled.
+var scheduler = TestScheduler(100),
+    ran       = [];
+
+scheduler.schedule(function() {
+  ran.push(['b', scheduler.now()]);
+}, 20);
+
+scheduler.schedule(function() {
+  ran.push(['a', scheduler.now()]);
+}, 10);
+
+scheduler.schedule(function() {
+  ran.push(['c', scheduler.now()]);
+}, 20);
+
+assert.equal(scheduler.now(), 100);
+
+scheduler.advanceTo(115);
+
+assert.deepEqual(ran, [['a', 110]]);
+assert.equal(scheduler.now(), 115);
+
+scheduler.advanceBy(5);
+
+assert.deepEqual(ran, [['a', 110], ['b', 120], ['c', 120]]);
+
+// The clock can't go backwards.
+assert.throws(function() {
+  scheduler.advanceTo(0);
+});
+
+// Cancelled work never runs.
+var cancelled = false,
+    cancel    = scheduler.schedule(function() {
+      cancelled = true;
+    }, 10);
+
+cancel();
+scheduler.advanceBy(100);
+
+assert.ok(!cancelled);
+
+// flush runs work scheduled while flushing, moving the clock along.
+var flushed = [];
+
+scheduler = TestScheduler();
+
+scheduler.schedule(function() {
+  flushed.push(scheduler.now());
+  scheduler.schedule(function() {
+    flushed.push(scheduler.now());
+  }, 50);
+}, 10);
+
+scheduler.flush();
+
+assert.deepEqual(flushed, [10, 60]);
+assert.ok(TestScheduler.isTestScheduler(scheduler));
+assert.ok(!TestScheduler.isTestScheduler({}));
+
+// Once installed the library's timers run off of the virtual clock.
+var source = Stream(function() {}),
+    values = [];
+
+scheduler = TestScheduler().install();
+
+source.debounce(100).subscribe(function(val) {
+  values.push([scheduler.now(), val]);
+});
+
+source.write(1);
+scheduler.advanceBy(50);
+source.write(2);
+scheduler.advanceBy(99);
+
+assert.deepEqual(values, []);
+
+scheduler.advanceBy(1);
+
+assert.deepEqual(values, [[150, 2]]);
+
+scheduler.uninstall();
+
+// Uninstalling a scheduler that isn't installed leaves the installed one alone.
+var installed = TestScheduler().install(),
+    timed     = [];
+
+TestScheduler().uninstall();
+
+source = Stream(function() {});
+source.debounce(10).subscribe(function(val) {
+  timed.push(val);
+});
+
+source.write('virtual');
+installed.advanceBy(10);
+
+assert.deepEqual(timed, ['virtual']);
+
+installed.uninstall();
+
+console.log('test-scheduler: ok');
@@ -0,0 +1,116 @@
+/**
+ * Run with: node test/testing.test.js
+ */
+var assert   = require('assert'),
+    Frampton = require('../frampton.js'),
+    Stream   = Frampton.Stream,
+    testing  = Frampton.testing,
+    FRAME    = testing.FRAME;
+
+// Diagrams turn into timed events, with groups sharing the frame of their opening paren.
+assert.deepEqual(testing.parseMarbles('-a-(bc)-#', { a : 1 }, 'oops'), [
+  { time : FRAME, kind : 'N', value : 1 },
+  { time : 3 * FRAME, kind : 'N', value : 'b' },
+  { time : 3 * FRAME, kind : 'N', value : 'c' },
+  { time : 8 * FRAME, kind : 'E', value : 'oops' }
+]);
+
+// Times are relative to the subscription marker, and whitespace doesn't count.
+assert.deepEqual(testing.parseMarbles('a - ^ - b |'), [
+  { time : -2 * FRAME, kind : 'N', value : 'a' },
+  { time : 2 * FRAME, kind : 'N', value : 'b' },
+  { time : 3 * FRAME, kind : 'C' }
+]);
+
+assert.deepEqual(testing.parseSubscription('--^--!'), { subscribed : 2 * FRAME, unsubscribed : 5 * FRAME });
+assert.deepEqual(testing.parseSubscription('^'), { subscribed : 0, unsubscribed : Infinity });
+
+// Operators can be checked against diagrams.
+testing.run(function() {
+
+  var source = testing.cold('-a-b-|', { a : 1, b : 2 });
+
+  testing.expectStream(source.map(function(val) {
+    return val * 10;
+  })).toBe('-x-y-|', { x : 10, y : 20 });
+
+  testing.expectSubscriptions(source.subscriptions).toBe('^----!');
+});
+
+// A diagram that doesn't match fails the run.
+assert.throws(function() {
+  testing.run(function() {
+    testing.expectStream(testing.cold('-a|')).toBe('--a|');
+  });
+}, /Marble expectation failed/);
+
+// Hot streams play from the start of the test whether anyone is listening or not, and
+// unsubscribing is logged.
+testing.run(function() {
+
+  var source = testing.hot('-a-^-b-c-d-|');
+
+  testing.expectStream(source, '^----!').toBe('--b-c');
+  testing.expectSubscriptions(source.subscriptions).toBe('^----!');
+});
+
+// Every subscriber to a cold stream gets its own run, timed from when it subscribed.
+testing.run(function(scheduler) {
+
+  var source = testing.cold('-a-b|'),
+      late   = [];
+
+  testing.expectStream(source).toBe('-a-b|');
+
+  scheduler.schedule(function() {
+    source.subscribe(function(val) {
+      late.push([scheduler.now(), val]);
+    });
+  }, 20);
+
+  testing.expectSubscriptions(source.subscriptions).toBe(['^---!', '--^---!']);
+
+  scheduler.schedule(function() {
+    assert.deepEqual(late, [[30, 'a'], [50, 'b']]);
+  }, 100);
+});
+
+// Stream.unshared, which cold streams are made with, runs its seed once per outlet.
+var runs     = 0,
+    unshared = Stream.unshared(function(downStream) {
+      runs = runs + 1;
+      downStream.write(runs);
+    }),
+    firsts   = [],
+    seconds  = [];
+
+unshared.subscribe(function(val) {
+  firsts.push(val);
+});
+
+unshared.subscribe(function(val) {
+  seconds.push(val);
+});
+
+assert.equal(runs, 2);
+assert.deepEqual(firsts, [1]);
+assert.deepEqual(seconds, [2]);
+
+// Errors only match errors with the same name and message.
+testing.run(function() {
+  testing.expectStream(testing.cold('-#', null, new Error('oops'))).toBe('-#', null, new Error('oops'));
+});
+
+assert.throws(function() {
+  testing.run(function() {
+    testing.expectStream(testing.cold('-#', null, new Error('oops'))).toBe('-#', null, new Error('other'));
+  });
+}, /Marble expectation failed/);
+
+assert.throws(function() {
+  testing.run(function() {
+    testing.expectStream(testing.cold('-#', null, new TypeError('oops'))).toBe('-#', null, new Error('oops'));
+  });
+}, /Marble expectation failed/);
+
+console.log('testing: ok');
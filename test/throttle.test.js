@@ -0,0 +1,133 @@
+/**
+ * Run with: node test/throttle.test.js
+ */
+var assert        = require('assert'),
+    Frampton      = require('../frampton.js'),
+    Stream        = Frampton.Stream,
+    Scheduler     = Frampton.Scheduler,
+    TestScheduler = Frampton.TestScheduler;
+
+// Runs an operator over values written at the given times and records when values come out.
+function timeline(operator, events, end) {
+
+  var scheduler = TestScheduler(),
+      source    = Stream(function() {}),
+      result    = { values : [], done : false };
+
+  operator(source, scheduler).subscribe(
+    // onNext
+    function(val) {
+      result.values.push([scheduler.now(), val]);
+    },
+    // onError
+    null,
+    // onDone
+    function() {
+      result.done = true;
+    }
+  );
+
+  events.forEach(function(event) {
+    scheduler.schedule(function() {
+      source.write(event[1]);
+    }, event[0]);
+  });
+
+  if (end) {
+    scheduler.schedule(function() {
+      source.close();
+    }, end);
+  }
+
+  scheduler.flush();
+
+  return result;
+}
+
+var burst = [[0, 'a'], [30, 'b'], [60, 'c'], [200, 'd']];
+
+// debounce sends the last value of a burst once things have been quiet for the delay.
+assert.deepEqual(timeline(function(source, scheduler) {
+  return source.debounce(50, scheduler);
+}, burst).values, [[110, 'c'], [250, 'd']]);
+
+// With leading the first value goes right away, with both the burst gets both ends.
+assert.deepEqual(timeline(function(source, scheduler) {
+  return source.debounce(50, { leading : true, trailing : false, scheduler : scheduler });
+}, burst).values, [[0, 'a'], [200, 'd']]);
+
+assert.deepEqual(timeline(function(source, scheduler) {
+  return source.debounce(50, { leading : true, scheduler : scheduler });
+}, burst).values, [[0, 'a'], [110, 'c'], [200, 'd']]);
+
+// maxWait cuts a long burst short.
+assert.deepEqual(timeline(function(source, scheduler) {
+  return source.debounce(50, { maxWait : 100, scheduler : scheduler });
+}, [[0, 'a'], [30, 'b'], [60, 'c'], [90, 'd'], [120, 'e']]).values, [[100, 'd'], [170, 'e']]);
+
+// Closing during a burst sends the trailing value first.
+var closed = timeline(function(source, scheduler) {
+  return source.debounce(50, scheduler);
+}, [[0, 'a']], 20);
+
+assert.deepEqual(closed.values, [[20, 'a']]);
+assert.ok(closed.done);
+
+// throttle lets the first value through, then the latest once the delay is up.
+assert.deepEqual(timeline(function(source, scheduler) {
+  return source.throttle(50, scheduler);
+}, burst).values, [[0, 'a'], [50, 'b'], [100, 'c'], [200, 'd']]);
+
+assert.deepEqual(timeline(function(source, scheduler) {
+  return source.throttle(50, { trailing : false, scheduler : scheduler });
+}, burst).values, [[0, 'a'], [60, 'c'], [200, 'd']]);
+
+assert.deepEqual(timeline(function(source, scheduler) {
+  return source.throttle(50, { leading : false, scheduler : scheduler });
+}, burst).values, [[50, 'b'], [100, 'c'], [250, 'd']]);
+
+// auditTime waits the delay after a value and sends the latest one.
+assert.deepEqual(timeline(function(source, scheduler) {
+  return source.auditTime(50, scheduler);
+}, burst).values, [[50, 'b'], [110, 'c'], [250, 'd']]);
+
+closed = timeline(function(source, scheduler) {
+  return source.auditTime(50, scheduler);
+}, [[0, 'a']], 20);
+
+assert.deepEqual(closed.values, [[20, 'a']]);
+assert.ok(closed.done);
+
+// sampleTime samples on a fixed beat from subscription, only when there's something new.
+assert.deepEqual(timeline(function(source, scheduler) {
+  return source.sampleTime(50, scheduler);
+}, burst).values, [[50, 'b'], [100, 'c'], [250, 'd']]);
+
+// auditTime and sampleTime keep passing values along when their work runs before schedule
+// returns.
+['auditTime', 'sampleTime'].forEach(function(operator) {
+
+  var source = Stream(function() {}),
+      values = [];
+
+  source[operator](10, Scheduler.sync).subscribe(function(val) {
+    values.push(val);
+  });
+
+  source.write(1);
+  source.write(2);
+  source.write(3);
+
+  assert.deepEqual(values, [1, 2, 3], operator);
+});
+
+// takeLatest takes the last value of each array.
+var latest = [];
+
+Stream.fromArray([[1, 2], [3]]).takeLatest().subscribe(function(val) {
+  latest.push(val);
+});
+
+assert.deepEqual(latest, [2, 3]);
+
+console.log('throttle: ok');
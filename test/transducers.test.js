@@ -0,0 +1,124 @@
+/**
+ * Run with: node test/transducers.test.js
+ */
+var assert      = require('assert'),
+    Frampton    = require('../frampton.js'),
+    Stream      = Frampton.Stream,
+    transducers = Frampton.transducers,
+    compose     = Frampton.compose,
+    foldl       = Frampton.foldl,
+    foldr       = Frampton.foldr;
+
+function append(acc, val) {
+  return acc.concat([val]);
+}
+
+function double(val) {
+  return val * 2;
+}
+
+function isOdd(val) {
+  return val % 2 === 1;
+}
+
+function collect(stream) {
+
+  var result = { values : [], done : false };
+
+  result.unsubscribe = stream.subscribe(
+    // onNext
+    function(val) {
+      result.values.push(val);
+    },
+    // onError
+    null,
+    // onDone
+    function() {
+      result.done = true;
+    }
+  );
+
+  return result;
+}
+
+// Composed transducers run left to right over arrays.
+var xf = compose(transducers.filter(isOdd), transducers.map(double), transducers.take(2));
+
+assert.deepEqual(foldl(xf(append), [], [1, 2, 3, 4, 5, 7]), [2, 6]);
+
+// Each transducer on its own.
+assert.deepEqual(foldl(transducers.map(double)(append), [], [1, 2]), [2, 4]);
+assert.deepEqual(foldl(transducers.filter(isOdd)(append), [], [1, 2, 3]), [1, 3]);
+assert.deepEqual(foldl(transducers.take(2)(append), [], [1, 2, 3]), [1, 2]);
+assert.deepEqual(foldl(transducers.dedupe()(append), [], [1, 1, 2, 1, 1]), [1, 2, 1]);
+
+// partition flushes the leftovers at the end.
+assert.deepEqual(foldl(transducers.partition(2)(append), [], [1, 2, 3, 4, 5]), [[1, 2], [3, 4], [5]]);
+
+assert.throws(function() {
+  transducers.partition(0);
+}, /greater than zero/);
+
+// Reduced values stop a fold early, in either direction.
+var seen = [];
+
+assert.equal(foldl(function(acc, val) {
+  seen.push(val);
+  return (val === 2) ? transducers.reduced(acc + val) : acc + val;
+}, 0, [1, 2, 3]), 3);
+
+assert.deepEqual(seen, [1, 2]);
+
+assert.equal(foldr(function(acc, val) {
+  return (val === 2) ? transducers.reduced(acc + val) : acc + val;
+}, 0, [1, 2, 3]), 5);
+
+assert.ok(transducers.isReduced(transducers.reduced(1)));
+assert.ok(!transducers.isReduced(1));
+
+// Plain reducing functions still fold like they always have.
+assert.equal(foldl(function(acc, val) {
+  return acc + val;
+}, 0, [1, 2, 3]), 6);
+
+// The same transducer works over a stream.
+var source = Stream(function() {}),
+    result = collect(source.transduce(compose(transducers.map(double), transducers.dedupe())));
+
+source.write(1);
+source.write(1);
+source.write(2);
+
+assert.deepEqual(result.values, [2, 4]);
+
+// Stopping early closes the new stream and unsubscribes from this one, even while subscribing.
+var pulled = 0;
+
+result = collect(Stream(function(downStream) {
+  while (downStream.dispatcher.count() > 0 && pulled < 1000) {
+    pulled = pulled + 1;
+    downStream.write(pulled);
+  }
+}).transduce(transducers.take(3)));
+
+assert.deepEqual(result.values, [1, 2, 3]);
+assert.ok(result.done);
+assert.equal(pulled, 3);
+
+// Closing flushes what the transducer held on to.
+result = collect(Stream.fromArray([1, 2, 3]).transduce(transducers.partition(2)));
+
+assert.deepEqual(result.values, [[1, 2], [3]]);
+assert.ok(result.done);
+
+// Every subscriber gets a transformer of its own.
+var partitioned = Stream.fromArray([1, 2, 3]).transduce(transducers.partition(2));
+
+assert.deepEqual(collect(partitioned).values, [[1, 2], [3]]);
+assert.deepEqual(collect(partitioned).values, [[1, 2], [3]]);
+
+assert.throws(function() {
+  source.transduce('nope');
+}, /did not receive a transducer/);
+
+console.log('transducers: ok');
@@ -0,0 +1,234 @@
+/**
+ * Run with: node test/window.test.js
+ */
+var assert        = require('assert'),
+    Frampton      = require('../frampton.js'),
+    Stream        = Frampton.Stream,
+    Scheduler     = Frampton.Scheduler,
+    TestScheduler = Frampton.TestScheduler;
+
+function collect(stream) {
+
+  var result = { values : [], done : false };
+
+  stream.subscribe(
+    // onNext
+    function(val) {
+      result.values.push(val);
+    },
+    // onError
+    null,
+    // onDone
+    function() {
+      result.done = true;
+    }
+  );
+
+  return result;
+}
+
+// Collects a stream of streams into the values of each inner stream.
+function collectInner(stream) {
+
+  var result = { windows : [], closed : [], done : false };
+
+  stream.subscribe(
+    // onNext
+    function(inner) {
+
+      var index  = result.windows.length,
+          values = [];
+
+      result.windows.push(values);
+      result.closed.push(false);
+
+      inner.subscribe(
+        // onNext
+        function(val) {
+          values.push(val);
+        },
+        // onError
+        null,
+        // onDone
+        function() {
+          result.closed[index] = true;
+        }
+      );
+    },
+    // onError
+    null,
+    // onDone
+    function() {
+      result.done = true;
+    }
+  );
+
+  return result;
+}
+
+function manual() {
+  return Stream(function() {});
+}
+
+function send(stream, val) {
+  stream.broadcast('sendNext', val);
+}
+
+// Buffers of a count, overlapping or skipping values, with the rest sent along at the end.
+var buffered = collect(Stream.fromArray([1, 2, 3, 4, 5]).bufferWithCount(2));
+
+assert.deepEqual(buffered.values, [[1, 2], [3, 4], [5]]);
+assert.ok(buffered.done);
+
+assert.deepEqual(collect(Stream.fromArray([1, 2, 3, 4]).bufferWithCount(2, 1)).values, [[1, 2], [2, 3], [3, 4], [4]]);
+assert.deepEqual(collect(Stream.fromArray([1, 2, 3, 4, 5]).bufferWithCount(1, 2)).values, [[1], [3], [5]]);
+
+assert.throws(function() {
+  Stream.fromArray([1]).bufferWithCount(0);
+}, /positive count/);
+
+// Every subscriber gets its own buffers.
+var shared = Stream.fromArray([1, 2, 3]).bufferWithCount(2);
+
+assert.deepEqual(collect(shared).values, [[1, 2], [3]]);
+assert.deepEqual(collect(shared).values, [[1, 2], [3]]);
+
+// Buffers are sent on time or count, whichever comes first.
+var scheduler = TestScheduler(),
+    source    = manual(),
+    timed     = collect(source.bufferWithTimeOrCount(100, 3, scheduler));
+
+send(source, 1);
+send(source, 2);
+scheduler.advanceBy(100);
+
+assert.deepEqual(timed.values, [[1, 2]]);
+
+send(source, 3);
+send(source, 4);
+send(source, 5);
+
+assert.deepEqual(timed.values, [[1, 2], [3, 4, 5]]);
+
+send(source, 6);
+source.close();
+
+assert.deepEqual(timed.values, [[1, 2], [3, 4, 5], [6]]);
+assert.ok(timed.done);
+
+// Windows of a count.
+var windows = collectInner(Stream.fromArray([1, 2, 3, 4, 5]).windowWithCount(2));
+
+assert.deepEqual(windows.windows, [[1, 2], [3, 4], [5]]);
+assert.deepEqual(windows.closed, [true, true, true]);
+assert.ok(windows.done);
+
+assert.deepEqual(collectInner(Stream.fromArray([1, 2, 3]).windowWithCount(2, 1)).windows, [[1, 2], [2, 3], [3]]);
+
+// Windows close on time or count, and the next value opens a new one.
+scheduler = TestScheduler();
+source    = manual();
+windows   = collectInner(source.windowWithTimeOrCount(100, 2, scheduler));
+
+send(source, 1);
+scheduler.advanceBy(50);
+
+assert.deepEqual(windows.closed, [false]);
+
+scheduler.advanceBy(50);
+
+assert.deepEqual(windows.closed, [true]);
+
+send(source, 2);
+send(source, 3);
+send(source, 4);
+
+assert.deepEqual(windows.windows, [[1], [2, 3], [4]]);
+assert.deepEqual(windows.closed, [true, true, false]);
+
+source.close();
+
+assert.deepEqual(windows.closed, [true, true, true]);
+assert.ok(windows.done);
+
+// On the sync scheduler every window closes right after its first value.
+source  = manual();
+windows = collectInner(source.windowWithTime(100, Scheduler.sync));
+
+send(source, 1);
+send(source, 2);
+
+assert.deepEqual(windows.windows, [[1], [2]]);
+assert.deepEqual(windows.closed, [true, true]);
+
+source  = manual();
+windows = collectInner(source.windowWithTimeOrCount(100, 5, Scheduler.sync));
+
+send(source, 1);
+send(source, 2);
+
+assert.deepEqual(windows.windows, [[1], [2]]);
+assert.deepEqual(windows.closed, [true, true]);
+
+// Pairs of the previous and current value.
+assert.deepEqual(collect(Stream.fromArray([1, 2, 3]).pairwise()).values, [[1, 2], [2, 3]]);
+
+// Every subscriber starts with no previous value of its own.
+var pairs = Stream.fromArray([1, 2, 3]).pairwise();
+
+assert.deepEqual(collect(pairs).values, [[1, 2], [2, 3]]);
+assert.deepEqual(collect(pairs).values, [[1, 2], [2, 3]]);
+
+// groupBy makes a stream for every key.
+var grouped = [],
+    groups  = collectInner(Stream.fromArray([1, 2, 3, 4, 5]).groupBy(function(val) {
+      return val % 2 ? 'odd' : 'even';
+    }));
+
+assert.deepEqual(groups.windows, [[1, 3, 5], [2, 4]]);
+assert.deepEqual(groups.closed, [true, true]);
+assert.ok(groups.done);
+
+Stream.fromArray([1, 2]).groupBy(function(val) {
+  return val;
+}).subscribe(function(group) {
+  grouped.push(group.key);
+});
+
+assert.deepEqual(grouped, [1, 2]);
+
+// Groups expire after going quiet for a while, the next value for the key starts a new group.
+scheduler = TestScheduler();
+source    = manual();
+groups    = collectInner(source.groupBy(function(val) {
+  return val.charAt(0);
+}, { expiry : 100, scheduler : scheduler }));
+
+send(source, 'a1');
+scheduler.advanceBy(60);
+send(source, 'a2');
+scheduler.advanceBy(60);
+
+assert.deepEqual(groups.closed, [false]);
+
+scheduler.advanceBy(40);
+
+assert.deepEqual(groups.closed, [true]);
+
+send(source, 'a3');
+
+assert.deepEqual(groups.windows, [['a1', 'a2'], ['a3']]);
+assert.deepEqual(groups.closed, [true, false]);
+
+// An error from the key function is passed along.
+var failed = null;
+
+Stream.fromArray([1]).groupBy(function() {
+  throw new Error('no key');
+}).subscribe(null, function(err) {
+  failed = err.message;
+});
+
+assert.equal(failed, 'no key');
+
+console.log('window: ok');
@@ -0,0 +1,134 @@
+/**
+ * Run with: node test/zip.test.js
+ */
+var assert   = require('assert'),
+    Frampton = require('../frampton.js'),
+    Stream   = Frampton.Stream;
+
+function collect(stream) {
+
+  var result = { values : [], done : false };
+
+  stream.subscribe(
+    // onNext
+    function(val) {
+      result.values.push(val);
+    },
+    // onError
+    null,
+    // onDone
+    function() {
+      result.done = true;
+    }
+  );
+
+  return result;
+}
+
+// A stream we push values onto by hand.
+function manual() {
+  return Stream(function() {});
+}
+
+// Synchronous streams produce their values before the streams after them are subscribed to.
+var zipped = collect(Stream.zip(Stream.fromArray([1, 2]), Stream.fromArray(['a', 'b'])));
+
+assert.deepEqual(zipped.values, [[1, 'a'], [2, 'b']]);
+assert.ok(zipped.done);
+
+// With a selector, and a shorter stream closing the zip once its values are used up.
+var selected = collect(Stream.zip(
+  Stream.fromArray([1, 2, 3]),
+  Stream.fromArray([10, 20]),
+  function(a, b) {
+    return a + b;
+  }
+));
+
+assert.deepEqual(selected.values, [11, 22]);
+assert.ok(selected.done);
+
+// An empty stream closes the zip without a value.
+var empty = collect(Stream.zip(Stream.fromArray([]), Stream.fromArray([1, 2])));
+
+assert.deepEqual(empty.values, []);
+assert.ok(empty.done);
+
+// Values are queued up until every stream has its nth value, falsy values included.
+var left   = manual(),
+    right  = manual(),
+    queued = collect(left.zipWith(right));
+
+left.broadcast('sendNext', 0);
+left.broadcast('sendNext', 1);
+
+assert.deepEqual(queued.values, []);
+
+right.broadcast('sendNext', '');
+
+assert.deepEqual(queued.values, [[0, '']]);
+
+// A closed stream with values still queued closes the zip once they're used up.
+left.close();
+
+assert.ok(!queued.done);
+
+right.broadcast('sendNext', 'b');
+
+assert.deepEqual(queued.values, [[0, ''], [1, 'b']]);
+assert.ok(queued.done);
+
+// combineLatest waits for a value from every stream, then combines the latest of each.
+var width    = manual(),
+    height   = manual(),
+    combined = collect(Stream.combineLatest(width, height, function(w, h) {
+      return w * h;
+    }));
+
+width.broadcast('sendNext', 2);
+width.broadcast('sendNext', 3);
+
+assert.deepEqual(combined.values, []);
+
+height.broadcast('sendNext', 10);
+width.broadcast('sendNext', 4);
+height.broadcast('sendNext', 20);
+
+assert.deepEqual(combined.values, [30, 40, 80]);
+
+// It closes once all of the streams have closed.
+width.close();
+
+assert.ok(!combined.done);
+
+height.broadcast('sendNext', 30);
+
+assert.deepEqual(combined.values, [30, 40, 80, 120]);
+
+height.close();
+
+assert.ok(combined.done);
+
+// Or as soon as one closes without ever producing a value, as nothing could be combined.
+var never = collect(Stream.combineLatest(manual(), Stream.fromArray([])));
+
+assert.ok(never.done);
+assert.deepEqual(never.values, []);
+
+// Without a selector the values come as arrays.
+assert.deepEqual(collect(Stream.combineLatest(Stream.fromArray([1]), Stream.fromArray([2]))).values, [[1, 2]]);
+
+// At least one stream is needed and everything has to be a stream.
+assert.throws(function() {
+  Stream.zip();
+}, /did not receive any streams/);
+
+assert.throws(function() {
+  Stream.combineLatest(function() {});
+}, /did not receive any streams/);
+
+assert.throws(function() {
+  Stream.combineLatest(Stream.fromArray([1]), 'nope');
+}, /non stream/);
+
+console.log('zip: ok');